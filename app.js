@@ -3,271 +3,5814 @@
 // ========================================
 
 /**
- * Switches the active page by toggling CSS classes
+ * Navigates to the route of a page, adding a browser history entry
  * @param {string} pageName - The name of the page to display (without '-page' suffix)
  * @returns {void}
  */
 function showPage(pageName) {
+    navigate(pageName === 'home' ? '/' : `/${pageName}`);
+}
+
+/**
+ * Switches the active page by toggling CSS classes
+ * @param {string} pageName - The name of the page to display (without '-page' suffix)
+ * @returns {void}
+ */
+function renderPage(pageName) {
     document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
     const el = document.getElementById(pageName + '-page');
     if (el) el.classList.add('active');
     updateNavigation(pageName);
 }
 
+// ========================================
+// HASH ROUTER
+// ========================================
+
+/**
+ * Route guard: only signed-in users. Remembers the requested path so sign-in
+ * can continue there.
+ * @returns {string|null} Redirect path, or null to allow
+ */
+function requireAuth() {
+    if (isLoggedIn()) return null;
+    const query = getRouteQuery().toString();
+    sessionStorage.setItem('redirectAfterSignin', getCurrentPath() + (query ? `?${query}` : ''));
+    return '/signin';
+}
+
+/**
+ * Route guard: only signed-out visitors (sign in / sign up forms)
+ * @returns {string|null} Redirect path, or null to allow
+ */
+function requireGuest() {
+    return isLoggedIn() ? '/dashboard' : null;
+}
+
+/**
+ * Route table. path segments starting with ':' are captured as params;
+ * guards run in order and the first redirect wins; onEnter runs after the page
+ * is shown and receives the params plus the query string (URLSearchParams).
+ */
+const ROUTES = [
+    { path: '/', page: 'home' },
+    { path: '/signin', page: 'signin', guards: [requireGuest] },
+    { path: '/signup', page: 'signup', guards: [requireGuest] },
+    { path: '/dashboard', page: 'dashboard', guards: [requireAuth] },
+    { path: '/challenges', page: 'challenges', guards: [requireAuth] },
+    { path: '/rewards', page: 'rewards', guards: [requireAuth] },
+    { path: '/profile', page: 'profile', guards: [requireAuth] },
+    { path: '/share-work', page: 'share-work', onEnter: (params, query) => applyFeedQuery(query) },
+    { path: '/posts/:id', page: 'share-work', onEnter: ({ id }) => focusPost(id) },
+    { path: '/moderation', page: 'moderation', guards: [requireAuth, requireModerator], onEnter: renderModerationQueue },
+    {
+        path: '/invite/:code',
+        page: 'signup',
+        guards: [({ code }) => {
+            appStore.set('pendingInvite', code);
+            if (!isLoggedIn()) return '/signup';
+            consumePendingInvite();
+            return '/dashboard';
+        }]
+    }
+];
+
+/**
+ * Returns the current route path from the URL hash, e.g. '/posts/42'
+ * @returns {string}
+ */
+function getCurrentPath() {
+    let path = location.hash.replace(/^#/, '').split('?')[0];
+    try {
+        path = decodeURI(path);
+    } catch (err) {
+        // Malformed escapes (e.g. '%E0') are left as typed; no route matches them
+    }
+    return path.startsWith('/') ? path : '/';
+}
+
+/**
+ * Returns the query part of the URL hash, e.g. '#/share-work?sort=trending'
+ * @returns {URLSearchParams}
+ */
+function getRouteQuery() {
+    const hash = location.hash;
+    const index = hash.indexOf('?');
+    return new URLSearchParams(index === -1 ? '' : hash.slice(index + 1));
+}
+
+/**
+ * Finds the route matching a path. A parameter that is not valid
+ * percent-encoding does not match, so the router falls back to home.
+ * @param {string} path
+ * @returns {{route: Object, params: Object}|null}
+ */
+function matchRoute(path) {
+    const parts = path.split('/').filter(Boolean);
+    for (const route of ROUTES) {
+        const pattern = route.path.split('/').filter(Boolean);
+        if (pattern.length !== parts.length) continue;
+        const params = {};
+        const ok = pattern.every((seg, i) => {
+            if (seg.startsWith(':')) {
+                try {
+                    params[seg.slice(1)] = decodeURIComponent(parts[i]);
+                } catch (err) {
+                    return false;
+                }
+                return true;
+            }
+            return seg === parts[i];
+        });
+        if (ok) return { route, params };
+    }
+    return null;
+}
+
+/**
+ * Changes the route. Pushes a history entry unless replace is set.
+ * @param {string} path - Route path, e.g. '/dashboard'
+ * @param {{replace?: boolean}} [options]
+ * @returns {void}
+ */
+function navigate(path, { replace = false } = {}) {
+    if (replace) {
+        history.replaceState(null, '', `#${path}`);
+        handleRoute();
+    } else if (getCurrentPath() === path) {
+        handleRoute();
+    } else {
+        location.hash = path;
+    }
+}
+
 /**
- * Display a non-blocking toast notification
+ * Resolves the current hash to a page, applying guards (redirects replace the
+ * history entry so the back button does not bounce)
+ * @returns {void}
+ */
+function handleRoute() {
+    const match = matchRoute(getCurrentPath());
+    if (!match) {
+        navigate('/', { replace: true });
+        return;
+    }
+    const { route, params } = match;
+    for (const guard of route.guards || []) {
+        const redirect = guard(params);
+        if (redirect) {
+            navigate(redirect, { replace: true });
+            return;
+        }
+    }
+    renderPage(route.page);
+    if (route.onEnter) route.onEnter(params, getRouteQuery());
+}
+
+/**
+ * Returns (and forgets) the path a signed-out user originally asked for
+ * @param {string} [fallback='/dashboard']
+ * @returns {string}
+ */
+function consumeSigninRedirect(fallback = '/dashboard') {
+    const path = sessionStorage.getItem('redirectAfterSignin');
+    sessionStorage.removeItem('redirectAfterSignin');
+    return path || fallback;
+}
+
+/**
+ * Display a non-blocking toast notification. Errors and warnings are
+ * announced right away (role="alert"), others politely; the timer pauses while
+ * the toast is hovered or has focus, and Escape dismisses it.
  * @param {string} message - Message text
  * @param {'success'|'info'|'warn'|'error'} [type='info'] - Visual type
- * @param {number} [duration=4000] - Time in ms before auto-dismiss
+ * @param {number} [duration=4000] - Time in ms before auto-dismiss (0 keeps it open)
+ * @param {{label: string, onClick: function}} [action] - Optional button next to the message
+ */
+function showToast(message, type = 'info', duration = 4000, action = null) {
+    const container = document.getElementById('toasts');
+    if (!container) return;
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.setAttribute('role', type === 'error' || type === 'warn' ? 'alert' : 'status');
+    setHtml(toast, html`<div class="toast-body">${message}</div><button class="toast-close" aria-label="${t('toast_close')}">&times;</button>`);
+    container.appendChild(toast);
+    // Allow CSS animation frame
+    requestAnimationFrame(() => toast.classList.add('show'));
+
+    let timer = null;
+    let hovered = false;
+    let focused = false;
+    const close = () => {
+        clearTimeout(timer);
+        toast.classList.remove('show');
+        setTimeout(() => toast.remove(), 260);
+    };
+    const resume = () => {
+        clearTimeout(timer);
+        if (duration > 0 && !hovered && !focused) timer = setTimeout(close, duration);
+    };
+
+    if (action) {
+        const actionBtn = document.createElement('button');
+        actionBtn.className = 'toast-action';
+        actionBtn.innerText = action.label;
+        actionBtn.addEventListener('click', () => {
+            action.onClick();
+            close();
+        });
+        toast.insertBefore(actionBtn, toast.querySelector('.toast-close'));
+    }
+
+    toast.querySelector('.toast-close').addEventListener('click', close);
+    toast.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') close();
+    });
+    toast.addEventListener('mouseenter', () => { hovered = true; resume(); });
+    toast.addEventListener('mouseleave', () => { hovered = false; resume(); });
+    toast.addEventListener('focusin', () => { focused = true; resume(); });
+    toast.addEventListener('focusout', () => { focused = false; resume(); });
+    resume();
+}
+
+// ========================================
+// DIALOGS & DISCLOSURE MENUS
+// ========================================
+
+/** Elements that take keyboard focus, in the order Tab visits them */
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Lists the focusable elements inside a container that are not hidden
+ * @param {HTMLElement} container
+ * @returns {HTMLElement[]}
+ */
+function getFocusableElements(container) {
+    return [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter(el => !el.closest('[hidden]'));
+}
+
+/**
+ * Wires a .modal element as a modal dialog: opening moves focus inside and
+ * keeps Tab and Shift+Tab there; Escape, the .modal-close button and a click
+ * on the backdrop close it, and focus goes back to whatever opened it.
+ * @param {HTMLElement} dialog - Element with role="dialog" and a .modal-content child
+ * @param {Object} [options]
+ * @param {function(string): void} [options.onClose] - Called with 'escape', 'backdrop', 'button' or 'api'
+ * @returns {{open: function(HTMLElement=): void, close: function(): void, isOpen: function(): boolean}}
+ */
+function createDialog(dialog, { onClose } = {}) {
+    const content = dialog.querySelector('.modal-content') || dialog;
+    // Fallback focus target when the dialog has nothing focusable
+    if (!content.hasAttribute('tabindex')) content.tabIndex = -1;
+    let opener = null;
+
+    const isOpen = () => dialog.classList.contains('show');
+    const close = (reason) => {
+        if (!isOpen()) return;
+        dialog.classList.remove('show');
+        dialog.setAttribute('aria-hidden', 'true');
+        if (opener && document.contains(opener)) opener.focus();
+        opener = null;
+        if (onClose) onClose(reason);
+    };
+
+    dialog.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            close('escape');
+            return;
+        }
+        if (e.key !== 'Tab') return;
+        const focusable = getFocusableElements(dialog);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === content)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    });
+    dialog.addEventListener('click', (e) => {
+        if (e.target === dialog) close('backdrop');
+    });
+    dialog.querySelectorAll('.modal-close').forEach(btn => btn.addEventListener('click', () => close('button')));
+    // Focus that escapes anyway (a click behind the backdrop, a screen reader jump) is pulled back in
+    document.addEventListener('focusin', (e) => {
+        if (isOpen() && !dialog.contains(e.target)) (getFocusableElements(dialog)[0] || content).focus();
+    });
+
+    return {
+        /**
+         * @param {HTMLElement} [initialFocus] - Element to focus (defaults to the first focusable one)
+         */
+        open(initialFocus) {
+            if (!isOpen()) opener = document.activeElement;
+            dialog.classList.add('show');
+            dialog.setAttribute('aria-hidden', 'false');
+            (initialFocus || getFocusableElements(dialog)[0] || content).focus();
+        },
+        close: () => close('api'),
+        isOpen
+    };
+}
+
+/**
+ * Wires a button that shows and hides a panel (the disclosure pattern): the
+ * button's aria-expanded follows the panel, Escape closes it and focus that
+ * was inside the panel returns to the button.
+ * @param {HTMLElement} button - Toggle button; its aria-controls should name the panel
+ * @param {HTMLElement} panel - Element shown while it has the open class
+ * @param {Object} [options]
+ * @param {string} [options.openClass='open'] - Class that shows the panel
+ * @param {boolean} [options.closeOnOutsideClick=false] - Close on clicks anywhere else
+ * @param {function(): void} [options.onOpen] - Called after opening, e.g. to focus a field
+ * @returns {{open: function(): void, close: function(): void, toggle: function(): void, isOpen: function(): boolean}}
+ */
+function createDisclosure(button, panel, { openClass = 'open', closeOnOutsideClick = false, onOpen } = {}) {
+    const isOpen = () => button.getAttribute('aria-expanded') === 'true';
+    const setOpen = (open) => {
+        if (open === isOpen()) return;
+        const hadFocus = panel.contains(document.activeElement);
+        button.setAttribute('aria-expanded', String(open));
+        panel.classList.toggle(openClass, open);
+        if (open && onOpen) onOpen();
+        if (!open && hadFocus) button.focus();
+    };
+
+    button.setAttribute('aria-expanded', String(panel.classList.contains(openClass)));
+    button.addEventListener('click', () => setOpen(!isOpen()));
+    [button, panel].forEach(el => el.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape' || !isOpen()) return;
+        e.preventDefault();
+        setOpen(false);
+        button.focus();
+    }));
+    if (closeOnOutsideClick) {
+        document.addEventListener('click', (e) => {
+            if (isOpen() && !button.contains(e.target) && !panel.contains(e.target)) setOpen(false);
+        });
+    }
+
+    return {
+        open: () => setOpen(true),
+        close: () => setOpen(false),
+        toggle: () => setOpen(!isOpen()),
+        isOpen
+    };
+}
+
+// ========================================
+// SAFE MARKUP & URL CHECKS
+// ========================================
+
+/**
+ * Markup is only ever written through setHtml(): values interpolated into an
+ * html`` template are escaped unless they are html`` templates themselves, so
+ * user text (post titles, names, chat replies, translations) cannot inject tags.
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** Markup produced by html``, the only kind setHtml() writes unescaped */
+const trustedMarkup = new WeakSet();
+
+/**
+ * Escapes text for use in HTML content or a quoted attribute
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+/**
+ * Turns a template value into markup: html`` results pass through, arrays are
+ * joined and everything else is escaped as text
+ * @param {*} value
+ * @returns {string}
+ */
+function toMarkup(value) {
+    if (Array.isArray(value)) return value.map(toMarkup).join('');
+    if (trustedMarkup.has(value)) return value.markup;
+    return escapeHtml(value);
+}
+
+/**
+ * Tagged template for markup with escaped interpolations, e.g.
+ * html`<span class="likes-count">${post.likes}</span>`
+ * @param {TemplateStringsArray} strings
+ * @param {...*} values
+ * @returns {{markup: string}}
+ */
+function html(strings, ...values) {
+    const result = Object.freeze({
+        markup: strings.reduce((out, str, i) => out + str + (i < values.length ? toMarkup(values[i]) : ''), '')
+    });
+    trustedMarkup.add(result);
+    return result;
+}
+
+/**
+ * Replaces an element's content with markup from html``; anything else is
+ * inserted as plain text
+ * @param {Element} element
+ * @param {*} content
+ * @returns {void}
+ */
+function setHtml(element, content) {
+    element.innerHTML = toMarkup(content);
+}
+
+/**
+ * Hosts that post images may be linked from besides this site and the API.
+ * Keep in step with img-src in the Content-Security-Policy of ecostep.html.
+ */
+const ALLOWED_IMAGE_HOSTS = ['images.unsplash.com', 'i.imgur.com', 'upload.wikimedia.org', 'res.cloudinary.com'];
+
+/**
+ * Checks a linked post image: https from an allowed host, or this site and
+ * the API over http(s). Other schemes (javascript:, data:, file: ...) and
+ * unknown hosts, which could track whoever views the post, are refused.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isSafeImageUrl(url) {
+    if (!url) return false;
+    let parsed;
+    try {
+        parsed = new URL(String(url), location.href);
+    } catch (e) {
+        return false;
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+    const trustedOrigins = [location.origin];
+    const apiBase = getApiBaseUrl();
+    if (apiBase) {
+        try {
+            trustedOrigins.push(new URL(apiBase, location.href).origin);
+        } catch (e) {
+            // A malformed API root trusts nothing extra
+        }
+    }
+    if (trustedOrigins.includes(parsed.origin)) return true;
+    return parsed.protocol === 'https:' && ALLOWED_IMAGE_HOSTS.includes(parsed.hostname);
+}
+
+// ========================================
+// STATE STORE & CROSS-TAB SYNC
+// ========================================
+
+/**
+ * Everything the app keeps in localStorage is read and written through
+ * appStore, so no write goes unseen. Storage keys belong to slices of state
+ * (the session, posts, likes, points and preferences); listeners subscribe to
+ * slices, and every change is announced to the app's other tabs over a
+ * BroadcastChannel. The storage event covers browsers without one and writes
+ * made outside the store.
+ */
+
+/** BroadcastChannel shared by every tab of the app */
+const STATE_CHANNEL = 'ecostep-state';
+/** Changes from other tabs arriving within this many ms are handled together */
+const REMOTE_CHANGE_DELAY = 50;
+
+/** Slice of state each storage key belongs to; per-user keys go by their base key */
+const STATE_SLICES = {
+    currentUser: 'session',
+    accounts: 'session',
+    posts: 'posts',
+    likedPosts: 'likes',
+    pointsLedger: 'points',
+    theme: 'preferences',
+    siteLang: 'preferences'
+};
+
+/**
+ * Splits a storage key into its user and base key (see userStorageKey)
+ * @param {string} key - e.g. 'user:u_1:likedPosts' or 'posts'
+ * @returns {{userId: string|null, base: string}}
+ */
+function parseStorageKey(key) {
+    const match = /^user:(.+):([^:]+)$/.exec(key);
+    return match ? { userId: match[1], base: match[2] } : { userId: null, base: key };
+}
+
+/**
+ * Returns the slice of state a storage key belongs to
+ * @param {string} key
+ * @returns {string|null} Slice name, or null for keys no one subscribes to
+ */
+function getStateSlice(key) {
+    return STATE_SLICES[parseStorageKey(key).base] || null;
+}
+
+/**
+ * Creates an observable key-value store over a Storage object. Listeners run
+ * right away for writes made through this store and, batched per slice, for
+ * changes from other tabs. Writing a value that is already stored does nothing,
+ * so tabs reacting to each other's changes cannot echo them back and forth.
+ * @param {Object} [options]
+ * @param {Storage} [options.storage=localStorage]
+ * @param {string} [options.channelName=STATE_CHANNEL]
+ * @returns {{get: function(string): (string|null), set: function(string, string): void, remove: function(string): void, subscribe: function((string|string[]), function(Object): void): function(): void}}
+ */
+function createStore({ storage = localStorage, channelName = STATE_CHANNEL } = {}) {
+    const listeners = new Map(); // slice -> Set of listeners
+    const pending = new Map(); // slice -> Set of keys changed in other tabs
+    let timer = null;
+    const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(channelName) : null;
+
+    const emit = (slice, keys, remote) => {
+        (listeners.get(slice) || new Set()).forEach(listener => {
+            try {
+                listener({ slice, keys, remote });
+            } catch (err) {
+                console.error(`State listener for "${slice}" failed:`, err);
+            }
+        });
+    };
+    const flush = () => {
+        timer = null;
+        const batch = [...pending];
+        pending.clear();
+        batch.forEach(([slice, keys]) => emit(slice, [...keys], true));
+    };
+    // A null key means the other tab cleared storage, which touches every slice
+    const receive = (key) => {
+        const changes = key === null
+            ? Object.entries(STATE_SLICES).map(([base, slice]) => [slice, base])
+            : [[getStateSlice(key), key]];
+        changes.filter(([slice]) => slice).forEach(([slice, changed]) => {
+            if (!pending.has(slice)) pending.set(slice, new Set());
+            pending.get(slice).add(changed);
+        });
+        if (pending.size && !timer) timer = setTimeout(flush, REMOTE_CHANGE_DELAY);
+    };
+    const changed = (key) => {
+        const slice = getStateSlice(key);
+        if (!slice) return;
+        emit(slice, [key], false);
+        if (channel) channel.postMessage({ key });
+    };
+
+    if (channel) channel.addEventListener('message', (e) => receive(e.data?.key ?? null));
+    window.addEventListener('storage', (e) => {
+        if (e.storageArea === storage) receive(e.key);
+    });
+
+    return {
+        get: (key) => storage.getItem(key),
+        set(key, value) {
+            const text = String(value);
+            if (storage.getItem(key) === text) return;
+            storage.setItem(key, text);
+            changed(key);
+        },
+        remove(key) {
+            if (storage.getItem(key) === null) return;
+            storage.removeItem(key);
+            changed(key);
+        },
+        /**
+         * @param {string|string[]} slices - Slice name(s)
+         * @param {function({slice: string, keys: string[], remote: boolean}): void} listener
+         * @returns {function(): void} Unsubscribes the listener
+         */
+        subscribe(slices, listener) {
+            [].concat(slices).forEach(slice => {
+                if (!listeners.has(slice)) listeners.set(slice, new Set());
+                listeners.get(slice).add(listener);
+            });
+            return () => [].concat(slices).forEach(slice => listeners.get(slice).delete(listener));
+        }
+    };
+}
+
+/** The app's state store (see the section comment above) */
+const appStore = createStore();
+
+/**
+ * Checks whether a storage key holds the signed-in user's data (or the
+ * device-wide copy while signed out)
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isCurrentUserKey(key) {
+    return parseStorageKey(key).userId === getCurrentUser();
+}
+
+/**
+ * Keeps this tab in step with changes made in other tabs. Writes made in this
+ * tab already re-render what they touch, so listeners here only act on
+ * remote changes. Signing in or out anywhere switches every tab over.
+ * @returns {void}
+ */
+function initStateSync() {
+    let sessionUser = getCurrentUser();
+    appStore.subscribe('session', ({ remote }) => {
+        const user = getCurrentUser();
+        const switched = user !== sessionUser;
+        sessionUser = user;
+        if (!remote) return;
+        if (!switched) {
+            // Only accounts changed: names, pictures or privacy
+            renderNavUser();
+            renderProfile();
+            renderPosts();
+            renderPoints();
+            return;
+        }
+        // Re-renders every view for the new user, then lets the route guards move this tab
+        applyUserPreferences();
+        handleRoute();
+        showToast(user ? t('signed_in_elsewhere', { name: getCurrentUserName() }) : t('signed_out_elsewhere'), 'info');
+    });
+    appStore.subscribe('posts', ({ remote }) => {
+        if (!remote) return;
+        renderPosts();
+        renderModerationQueue();
+    });
+    appStore.subscribe('likes', ({ remote, keys }) => {
+        if (remote && keys.some(isCurrentUserKey)) renderPosts();
+    });
+    // Leaderboards and duels show other users' points too
+    appStore.subscribe('points', ({ remote }) => {
+        if (remote) renderPoints();
+    });
+    appStore.subscribe('preferences', ({ remote, keys }) => {
+        if (remote && keys.some(isCurrentUserKey)) applyUserPreferences();
+    });
+}
+
+// ========================================
+// THEME / NIGHT MODE
+// ========================================
+
+/**
+ * Apply theme ('dark' or 'light') and persist preference
+ * @param {'dark'|'light'} theme
+ */
+function applyTheme(theme) {
+    const doc = document.documentElement;
+    if (theme === 'dark') {
+        doc.setAttribute('data-theme', 'dark');
+        appStore.set(userStorageKey('theme'), 'dark');
+    } else {
+        doc.removeAttribute('data-theme');
+        appStore.set(userStorageKey('theme'), 'light');
+    }
+    updateThemeToggleIcon(theme);
+}
+
+/**
+ * Applies the signed-in user's saved theme and language (or the device
+ * defaults when nobody is signed in)
+ * @returns {void}
+ */
+function applyUserPreferences() {
+    const savedTheme = appStore.get(userStorageKey('theme'));
+    const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    applyTheme(savedTheme || (prefersDark ? 'dark' : 'light'));
+
+    applyTranslations(appStore.get(userStorageKey('siteLang')) || DEFAULT_LOCALE);
+}
+
+/**
+ * Update the theme toggle button icon/aria state
+ * @param {'dark'|'light'} theme
+ */
+function updateThemeToggleIcon(theme) {
+    const btn = document.getElementById('theme-toggle');
+    if (!btn) return;
+    setHtml(btn, theme === 'dark' ? html`<i class="fas fa-sun"></i>` : html`<i class="fas fa-moon"></i>`);
+    btn.setAttribute('aria-pressed', theme === 'dark' ? 'true' : 'false');
+}
+
+/**
+ * Launch lightweight confetti using canvas-confetti when available
+ * @param {number} [particleCount=80]
+ */
+function launchConfetti(particleCount = 80) {
+    if (typeof confetti === 'function') {
+        confetti({
+            particleCount,
+            spread: 160,
+            origin: { y: 0.6 }
+        });
+    }
+}
+
+/**
+ * Updates navigation links visibility based on authentication status
+ * and marks the link of the current page
+ * @param {string} currentPage - The currently active page name
+ * @returns {void}
+ */
+function updateNavigation(currentPage) {
+    const isLogged = isLoggedIn();
+    const dash = document.getElementById('dashboard-link');
+    const signout = document.getElementById('signout-link');
+    if (dash) dash.style.display = isLogged ? 'inline' : 'none';
+    if (signout) signout.style.display = isLogged ? 'inline' : 'none';
+    const moderation = document.getElementById('moderation-link');
+    if (moderation) moderation.style.display = isModerator() ? 'inline' : 'none';
+    renderNavUser();
+
+    document.querySelectorAll('.nav-links a[href^="#/"]:not(#signout-link)').forEach(a => {
+        const target = a.getAttribute('href').slice(1);
+        if (target === (currentPage === 'home' ? '/' : `/${currentPage}`)) a.setAttribute('aria-current', 'page');
+        else a.removeAttribute('aria-current');
+    });
+}
+
+/**
+ * Logs out the current user by ending the session and redirecting to signin
+ * @returns {void}
+ */
+function signOut() {
+    endSession();
+    showToast(t('signed_out'), 'info');
+    showPage('signin');
+}
+
+// ========================================
+// ACCOUNT STORE
+// ========================================
+
+/** PBKDF2-SHA256 work factor for stored password hashes */
+const PBKDF2_ITERATIONS = 310000;
+/** Failed sign-ins allowed per email before it is locked out */
+const MAX_FAILED_SIGNINS = 5;
+/** How long an email stays locked after too many failed sign-ins */
+const SIGNIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Retrieves all accounts registered on this device
+ * @returns {Object} Map of user id to { id, name, email, salt, hash, iterations, referralCode, createdAt },
+ *   plus the profile fields avatarId, bio, district, ward and private once edited (see updateProfile)
+ */
+function getAccounts() {
+    try {
+        return JSON.parse(appStore.get('accounts') || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Saves the accounts map to localStorage
+ * @param {Object} accounts - Map of user id to account
+ * @returns {void}
+ */
+function saveAccounts(accounts) {
+    appStore.set('accounts', JSON.stringify(accounts));
+}
+
+/**
+ * Finds an account by email (case-insensitive)
+ * @param {string} email
+ * @returns {Object|null}
+ */
+function findAccountByEmail(email) {
+    const normalized = String(email || '').trim().toLowerCase();
+    return Object.values(getAccounts()).find(a => a.email === normalized) || null;
+}
+
+/**
+ * Returns the id of the signed-in user
+ * @returns {string|null} User id, or null when signed out
+ */
+function getCurrentUser() {
+    return appStore.get('currentUser');
+}
+
+/**
+ * Returns an account by id
+ * @param {string} [userId] - User id (defaults to the signed-in user)
+ * @returns {Object|null}
+ */
+function getAccount(userId = getCurrentUser()) {
+    return (userId && getAccounts()[userId]) || null;
+}
+
+/**
+ * Checks whether a user is signed in with an existing account
+ * @returns {boolean}
+ */
+function isLoggedIn() {
+    return !!getAccount();
+}
+
+/**
+ * Returns the display name of the signed-in user
+ * @returns {string}
+ */
+function getCurrentUserName() {
+    return getAccount()?.name || 'EcoWarrior';
+}
+
+/**
+ * Builds the localStorage key of a per-user setting or collection. Signed-out
+ * visitors fall back to the plain device-wide key.
+ * @param {string} key - Base key, e.g. 'likedPosts'
+ * @param {string|null} [userId] - User id (defaults to the signed-in user)
+ * @returns {string}
+ */
+function userStorageKey(key, userId = getCurrentUser()) {
+    return userId ? `user:${userId}:${key}` : key;
+}
+
+/**
+ * Reads a JSON value from the user's namespace
+ * @param {string} key - Base key
+ * @param {*} fallback - Value returned when missing or unreadable
+ * @param {string|null} [userId] - User id (defaults to the signed-in user)
+ * @returns {*}
+ */
+function getUserData(key, fallback, userId = getCurrentUser()) {
+    try {
+        const raw = appStore.get(userStorageKey(key, userId));
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+/**
+ * Writes a JSON value to the signed-in user's namespace
+ * @param {string} key - Base key
+ * @param {*} value - JSON-serialisable value
+ * @returns {void}
+ */
+function setUserData(key, value) {
+    appStore.set(userStorageKey(key), JSON.stringify(value));
+}
+
+/**
+ * Encodes bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Decodes base64 into bytes
+ * @param {string} b64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(b64) {
+    return Uint8Array.from(atob(b64), ch => ch.charCodeAt(0));
+}
+
+/**
+ * Derives a PBKDF2-SHA256 hash of a password with WebCrypto
+ * @param {string} password - Plain-text password
+ * @param {Uint8Array} salt - Random per-account salt
+ * @param {number} [iterations=PBKDF2_ITERATIONS]
+ * @returns {Promise<string>} Base64-encoded 256-bit hash
+ */
+async function hashPassword(password, salt, iterations = PBKDF2_ITERATIONS) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+    return bytesToBase64(new Uint8Array(bits));
+}
+
+/** Mixed into the salt of the auth key, so it differs from the hash stored on this device */
+const AUTH_KEY_CONTEXT = 'ecostep-auth';
+
+/**
+ * Derives the key that proves the password to the backend. It is never stored
+ * on the device, so the local password hash cannot be used to sign in to the
+ * server; the server hashes it again before storing it.
+ * @param {string} password - Plain-text password
+ * @param {Uint8Array} salt - The account's salt
+ * @param {number} [iterations=PBKDF2_ITERATIONS]
+ * @returns {Promise<string>} Base64-encoded key
+ */
+async function deriveAuthKey(password, salt, iterations = PBKDF2_ITERATIONS) {
+    const context = new TextEncoder().encode(AUTH_KEY_CONTEXT);
+    return hashPassword(password, new Uint8Array([...salt, ...context]), iterations);
+}
+
+/**
+ * Creates a new account with a salted password hash
+ * @param {string} name - Display name
+ * @param {string} email - Email address (stored lower-case)
+ * @param {string} password - Plain-text password, at least 8 characters
+ * @returns {Promise<{ok: boolean, account?: Object, error?: string}>}
+ */
+async function createAccount(name, email, password) {
+    const normalized = String(email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) return { ok: false, error: t('error_invalid_email') };
+    if (!password || password.length < 8) return { ok: false, error: t('error_password_short') };
+    if (findAccountByEmail(normalized)) return { ok: false, error: t('error_email_taken') };
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const account = {
+        id: `u_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+        name: String(name || '').trim() || 'EcoWarrior',
+        email: normalized,
+        salt: bytesToBase64(salt),
+        hash: await hashPassword(password, salt),
+        iterations: PBKDF2_ITERATIONS,
+        referralCode: generateReferralCode(),
+        createdAt: Date.now()
+    };
+    const accounts = getAccounts();
+    accounts[account.id] = account;
+    saveAccounts(accounts);
+    const { hash, ...fields } = account;
+    syncWrite('register', { ...fields, authKey: await deriveAuthKey(password, salt) });
+    return { ok: true, account };
+}
+
+/**
+ * Retrieves the failed sign-in counters of this device
+ * @returns {Object} Map of email to { count, lockedUntil }
+ */
+function getSigninAttempts() {
+    try {
+        return JSON.parse(appStore.get('signinAttempts') || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+/** Salt hashed with for unknown emails, so rejecting them takes as long as a wrong password */
+const UNKNOWN_ACCOUNT_SALT = new Uint8Array(16);
+
+/**
+ * Verifies an email/password pair. After MAX_FAILED_SIGNINS failures the email
+ * is locked for SIGNIN_LOCKOUT_MS; unknown emails count as failures too and are
+ * hashed like known ones, so neither the response nor its timing reveals which
+ * emails are registered.
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<{ok: boolean, account?: Object, error?: string}>}
+ */
+async function verifyCredentials(email, password) {
+    const normalized = String(email || '').trim().toLowerCase();
+    const attempts = getSigninAttempts();
+    const record = attempts[normalized] || { count: 0, lockedUntil: 0 };
+    if (record.lockedUntil > Date.now()) {
+        const minutes = Math.ceil((record.lockedUntil - Date.now()) / 60000);
+        return { ok: false, error: t('error_signin_locked', { count: minutes }) };
+    }
+
+    const localAccount = findAccountByEmail(normalized);
+    const account = localAccount || await fetchRemoteAccount(normalized, password);
+    const hash = account
+        ? await hashPassword(password || '', base64ToBytes(account.salt), account.iterations)
+        : await hashPassword(password || '', UNKNOWN_ACCOUNT_SALT);
+    if (account && hash === account.hash) {
+        delete attempts[normalized];
+        appStore.set('signinAttempts', JSON.stringify(attempts));
+        // fetchRemoteAccount() has just signed in to the backend already
+        if (localAccount) refreshApiSession(normalized, password);
+        return { ok: true, account };
+    }
+
+    record.count += 1;
+    if (record.count >= MAX_FAILED_SIGNINS) {
+        record.count = 0;
+        record.lockedUntil = Date.now() + SIGNIN_LOCKOUT_MS;
+    }
+    attempts[normalized] = record;
+    appStore.set('signinAttempts', JSON.stringify(attempts));
+    return { ok: false, error: t('error_bad_credentials') };
+}
+
+/**
+ * Signs in against the backend for accounts created on another device and
+ * caches the account locally, with a local password hash, so later sign-ins
+ * also work offline
+ * @param {string} email - Normalised email
+ * @param {string} password
+ * @returns {Promise<Object|null>} The account, or null if unknown / unreachable
+ */
+async function fetchRemoteAccount(email, password) {
+    const backend = getBackend();
+    if (backend.name === 'local') return null;
+    try {
+        const { account } = await backend.login(email, password);
+        account.hash = await hashPassword(password, base64ToBytes(account.salt), account.iterations);
+        const accounts = getAccounts();
+        accounts[account.id] = account;
+        saveAccounts(accounts);
+        resumeHeldSyncWrites();
+        return account;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Renews the backend session after a sign-in checked on this device, so writes
+ * held back by a missing or expired token can go out, and takes the account's
+ * role from the backend. Failures are ignored: the app keeps working offline
+ * and the writes stay queued.
+ * @param {string} email - Normalised email
+ * @param {string} password
+ * @returns {Promise<void>}
+ */
+async function refreshApiSession(email, password) {
+    const backend = getBackend();
+    if (backend.name === 'local') return;
+    let remote;
+    try {
+        remote = (await backend.login(email, password)).account;
+    } catch (err) {
+        return;
+    }
+    const accounts = getAccounts();
+    const account = accounts[remote.id];
+    if (account && account.role !== remote.role) {
+        if (remote.role) account.role = remote.role;
+        else delete account.role;
+        saveAccounts(accounts);
+    }
+    resumeHeldSyncWrites();
+}
+
+/**
+ * Starts a session for an account and loads its preferences
+ * @param {Object} account
+ * @returns {void}
+ */
+function startSession(account) {
+    appStore.set('currentUser', account.id);
+    claimLegacyData(account.id);
+    applyUserPreferences();
+}
+
+/**
+ * Ends the current session and restores the device defaults
+ * @returns {void}
+ */
+function endSession() {
+    appStore.remove('currentUser');
+    applyUserPreferences();
+}
+
+// ========================================
+// AUTHENTICATION HANDLERS
+// ========================================
+
+/**
+ * Handles user sign-up form submission
+ * Validates the form, creates the account and signs the new user in
+ * @param {Event} e - The form submission event
+ * @returns {Promise<void>}
+ */
+async function handleSignUp(e) {
+    e.preventDefault();
+    const form = e.target;
+    const name = document.getElementById('signup-name')?.value;
+    const email = document.getElementById('signup-email')?.value;
+    const pwd = document.getElementById('signup-password')?.value;
+    const confirm = document.getElementById('signup-confirm-password')?.value;
+    if (pwd !== confirm) {
+        showToast(t('passwords_mismatch'), 'warn');
+        return;
+    }
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+        const result = await createAccount(name, email, pwd);
+        if (!result.ok) {
+            showToast(result.error, 'warn');
+            return;
+        }
+        startSession(result.account);
+        form.reset();
+        awardPoints('welcome_bonus', undefined, 'signup');
+        consumePendingInvite({ newAccount: true });
+        renderPosts();
+        showToast(t('account_created'), 'success');
+        navigate(consumeSigninRedirect());
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
+
+/**
+ * Handles user sign-in form submission
+ * Verifies the credentials and redirects to dashboard
+ * @param {Event} e - The form submission event
+ * @returns {Promise<void>}
+ */
+async function handleSignIn(e) {
+    e.preventDefault();
+    const form = e.target;
+    const email = document.getElementById('signin-email')?.value;
+    const pwd = document.getElementById('signin-password')?.value;
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+        const result = await verifyCredentials(email, pwd);
+        if (!result.ok) {
+            showToast(result.error, 'warn');
+            return;
+        }
+        startSession(result.account);
+        form.reset();
+        consumePendingInvite();
+        renderPoints();
+        renderPosts();
+        checkStreak();
+        checkBadges();
+        pullFromBackend();
+        showToast(t('signed_in'), 'success');
+        navigate(consumeSigninRedirect());
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
+
+// ========================================
+// PROFILE
+// ========================================
+
+/** Longest side, in pixels, of profile pictures */
+const AVATAR_MAX_DIMENSION = 256;
+/** Longest display name accepted by the profile form */
+const PROFILE_NAME_MAX_LENGTH = 40;
+/** Longest bio accepted by the profile form */
+const PROFILE_BIO_MAX_LENGTH = 160;
+/** Highest ward number of any municipality in Nepal */
+const MAX_WARD = 33;
+
+/** The 77 districts of Nepal; the leaderboard's local scopes compare these names */
+const NEPAL_DISTRICTS = [
+    'Achham', 'Arghakhanchi', 'Baglung', 'Baitadi', 'Bajhang', 'Bajura', 'Banke', 'Bara', 'Bardiya',
+    'Bhaktapur', 'Bhojpur', 'Chitwan', 'Dadeldhura', 'Dailekh', 'Dang', 'Darchula', 'Dhading', 'Dhankuta',
+    'Dhanusha', 'Dolakha', 'Dolpa', 'Doti', 'Eastern Rukum', 'Gorkha', 'Gulmi', 'Humla', 'Ilam', 'Jajarkot',
+    'Jhapa', 'Jumla', 'Kailali', 'Kalikot', 'Kanchanpur', 'Kapilvastu', 'Kaski', 'Kathmandu', 'Kavrepalanchok',
+    'Khotang', 'Lalitpur', 'Lamjung', 'Mahottari', 'Makwanpur', 'Manang', 'Morang', 'Mugu', 'Mustang', 'Myagdi',
+    'Nawalpur', 'Nuwakot', 'Okhaldhunga', 'Palpa', 'Panchthar', 'Parasi', 'Parbat', 'Parsa', 'Pyuthan',
+    'Ramechhap', 'Rasuwa', 'Rautahat', 'Rolpa', 'Rupandehi', 'Salyan', 'Sankhuwasabha', 'Saptari', 'Sarlahi',
+    'Sindhuli', 'Sindhupalchok', 'Siraha', 'Solukhumbu', 'Sunsari', 'Surkhet', 'Syangja', 'Tanahun',
+    'Taplejung', 'Terhathum', 'Udayapur', 'Western Rukum'
+];
+
+/**
+ * Resolves how the author of a post or comment is shown. Accounts on this
+ * device win over the name stored with the item, so renames show up at once;
+ * private accounts are shown as anonymous to everyone but themselves.
+ * @param {{authorId?: string, author?: string, authorAvatarId?: string}} item - Post or comment
+ * @returns {{name: string, avatarId: (string|null), hidden: boolean}}
+ */
+function getAuthorProfile(item) {
+    const account = item.authorId ? getAccount(item.authorId) : null;
+    if (account?.private && account.id !== getCurrentUser()) {
+        return { name: t('post_anonymous'), avatarId: null, hidden: true };
+    }
+    if (account) return { name: account.name, avatarId: account.avatarId || null, hidden: false };
+    return { name: item.author || t('post_anonymous'), avatarId: item.authorAvatarId || null, hidden: false };
+}
+
+/**
+ * Author fields stored with new posts and comments, which other devices and
+ * the backend see. Private profiles leave them empty.
+ * @param {Object|null} [account] - Defaults to the signed-in account
+ * @returns {{author: (string|null), authorAvatarId: (string|null)}}
+ */
+function getPublicAuthorFields(account = getAccount()) {
+    if (!account) return { author: getCurrentUserName(), authorAvatarId: null };
+    if (account.private) return { author: null, authorAvatarId: null };
+    return { author: account.name, authorAvatarId: account.avatarId || null };
+}
+
+/**
+ * Creates a round avatar showing a profile picture, or the name's initial without one
+ * @param {{name: string, avatarId: (string|null)}} profile
+ * @param {string} [className='avatar']
+ * @returns {HTMLElement}
+ */
+function createAvatarElement(profile, className = 'avatar') {
+    const avatar = document.createElement('span');
+    avatar.className = className;
+    avatar.setAttribute('aria-hidden', 'true');
+    fillAvatar(avatar, profile);
+    return avatar;
+}
+
+/**
+ * Replaces an avatar's content with a profile picture or the name's initial
+ * @param {HTMLElement} avatar
+ * @param {{name: string, avatarId: (string|null)}} profile
+ * @returns {void}
+ */
+function fillAvatar(avatar, profile) {
+    avatar.innerHTML = '';
+    if (profile.avatarId) {
+        const img = document.createElement('img');
+        img.alt = '';
+        loadPostImage(img, profile.avatarId);
+        avatar.appendChild(img);
+    } else {
+        avatar.innerText = (profile.name || '?').trim().charAt(0).toUpperCase() || '?';
+    }
+}
+
+/**
+ * Shows the signed-in user's avatar and name in the navbar
+ * @returns {void}
+ */
+function renderNavUser() {
+    const link = document.getElementById('nav-user');
+    if (!link) return;
+    const account = getAccount();
+    link.hidden = !account;
+    if (!account) return;
+    fillAvatar(document.getElementById('nav-user-avatar'), { name: account.name, avatarId: account.avatarId || null });
+    document.getElementById('nav-user-name').innerText = account.name;
+    link.setAttribute('aria-label', t('nav_user_label', { name: account.name }));
+}
+
+/**
+ * Formats an account's district and ward for display
+ * @param {Object} account
+ * @returns {string} Empty when no district is set
+ */
+function formatProfileLocation(account) {
+    if (!account.district) return '';
+    return account.ward
+        ? t('profile_location_ward', { ward: account.ward, district: account.district })
+        : t('profile_location_district', { district: account.district });
+}
+
+/**
+ * Renders the profile card of the signed-in user
+ * @returns {void}
+ */
+function renderProfile() {
+    const name = document.getElementById('profile-name');
+    const account = getAccount();
+    if (!name || !account) return;
+    fillAvatar(document.getElementById('profile-avatar'), { name: account.name, avatarId: account.avatarId || null });
+    name.innerText = account.name;
+    document.getElementById('profile-since').innerText = t('profile_member_since', {
+        date: formatDate(account.createdAt, { month: 'long', year: 'numeric' })
+    });
+    document.getElementById('profile-location').innerText = formatProfileLocation(account) || t('profile_no_location');
+    const bio = document.getElementById('profile-bio');
+    bio.innerText = account.bio || '';
+    bio.hidden = !account.bio;
+    document.getElementById('profile-visibility').innerText = t(account.private ? 'profile_private' : 'profile_public');
+}
+
+/**
+ * Fills the profile form with the signed-in user's current details
+ * @returns {void}
+ */
+function fillProfileForm() {
+    const account = getAccount();
+    const district = document.getElementById('profile-district');
+    if (!account || !district) return;
+    district.innerHTML = '';
+    district.appendChild(new Option(t('profile_district_none'), ''));
+    NEPAL_DISTRICTS.forEach(name => district.appendChild(new Option(name, name)));
+    district.value = account.district || '';
+    document.getElementById('profile-name-input').value = account.name;
+    document.getElementById('profile-ward').value = account.ward || '';
+    document.getElementById('profile-bio-input').value = account.bio || '';
+    document.getElementById('profile-public').checked = !account.private;
+    fillAvatar(document.getElementById('profile-avatar-preview'), { name: account.name, avatarId: account.avatarId || null });
+}
+
+/**
+ * Saves changes to the signed-in user's profile and passes the new author
+ * name and picture on to their posts and comments, so other devices and the
+ * backend see them
+ * @param {Object} changes
+ * @param {string} [changes.name]
+ * @param {string} [changes.bio]
+ * @param {string} [changes.district] - One of NEPAL_DISTRICTS, or '' for none
+ * @param {number|null} [changes.ward] - Ward number within the district
+ * @param {boolean} [changes.private] - Hide from leaderboards and as a post author
+ * @param {Blob|null} [changes.avatar] - New (already compressed) picture, or null to remove it
+ * @returns {Promise<{ok: boolean, account?: Object, error?: string}>}
+ */
+async function updateProfile(changes) {
+    const accounts = getAccounts();
+    const account = accounts[getCurrentUser()];
+    if (!account) return { ok: false, error: t('profile_signin_required') };
+
+    const updated = { ...account };
+    if ('name' in changes) {
+        updated.name = String(changes.name || '').trim();
+        if (!updated.name) return { ok: false, error: t('profile_name_required') };
+        if (updated.name.length > PROFILE_NAME_MAX_LENGTH) return { ok: false, error: t('profile_name_too_long', { max: PROFILE_NAME_MAX_LENGTH }) };
+    }
+    if ('bio' in changes) {
+        updated.bio = String(changes.bio || '').trim();
+        if (updated.bio.length > PROFILE_BIO_MAX_LENGTH) return { ok: false, error: t('profile_bio_too_long', { max: PROFILE_BIO_MAX_LENGTH }) };
+    }
+    if ('district' in changes) {
+        if (changes.district && !NEPAL_DISTRICTS.includes(changes.district)) return { ok: false, error: t('profile_district_invalid') };
+        updated.district = changes.district || null;
+    }
+    if ('ward' in changes) {
+        const ward = changes.ward === null || changes.ward === '' ? null : Number(changes.ward);
+        if (ward !== null && !(Number.isInteger(ward) && ward >= 1 && ward <= MAX_WARD)) {
+            return { ok: false, error: t('profile_ward_invalid', { max: MAX_WARD }) };
+        }
+        updated.ward = ward;
+    }
+    // A ward number means nothing without its district
+    if (!updated.district) updated.ward = null;
+    if ('private' in changes) updated.private = !!changes.private;
+
+    const oldAvatarId = account.avatarId || null;
+    if (changes.avatar) {
+        try {
+            updated.avatarId = await saveImage(changes.avatar);
+        } catch (err) {
+            return { ok: false, error: t('photo_save_failed') };
+        }
+        syncWrite('putImage', updated.avatarId, updated.id);
+    } else if (changes.avatar === null) {
+        updated.avatarId = null;
+    }
+    if (oldAvatarId && oldAvatarId !== updated.avatarId) deleteImage(oldAvatarId).catch(() => {});
+
+    accounts[updated.id] = updated;
+    saveAccounts(accounts);
+    syncWrite('putAccount', updated);
+
+    const { author, authorAvatarId } = getPublicAuthorFields(updated);
+    getPosts()
+        .filter(p => p.authorId === updated.id && (p.author !== author || (p.authorAvatarId || null) !== authorAvatarId))
+        .forEach(p => {
+            const post = updatePost(p.id, stored => Object.assign(stored, { author, authorAvatarId }));
+            if (post) syncWrite('putPost', post);
+        });
+    // Comments carry the author name too, on anyone's post
+    const isStale = cm => cm.authorId === updated.id && (cm.author ?? null) !== author;
+    getPosts()
+        .filter(p => (p.comments || []).some(isStale))
+        .forEach(p => {
+            const changed = [];
+            const post = updatePost(p.id, stored => {
+                stored.comments.filter(isStale).forEach(cm => {
+                    cm.author = author;
+                    changed.push(cm);
+                });
+            });
+            if (post) changed.forEach(cm => syncWrite('addComment', post.id, cm));
+        });
+
+    renderProfile();
+    renderNavUser();
+    renderPosts();
+    renderLeaderboard();
+    return { ok: true, account: updated };
+}
+
+// ========================================
+// POSTS/SHARE WORK FUNCTIONS
+// ========================================
+
+/**
+ * Retrieves all posts from localStorage
+ * @returns {Array} Array of post objects with id, title, description, image, createdAt, author
+ */
+function getPosts() {
+    try {
+        return JSON.parse(appStore.get('posts') || '[]');
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Saves posts array to localStorage as JSON string
+ * @param {Array} posts - Array of post objects to save
+ * @returns {void}
+ */
+function savePosts(posts) {
+    appStore.set('posts', JSON.stringify(posts));
+}
+
+/**
+ * Creates a DOM element for a single post card
+ * Builds HTML with post metadata, title, image, and description
+ * @param {Object} post - Post object containing id, title, description, image, createdAt, author
+ * @returns {HTMLElement} A div element containing the formatted post card
+ */
+function createPostElement(post) {
+    const card = document.createElement('div');
+    card.className = 'post-card';
+    card.dataset.postId = post.id;
+    const meta = document.createElement('div');
+    meta.className = 'post-meta';
+    const author = getAuthorProfile(post);
+    meta.appendChild(createAvatarElement(author, 'avatar avatar-sm'));
+    meta.appendChild(document.createTextNode(`${author.name} • ${formatDate(post.createdAt, { dateStyle: 'medium', timeStyle: 'short' })}`));
+    const title = document.createElement('h3');
+    title.innerText = post.title;
+    const desc = document.createElement('p');
+    desc.innerText = post.description;
+    card.appendChild(meta);
+    card.appendChild(title);
+
+    if (post.imageId) {
+        const img = document.createElement('img');
+        img.alt = post.title;
+        loadPostImage(img, post.imageId);
+        card.appendChild(img);
+    } else if (post.image && isSafeImageUrl(post.image)) {
+        const img = document.createElement('img');
+        img.src = post.image;
+        img.alt = post.title;
+        card.appendChild(img);
+    }
+    card.appendChild(desc);
+
+    const tags = getPostTags(post);
+    if (tags.length) {
+        const tagList = document.createElement('div');
+        tagList.className = 'post-tags';
+        tags.forEach(tag => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'post-tag';
+            chip.innerText = `#${tag}`;
+            chip.setAttribute('aria-label', t('feed_tag_show', { tag }));
+            chip.addEventListener('click', () => setFeedState({ tag }));
+            tagList.appendChild(chip);
+        });
+        card.appendChild(tagList);
+    }
+    // Like button + count
+    const actions = document.createElement('div');
+    actions.style.display = 'flex';
+    actions.style.justifyContent = 'space-between';
+    actions.style.alignItems = 'center';
+    actions.style.marginTop = '12px';
+
+    const likeBtn = document.createElement('button');
+    likeBtn.className = 'btn';
+    likeBtn.style.padding = '8px 12px';
+    likeBtn.style.borderRadius = '8px';
+    setHtml(likeBtn, html`<i class="fas fa-heart"></i> <span class="likes-count">${post.likes || 0}</span>`);
+
+    // Handle like toggle (persist per-user via likedPosts localStorage)
+    likeBtn.addEventListener('click', () => {
+        const likedPosts = getUserData('likedPosts', []);
+        const posts = getPosts();
+        const idx = posts.findIndex(p => p.id === post.id);
+        if (idx === -1) return;
+        const p = posts[idx];
+        const isLiked = likedPosts.includes(p.id);
+        if (isLiked) {
+            // unlike
+            p.likes = Math.max(0, (p.likes || 0) - 1);
+            const pos = likedPosts.indexOf(p.id);
+            if (pos > -1) likedPosts.splice(pos, 1);
+        } else {
+            p.likes = (p.likes || 0) + 1;
+            likedPosts.push(p.id);
+        }
+        savePosts(posts);
+        setUserData('likedPosts', likedPosts);
+        syncWrite('likePost', p.id, getCurrentUser(), !isLiked);
+        checkBadges();
+        // update UI count
+        likeBtn.querySelector('.likes-count').innerText = p.likes;
+        // simple animation
+        likeBtn.classList.add('active');
+        setTimeout(() => likeBtn.classList.remove('active'), 300);
+    });
+
+    actions.appendChild(likeBtn);
+
+    const tools = document.createElement('div');
+    tools.className = 'post-tools';
+    const commentBtn = createPostToolButton('fa-comment', formatNumber((post.comments || []).length), t('post_comments'));
+    commentBtn.setAttribute('aria-expanded', 'false');
+    tools.appendChild(commentBtn);
+
+    if (post.authorId && post.authorId === getCurrentUser()) {
+        const editBtn = createPostToolButton('fa-pen', '', t('post_edit'));
+        editBtn.addEventListener('click', () => startEditPost(card, post));
+        const deleteBtn = createPostToolButton('fa-trash', '', t('post_delete'));
+        deleteBtn.addEventListener('click', () => {
+            if (!confirm(t('post_delete_confirm'))) return;
+            deletePost(post.id);
+            showToast(t('post_deleted'), 'info');
+        });
+        tools.appendChild(editBtn);
+        tools.appendChild(deleteBtn);
+    } else {
+        const alreadyReported = (post.reports || []).some(r => r.userId === getCurrentUser());
+        const reportBtn = createPostToolButton('fa-flag', '', t(alreadyReported ? 'post_reported' : 'post_report'));
+        reportBtn.disabled = alreadyReported;
+        reportBtn.addEventListener('click', () => {
+            if (!isLoggedIn()) {
+                showToast(t('report_signin_required'), 'warn');
+                return;
+            }
+            const reason = prompt(t('post_report_prompt'));
+            if (reason === null) return;
+            const result = reportPost(post.id, reason);
+            showToast(result.ok ? t('post_report_thanks') : result.error, result.ok ? 'success' : 'warn');
+        });
+        tools.appendChild(reportBtn);
+    }
+    actions.appendChild(tools);
+    card.appendChild(actions);
+
+    const comments = createCommentsSection(post);
+    comments.hidden = true;
+    commentBtn.addEventListener('click', () => {
+        comments.hidden = !comments.hidden;
+        commentBtn.setAttribute('aria-expanded', String(!comments.hidden));
+    });
+    card.appendChild(comments);
+    return card;
+}
+
+/**
+ * Creates a small icon button for the post toolbar
+ * @param {string} icon - Font Awesome icon class, e.g. 'fa-flag'
+ * @param {string} text - Visible text next to the icon (may be empty)
+ * @param {string} label - Accessible label / tooltip
+ * @returns {HTMLButtonElement}
+ */
+function createPostToolButton(icon, text, label) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'post-tool';
+    btn.title = label;
+    btn.setAttribute('aria-label', label);
+    const i = document.createElement('i');
+    i.className = `fas ${icon}`;
+    btn.appendChild(i);
+    if (text) btn.appendChild(document.createTextNode(` ${text}`));
+    return btn;
+}
+
+/**
+ * Applies a change to one stored post and saves the collection
+ * @param {number} postId
+ * @param {function(Object): void} change - Mutates the post in place
+ * @returns {Object|null} The updated post, or null if it no longer exists
+ */
+function updatePost(postId, change) {
+    const posts = getPosts();
+    const post = posts.find(p => p.id === postId);
+    if (!post) return null;
+    change(post);
+    savePosts(posts);
+    return post;
+}
+
+/**
+ * Replaces a post card's title and description with an inline edit form
+ * @param {HTMLElement} card - The post card
+ * @param {Object} post - The post being edited
+ * @returns {void}
+ */
+function startEditPost(card, post) {
+    if (card.querySelector('.post-edit-form')) return;
+    const form = document.createElement('form');
+    form.className = 'post-edit-form';
+    const title = document.createElement('input');
+    title.className = 'form-control';
+    title.value = post.title;
+    title.required = true;
+    title.setAttribute('aria-label', t('post_title_label'));
+    const desc = document.createElement('textarea');
+    desc.className = 'form-control';
+    desc.rows = 3;
+    desc.value = post.description || '';
+    desc.setAttribute('aria-label', t('post_desc_label'));
+    const save = document.createElement('button');
+    save.type = 'submit';
+    save.className = 'reward-btn';
+    save.innerText = t('post_edit_save');
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'btn btn-secondary';
+    cancel.innerText = t('post_edit_cancel');
+    cancel.addEventListener('click', renderPosts);
+    form.appendChild(title);
+    form.appendChild(desc);
+    form.appendChild(save);
+    form.appendChild(cancel);
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (!title.value.trim()) {
+            showToast(t('post_title_required'), 'warn');
+            return;
+        }
+        editPost(post.id, { title: title.value.trim(), description: desc.value.trim() });
+        showToast(t('post_updated'), 'success');
+    });
+    card.querySelector('h3')?.replaceWith(form);
+    card.querySelector(':scope > p')?.remove();
+    title.focus();
+}
+
+/**
+ * Publishes a new post by the current user: saves it, queues it for the
+ * backend, refreshes the feed and awards the sharing points. An image URL
+ * that fails isSafeImageUrl() is dropped.
+ * @param {{title: string, description?: string, image?: string|null, imageId?: string|null}} fields
+ * @returns {Object} The new post
+ */
+function createPost({ title, description = '', image = null, imageId = null }) {
+    const posts = getPosts();
+    const post = {
+        id: Date.now(),
+        title,
+        description,
+        image: image && isSafeImageUrl(image) ? image : null,
+        imageId,
+        likes: 0,
+        createdAt: Date.now(),
+        ...getPublicAuthorFields(),
+        authorId: getCurrentUser()
+    };
+    posts.push(post);
+    savePosts(posts);
+    syncWrite('putPost', post);
+    renderPosts();
+    awardPoints('share_post', undefined, `post:${post.id}`);
+    checkBadges();
+    return post;
+}
+
+/**
+ * Updates the title / description of one of the signed-in user's posts
+ * @param {number} postId
+ * @param {{title?: string, description?: string}} changes
+ * @returns {Object|null} The updated post, or null if it is not the user's
+ */
+function editPost(postId, changes) {
+    const existing = getPosts().find(p => p.id === postId);
+    if (!existing || existing.authorId !== getCurrentUser()) return null;
+    const post = updatePost(postId, p => {
+        Object.assign(p, changes, { editedAt: Date.now() });
+    });
+    syncWrite('putPost', post);
+    renderPosts();
+    return post;
+}
+
+/**
+ * Deletes a post and takes back the points it earned. Allowed for its author
+ * and for moderators.
+ * @param {number} postId
+ * @returns {boolean} Whether the post was deleted
+ */
+function deletePost(postId) {
+    const posts = getPosts();
+    const post = posts.find(p => p.id === postId);
+    if (!post || (post.authorId !== getCurrentUser() && !isModerator())) return false;
+    savePosts(posts.filter(p => p.id !== postId));
+    if (post.imageId) deleteImage(post.imageId).catch(() => {});
+    syncWrite('deletePost', postId, getCurrentUser());
+    revokePostPoints(post);
+    renderPosts();
+    renderModerationQueue();
+    return true;
+}
+
+/**
+ * Adds a comment (or a reply when parentId is set) to a post
+ * @param {number} postId
+ * @param {string} text - Comment text
+ * @param {string|null} [parentId=null] - Id of the comment being replied to
+ * @returns {Object|null} The new comment, or null if invalid
+ */
+function addComment(postId, text, parentId = null) {
+    const body = String(text || '').trim();
+    if (!body || !isLoggedIn()) return null;
+    const comment = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        parentId,
+        authorId: getCurrentUser(),
+        author: getPublicAuthorFields().author,
+        text: body,
+        createdAt: Date.now()
+    };
+    const post = updatePost(postId, p => {
+        p.comments = [...(p.comments || []), comment];
+    });
+    if (!post) return null;
+    syncWrite('addComment', postId, comment);
+    return comment;
+}
+
+/**
+ * Builds the threaded comment list and reply form of a post
+ * @param {Object} post
+ * @returns {HTMLElement}
+ */
+function createCommentsSection(post) {
+    const section = document.createElement('div');
+    section.className = 'post-comments';
+    const children = {};
+    (post.comments || []).forEach(cm => {
+        const key = cm.parentId || 'root';
+        (children[key] = children[key] || []).push(cm);
+    });
+
+    const form = document.createElement('form');
+    form.className = 'comment-form';
+    const input = document.createElement('input');
+    input.className = 'form-control';
+    input.placeholder = t('comment_placeholder');
+    input.setAttribute('aria-label', t('comment_label'));
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'reward-btn';
+    submit.innerText = t('comment_reply');
+    form.appendChild(input);
+    form.appendChild(submit);
+    let replyTo = null;
+
+    const renderThread = (parentKey, depth) => {
+        const list = document.createElement('ul');
+        list.className = 'comment-thread';
+        (children[parentKey] || []).sort((a, b) => a.createdAt - b.createdAt).forEach(cm => {
+            const item = document.createElement('li');
+            item.className = 'comment';
+            const meta = document.createElement('div');
+            meta.className = 'post-meta';
+            const author = getAuthorProfile(cm).name;
+            meta.innerText = `${author} • ${formatDate(cm.createdAt, { dateStyle: 'medium', timeStyle: 'short' })}`;
+            const text = document.createElement('p');
+            text.innerText = cm.text;
+            item.appendChild(meta);
+            item.appendChild(text);
+            if (depth < 3) {
+                const reply = document.createElement('button');
+                reply.type = 'button';
+                reply.className = 'comment-reply';
+                reply.innerText = t('comment_reply');
+                reply.addEventListener('click', () => {
+                    replyTo = cm.id;
+                    input.placeholder = t('comment_replying_to', { name: author });
+                    input.focus();
+                });
+                item.appendChild(reply);
+            }
+            if (children[cm.id]) item.appendChild(renderThread(cm.id, depth + 1));
+            list.appendChild(item);
+        });
+        return list;
+    };
+
+    section.appendChild(renderThread('root', 1));
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (!isLoggedIn()) {
+            showToast(t('comment_signin_required'), 'warn');
+            return;
+        }
+        if (!addComment(post.id, input.value, replyTo)) return;
+        renderPosts();
+        // Keep the thread open after re-rendering
+        const card = document.querySelector(`.post-card[data-post-id="${post.id}"]`);
+        if (card) {
+            card.querySelector('.post-comments').hidden = false;
+            card.querySelector('.post-tool[aria-expanded]')?.setAttribute('aria-expanded', 'true');
+        }
+    });
+    section.appendChild(form);
+    return section;
+}
+
+// ---------- Feed: search, filters, sorting & paging ----------
+
+/** Posts rendered per page of the feed */
+const FEED_PAGE_SIZE = 12;
+/** Hours added to a post's age so brand new posts do not rank infinitely high */
+const TRENDING_AGE_OFFSET_HOURS = 2;
+/** How quickly likes lose weight with age (higher = faster) */
+const TRENDING_GRAVITY = 1.5;
+/** Feed state used when neither the URL nor saved state says otherwise */
+const DEFAULT_FEED_STATE = { q: '', author: '', tag: '', sort: 'newest' };
+
+/** Current search/filter/sort state of the feed */
+let feedState = { ...DEFAULT_FEED_STATE };
+/** Posts matching feedState, in display order */
+let feedResults = [];
+/** How many of feedResults are in the grid */
+let feedRendered = 0;
+/** Watches the sentinel under the grid to load the next page */
+let feedObserver = null;
+
+/**
+ * Extracts lowercase #hashtags from a post's title and description
+ * @param {Object} post
+ * @returns {string[]} Unique tags without the '#'
+ */
+function getPostTags(post) {
+    const text = `${post.title || ''} ${post.description || ''}`;
+    const tags = [...text.matchAll(/#([\p{L}\p{M}\p{N}_-]+)/gu)].map(m => m[1].toLowerCase());
+    return [...new Set(tags)];
+}
+
+/**
+ * Returns the key a post's author is filtered by (account id, or the display
+ * name for posts from before accounts existed)
+ * @param {Object} post
+ * @returns {string}
+ */
+function getPostAuthorKey(post) {
+    return post.authorId || post.author || 'Anonymous';
+}
+
+/**
+ * Trending score: likes decayed by age, so recent popular posts rise and
+ * old ones sink (score = likes / (ageHours + offset) ^ gravity)
+ * @param {Object} post
+ * @param {number} [now=Date.now()]
+ * @returns {number}
+ */
+function getTrendingScore(post, now = Date.now()) {
+    const ageHours = Math.max(0, now - post.createdAt) / 3600000;
+    return (post.likes || 0) / Math.pow(ageHours + TRENDING_AGE_OFFSET_HOURS, TRENDING_GRAVITY);
+}
+
+/**
+ * Comparators for the feed's sort options
+ */
+const FEED_SORTS = {
+    newest: (a, b) => b.createdAt - a.createdAt,
+    liked: (a, b) => (b.likes || 0) - (a.likes || 0) || b.createdAt - a.createdAt,
+    trending: (a, b, now) => getTrendingScore(b, now) - getTrendingScore(a, now) || b.createdAt - a.createdAt
+};
+
+/**
+ * Returns the visible posts matching a feed state, sorted
+ * Every search word must appear in the title or description (case-insensitive).
+ * @param {Object} [state=feedState]
+ * @returns {Object[]}
+ */
+function queryPosts(state = feedState) {
+    const words = state.q.toLowerCase().split(/\s+/).filter(Boolean);
+    const compare = FEED_SORTS[state.sort] || FEED_SORTS.newest;
+    const now = Date.now();
+    return getPosts()
+        .filter(p => !isPostHidden(p))
+        .filter(p => !state.author || getPostAuthorKey(p) === state.author)
+        .filter(p => !state.tag || getPostTags(p).includes(state.tag))
+        .filter(p => {
+            if (!words.length) return true;
+            const text = `${p.title || ''} ${p.description || ''}`.toLowerCase();
+            return words.every(w => text.includes(w));
+        })
+        .sort((a, b) => compare(a, b, now));
+}
+
+/**
+ * Normalizes a partial feed state from the URL or storage
+ * @param {Object} state
+ * @returns {{q: string, author: string, tag: string, sort: string}}
+ */
+function normalizeFeedState(state) {
+    return {
+        q: String(state.q || '').trim(),
+        author: String(state.author || ''),
+        tag: String(state.tag || '').replace(/^#/, '').toLowerCase(),
+        sort: FEED_SORTS[state.sort] ? state.sort : DEFAULT_FEED_STATE.sort
+    };
+}
+
+/**
+ * Builds the URL query for a feed state, leaving out defaults
+ * @param {Object} state
+ * @returns {string} e.g. 'q=bike&sort=trending' (empty for the default feed)
+ */
+function feedStateToQuery(state) {
+    const query = new URLSearchParams();
+    Object.keys(DEFAULT_FEED_STATE).forEach(key => {
+        if (state[key] && state[key] !== DEFAULT_FEED_STATE[key]) query.set(key, state[key]);
+    });
+    return query.toString();
+}
+
+/**
+ * Applies the feed state from the /share-work URL; without a query the last
+ * saved state is restored and written back into the URL
+ * @param {URLSearchParams} query
+ * @returns {void}
+ */
+function applyFeedQuery(query) {
+    const fromUrl = Object.keys(DEFAULT_FEED_STATE).some(key => query.has(key));
+    const state = fromUrl ? Object.fromEntries(query) : getUserData('feedState', DEFAULT_FEED_STATE);
+    setFeedState(normalizeFeedState(state), { replaceAll: true });
+}
+
+/**
+ * Updates the feed state, saves it, mirrors it in the URL and re-renders
+ * @param {Object} changes - Fields of the feed state to change
+ * @param {{replaceAll?: boolean}} [options] - replaceAll ignores the current state
+ * @returns {void}
+ */
+function setFeedState(changes, { replaceAll = false } = {}) {
+    feedState = normalizeFeedState(replaceAll ? changes : { ...feedState, ...changes });
+    setUserData('feedState', feedState);
+    if (getCurrentPath() === '/share-work') {
+        const query = feedStateToQuery(feedState);
+        // Replace rather than push so typing a search does not flood the history
+        history.replaceState(null, '', `#/share-work${query ? `?${query}` : ''}`);
+    }
+    feedRendered = 0;
+    renderPosts();
+}
+
+/**
+ * Syncs the feed controls with feedState and refreshes the author/tag options
+ * @returns {void}
+ */
+function renderFeedControls() {
+    const search = document.getElementById('feed-search');
+    const author = document.getElementById('feed-author');
+    const tag = document.getElementById('feed-tag');
+    const sort = document.getElementById('feed-sort');
+    if (!search) return;
+
+    const posts = getPosts().filter(p => !isPostHidden(p));
+    // Private authors are not offered as a filter
+    const authors = new Map(posts.map(p => [getPostAuthorKey(p), getAuthorProfile(p)])
+        .filter(([, author]) => !author.hidden)
+        .map(([key, author]) => [key, author.name]));
+    const tags = [...new Set(posts.flatMap(getPostTags))].sort();
+    const fillOptions = (select, allLabel, options) => {
+        select.innerHTML = '';
+        select.appendChild(new Option(allLabel, ''));
+        options.forEach(([value, label]) => select.appendChild(new Option(label, value)));
+    };
+    fillOptions(author, t('feed_all_authors'), [...authors].sort((a, b) => a[1].localeCompare(b[1]))
+        .map(([key, name]) => [key, key === getCurrentUser() ? t('feed_author_you', { name }) : name]));
+    fillOptions(tag, t('feed_all_tags'), tags.map(name => [name, `#${name}`]));
+    // Keep a filter selectable even if its last post has gone
+    if (feedState.author && !authors.has(feedState.author)) author.appendChild(new Option(feedState.author, feedState.author));
+    if (feedState.tag && !tags.includes(feedState.tag)) tag.appendChild(new Option(`#${feedState.tag}`, feedState.tag));
+
+    if (document.activeElement !== search) search.value = feedState.q;
+    author.value = feedState.author;
+    tag.value = feedState.tag;
+    sort.value = feedState.sort;
+}
+
+/**
+ * Appends the next page of feedResults to the grid
+ * @returns {void}
+ */
+function renderMorePosts() {
+    const grid = document.getElementById('posts-grid');
+    const more = document.getElementById('posts-more');
+    if (!grid) return;
+    const next = feedResults.slice(feedRendered, feedRendered + FEED_PAGE_SIZE);
+    next.forEach(p => grid.appendChild(createPostElement(p)));
+    feedRendered += next.length;
+    if (more) more.hidden = feedRendered >= feedResults.length;
+}
+
+/**
+ * Loads the next page when the sentinel below the grid scrolls into view
+ * (the Load more button stays as a fallback)
+ * @returns {void}
+ */
+function initFeedScroll() {
+    const more = document.getElementById('posts-more');
+    if (!more || feedObserver || !('IntersectionObserver' in window)) return;
+    feedObserver = new IntersectionObserver((entries) => {
+        if (entries.some(e => e.isIntersecting) && feedRendered < feedResults.length) renderMorePosts();
+    }, { rootMargin: '400px 0px' });
+    feedObserver.observe(more);
+}
+
+/**
+ * Renders the feed: posts matching the current search, filters and sort,
+ * leaving out posts hidden by moderation. Only the first page (or as many
+ * as were already showing) is built; the rest load as the user scrolls.
+ * @returns {void}
+ */
+function renderPosts() {
+    const grid = document.getElementById('posts-grid');
+    const noPosts = document.getElementById('no-posts');
+    const noResults = document.getElementById('no-results');
+    const count = document.getElementById('feed-count');
+    if (!grid) return;
+    renderFeedControls();
+    feedResults = queryPosts();
+    const keep = Math.max(FEED_PAGE_SIZE, feedRendered);
+    feedRendered = 0;
+    grid.innerHTML = '';
+
+    const total = getPosts().filter(p => !isPostHidden(p)).length;
+    if (noPosts) noPosts.style.display = total === 0 ? 'block' : 'none';
+    if (noResults) noResults.hidden = total === 0 || feedResults.length > 0;
+    if (count) count.innerText = total === 0 ? '' : t('feed_count', { shown: feedResults.length, count: total });
+
+    while (feedRendered < Math.min(keep, feedResults.length)) renderMorePosts();
+    const more = document.getElementById('posts-more');
+    if (more) more.hidden = feedRendered >= feedResults.length;
+}
+
+/**
+ * Scrolls to and highlights a post card (used by the /posts/:id route)
+ * @param {string|number} postId
+ * @returns {void}
+ */
+function focusPost(postId) {
+    const id = String(postId);
+    // Deep links may point past the loaded pages or outside the current filters
+    if (!feedResults.some(p => String(p.id) === id) && getPosts().some(p => String(p.id) === id)) {
+        feedState = { ...DEFAULT_FEED_STATE };
+        renderPosts();
+    }
+    const index = feedResults.findIndex(p => String(p.id) === id);
+    while (index >= feedRendered && feedRendered < feedResults.length) renderMorePosts();
+
+    const card = document.querySelector(`.post-card[data-post-id="${CSS.escape(id)}"]`);
+    if (!card) {
+        showToast(t('post_not_found'), 'warn');
+        return;
+    }
+    card.classList.add('highlight');
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setTimeout(() => card.classList.remove('highlight'), 2000);
+}
+
+// ========================================
+// IMAGE UPLOAD & STORAGE
+// ========================================
+
+/** Longest side, in pixels, of images stored with posts */
+const IMAGE_MAX_DIMENSION = 1280;
+/** Encoder quality (0-1) used when compressing images */
+const IMAGE_QUALITY = 0.8;
+/** Output format of compressed images */
+const IMAGE_TYPE = 'image/jpeg';
+
+/** IndexedDB version; service-worker.js opens the same database and must match */
+const APP_DB_VERSION = 3;
+
+let appDbPromise = null;
+
+/**
+ * Opens (and on first use creates) the app's IndexedDB database: post images,
+ * kept out of the localStorage quota, plus the background sync outbox and the
+ * daily reminder, which the service worker reads when no page is open
+ * @returns {Promise<IDBDatabase>}
+ */
+function openAppDb() {
+    if (!appDbPromise) {
+        appDbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open('ecostep', APP_DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains('images')) db.createObjectStore('images', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('outbox')) db.createObjectStore('outbox', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('reminders')) db.createObjectStore('reminders', { keyPath: 'id' });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        appDbPromise.catch(() => { appDbPromise = null; });
+    }
+    return appDbPromise;
+}
+
+/**
+ * Runs a single request against one object store
+ * @param {'images'|'outbox'|'reminders'} storeName
+ * @param {'readonly'|'readwrite'} mode
+ * @param {function(IDBObjectStore): IDBRequest} run
+ * @returns {Promise<*>} The request result
+ */
+async function dbRequest(storeName, mode, run) {
+    const db = await openAppDb();
+    return new Promise((resolve, reject) => {
+        const req = run(db.transaction(storeName, mode).objectStore(storeName));
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Stores an image blob
+ * @param {Blob} blob
+ * @returns {Promise<string>} The new image id
+ */
+async function saveImage(blob) {
+    const id = `img_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    await dbRequest('images', 'readwrite', store => store.put({ id, blob, createdAt: Date.now() }));
+    return id;
+}
+
+/**
+ * Reads an image blob
+ * @param {string} id
+ * @returns {Promise<Blob|null>}
+ */
+async function getImage(id) {
+    const record = await dbRequest('images', 'readonly', store => store.get(id));
+    return record ? record.blob : null;
+}
+
+/**
+ * Deletes a stored image
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+async function deleteImage(id) {
+    await dbRequest('images', 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Decodes an image file, honouring its EXIF orientation where supported
+ * @param {Blob} file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+async function decodeImage(file) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } catch (e) {
+            // Fall back to <img> decoding below
+        }
+    }
+    const url = URL.createObjectURL(file);
+    try {
+        const img = new Image();
+        img.src = url;
+        await img.decode();
+        return img;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Resizes and re-encodes a photo in the browser. Drawing to a canvas and
+ * re-encoding keeps only the pixels, so EXIF metadata such as GPS location,
+ * camera model and timestamps is stripped.
+ * @param {File|Blob} file - Image picked or captured by the user
+ * @param {Object} [options]
+ * @param {number} [options.maxDimension=IMAGE_MAX_DIMENSION]
+ * @param {number} [options.quality=IMAGE_QUALITY]
+ * @returns {Promise<Blob>} The compressed image
+ */
+async function compressImage(file, { maxDimension = IMAGE_MAX_DIMENSION, quality = IMAGE_QUALITY } = {}) {
+    if (!file || !/^image\//.test(file.type)) throw new Error(t('image_choose_file'));
+    const source = await decodeImage(file);
+    const scale = Math.min(1, maxDimension / Math.max(source.width, source.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(source.width * scale);
+    canvas.height = Math.round(source.height * scale);
+    const ctx = canvas.getContext('2d');
+    // JPEG has no transparency, so flatten onto white instead of black
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    if (source.close) source.close();
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not compress image'))), IMAGE_TYPE, quality);
+    });
+}
+
+/**
+ * Fills an <img> with a stored image. Falls back to the backend copy when the
+ * image was uploaded from another device.
+ * @param {HTMLImageElement} img
+ * @param {string} imageId
+ * @returns {Promise<void>}
+ */
+async function loadPostImage(img, imageId) {
+    try {
+        const blob = await getImage(imageId);
+        if (blob) {
+            const url = URL.createObjectURL(blob);
+            img.addEventListener('load', () => URL.revokeObjectURL(url), { once: true });
+            img.src = url;
+            return;
+        }
+    } catch (e) {
+        // IndexedDB unavailable (e.g. private mode); try the backend copy
+    }
+    const baseUrl = getApiBaseUrl();
+    if (baseUrl) img.src = `${baseUrl.replace(/\/+$/, '')}/images/${encodeURIComponent(imageId)}`;
+    else img.remove();
+}
+
+/**
+ * Reads a blob as base64 (without the data: URL prefix)
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+function blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Formats a byte count for display, e.g. '182 KB'
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+// ========================================
+// COMMUNITY MODERATION
+// ========================================
+
+/** Reports after which a post is hidden until a moderator reviews it */
+const DEFAULT_REPORT_THRESHOLD = 3;
+
+/**
+ * Checks whether the signed-in user may use the moderator queue. The role is
+ * granted by the backend (see refreshApiSession) and never by the app itself.
+ * @returns {boolean}
+ */
+function isModerator() {
+    return getAccount()?.role === 'moderator';
+}
+
+/**
+ * Route guard: only moderators
+ * @returns {string|null} Redirect path, or null to allow
+ */
+function requireModerator() {
+    return isModerator() ? null : '/dashboard';
+}
+
+/**
+ * Returns the configured report threshold (moderators can change it in the queue view)
+ * @returns {number}
+ */
+function getReportThreshold() {
+    const value = parseInt(appStore.get('reportThreshold'), 10);
+    return value > 0 ? value : DEFAULT_REPORT_THRESHOLD;
+}
+
+/**
+ * Checks whether a post has been hidden by community reports
+ * @param {Object} post
+ * @returns {boolean}
+ */
+function isPostHidden(post) {
+    return post.moderation !== 'approved' && (post.reports || []).length >= getReportThreshold();
+}
+
+/**
+ * Reports a post as inappropriate. Each user can report a post once and
+ * cannot report their own posts.
+ * @param {number} postId
+ * @param {string} [reason='']
+ * @returns {{ok: boolean, error?: string}}
+ */
+function reportPost(postId, reason = '') {
+    const userId = getCurrentUser();
+    const post = getPosts().find(p => p.id === postId);
+    if (!post || !userId) return { ok: false, error: t('error_post_not_found') };
+    if (post.authorId === userId) return { ok: false, error: t('error_report_own_post') };
+    if ((post.reports || []).some(r => r.userId === userId)) return { ok: false, error: t('error_report_twice') };
+    const report = { userId, reason: String(reason).trim(), createdAt: Date.now() };
+    updatePost(postId, p => {
+        p.reports = [...(p.reports || []), report];
+        // A new report re-opens a post that a moderator kept earlier
+        if (p.moderation === 'approved') p.moderation = 'pending';
+    });
+    syncWrite('reportPost', postId, report);
+    renderPosts();
+    renderModerationQueue();
+    return { ok: true };
+}
+
+/**
+ * Keeps a reported post visible and clears its reports
+ * @param {number} postId
+ * @returns {void}
+ */
+function approvePost(postId) {
+    if (!isModerator()) return;
+    const post = updatePost(postId, p => {
+        p.reports = [];
+        p.moderation = 'approved';
+    });
+    if (post) syncWrite('moderatePost', postId, getCurrentUser(), 'approved');
+    renderPosts();
+    renderModerationQueue();
+}
+
+/**
+ * Renders the moderator queue: every post with open reports, most reported first
+ * @returns {void}
+ */
+function renderModerationQueue() {
+    const list = document.getElementById('moderation-queue');
+    const empty = document.getElementById('no-reports');
+    const threshold = document.getElementById('report-threshold');
+    if (threshold && document.activeElement !== threshold) threshold.value = getReportThreshold();
+    if (!list) return;
+    list.innerHTML = '';
+    if (!isModerator()) return;
+    const reported = getPosts()
+        .filter(p => (p.reports || []).length > 0)
+        .sort((a, b) => b.reports.length - a.reports.length);
+    if (empty) empty.style.display = reported.length ? 'none' : 'block';
+    reported.forEach(post => {
+        const item = document.createElement('div');
+        item.className = 'dashboard-card moderation-item';
+        const title = document.createElement('h4');
+        title.innerText = post.title;
+        const meta = document.createElement('div');
+        meta.className = 'post-meta';
+        meta.innerText = [
+            getAuthorProfile(post).name,
+            t('moderation_reports', { count: post.reports.length }),
+            ...(isPostHidden(post) ? [t('moderation_hidden')] : [])
+        ].join(' • ');
+        const reasons = document.createElement('ul');
+        reasons.className = 'moderation-reasons';
+        post.reports.filter(r => r.reason).forEach(r => {
+            const li = document.createElement('li');
+            li.innerText = r.reason;
+            reasons.appendChild(li);
+        });
+        const actions = document.createElement('div');
+        actions.className = 'moderation-actions';
+        const keep = document.createElement('button');
+        keep.className = 'reward-btn';
+        keep.innerText = t('moderation_keep');
+        keep.addEventListener('click', () => {
+            approvePost(post.id);
+            showToast(t('post_restored'), 'success');
+        });
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-secondary';
+        remove.innerText = t('moderation_remove');
+        remove.addEventListener('click', () => {
+            if (!confirm(t('moderation_remove_confirm'))) return;
+            deletePost(post.id);
+            showToast(t('post_removed'), 'info');
+        });
+        const view = document.createElement('a');
+        view.href = `#/posts/${post.id}`;
+        view.innerText = t('moderation_view');
+        actions.appendChild(keep);
+        actions.appendChild(remove);
+        if (!isPostHidden(post)) actions.appendChild(view);
+        item.appendChild(title);
+        item.appendChild(meta);
+        item.appendChild(reasons);
+        item.appendChild(actions);
+        list.appendChild(item);
+    });
+}
+
+// ========================================
+// BACKEND SYNC LAYER
+// ========================================
+
+/**
+ * Every backend adapter implements the same async interface:
+ * listPosts(), putPost(post), deletePost(postId, userId), likePost(postId, userId, liked),
+ * addComment(postId, comment), reportPost(postId, report), moderatePost(postId, userId, status),
+ * putImage(imageId, userId),
+ * getLedger(userId), appendLedgerEntry(userId, entry), findInviter(code), redeemInvite(userId, code),
+ * register(account), putAccount(account), login(email, password).
+ * Adapters that talk to a server may also implement describeWrite(method, ...args)
+ * so queued writes can be handed to the service worker for background sync.
+ *
+ * localStorage is always the app's working copy; writes are replayed against the
+ * active adapter through the sync queue, and pullFromBackend() merges remote data back.
+ */
+
+/**
+ * Adapter that keeps everything on this device. Writes are idempotent upserts
+ * into the same keys the app reads, so replaying them is always safe.
+ */
+const LocalStorageAdapter = {
+    name: 'local',
+    async listPosts() {
+        return getPosts();
+    },
+    async putPost(post) {
+        const posts = getPosts();
+        const idx = posts.findIndex(p => p.id === post.id);
+        if (idx === -1) posts.push(post);
+        else posts[idx] = { ...posts[idx], ...post };
+        savePosts(posts);
+        return post;
+    },
+    async deletePost(postId) {
+        savePosts(getPosts().filter(p => p.id !== postId));
+    },
+    async likePost(postId) {
+        return { likes: getPosts().find(p => p.id === postId)?.likes || 0 };
+    },
+    async addComment(postId, comment) {
+        updatePost(postId, p => {
+            if (!(p.comments || []).some(cm => cm.id === comment.id)) p.comments = [...(p.comments || []), comment];
+        });
+        return comment;
+    },
+    async reportPost(postId, report) {
+        updatePost(postId, p => {
+            if (!(p.reports || []).some(r => r.userId === report.userId)) p.reports = [...(p.reports || []), report];
+        });
+        return report;
+    },
+    async moderatePost(postId, userId, status) {
+        updatePost(postId, p => {
+            p.moderation = status;
+            if (status === 'approved') p.reports = [];
+        });
+    },
+    async putImage() {
+        // Images already live in this device's IndexedDB
+    },
+    async getLedger(userId) {
+        return getLedger(userId);
+    },
+    async appendLedgerEntry(userId, entry) {
+        return appendLedgerEntryFor(userId, entry);
+    },
+    async findInviter(code) {
+        const account = findAccountByReferralCode(code);
+        return account ? { id: account.id, name: account.name } : null;
+    },
+    async redeemInvite() {
+        // Friendship and bonuses were already recorded on this device by redeemInvite()
+    },
+    async register() {
+        // createAccount() already saved the account on this device
+    },
+    async putAccount() {
+        // Profile changes are already saved on this device
+    },
+    async login(email) {
+        return { account: findAccountByEmail(email) };
+    }
+};
+
+/** Account fields sent to the backend when a profile changes (see PUT /api/users/:id) */
+const SYNCED_PROFILE_FIELDS = ['name', 'avatarId', 'bio', 'district', 'ward', 'private', 'referralCode'];
+
+/**
+ * Copies the listed fields of an object that are set
+ * @param {Object} source
+ * @param {string[]} fields
+ * @returns {Object}
+ */
+function pickFields(source, fields) {
+    return Object.fromEntries(fields.filter(f => source[f] !== undefined).map(f => [f, source[f]]));
+}
+
+/**
+ * Creates an adapter for the Eco Step REST API (see server/mock-server.js)
+ * @param {string} baseUrl - API root, e.g. 'http://localhost:3000/api'
+ * @returns {Object} Adapter implementing the backend interface
+ */
+function createHttpAdapter(baseUrl) {
+    const root = baseUrl.replace(/\/+$/, '');
+
+    // Writes the service worker may replay, as [method, path, body, userId]
+    const writes = {
+        putPost: (post) => ['PUT', `/posts/${encodeURIComponent(post.id)}`, post, post.authorId],
+        likePost: (postId, userId, liked) => ['POST', `/posts/${encodeURIComponent(postId)}/like`, { userId, liked }, userId],
+        addComment: (postId, comment) => ['POST', `/posts/${encodeURIComponent(postId)}/comments`, comment, comment.authorId],
+        appendLedgerEntry: (userId, entry) => ['POST', `/users/${encodeURIComponent(userId)}/ledger`, entry, userId],
+        redeemInvite: (userId, code) => ['POST', `/users/${encodeURIComponent(userId)}/referral`, { code }, userId],
+        putAccount: (account) => ['PUT', `/users/${encodeURIComponent(account.id)}`, pickFields(account, SYNCED_PROFILE_FIELDS), account.id]
+    };
+
+    function buildRequest(method, path, body, userId = getCurrentUser()) {
+        const headers = { 'Content-Type': 'application/json' };
+        const token = userId && appStore.get(userStorageKey('apiToken', userId));
+        if (token) headers.Authorization = `Bearer ${token}`;
+        return { url: root + path, method, headers, body: body === undefined ? undefined : JSON.stringify(body) };
+    }
+
+    async function request(...args) {
+        const { url, ...init } = buildRequest(...args);
+        const res = await fetch(url, init);
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            const err = new Error(data.error || `Request failed with status ${res.status}`);
+            err.status = res.status;
+            throw err;
+        }
+        return data;
+    }
+
+    return {
+        name: 'http',
+        async listPosts() {
+            return (await request('GET', '/posts')).posts;
+        },
+        async putPost(post) {
+            return (await request(...writes.putPost(post))).post;
+        },
+        async deletePost(postId, userId) {
+            return request('DELETE', `/posts/${encodeURIComponent(postId)}`, undefined, userId);
+        },
+        async likePost(postId, userId, liked) {
+            return request(...writes.likePost(postId, userId, liked));
+        },
+        async addComment(postId, comment) {
+            return (await request(...writes.addComment(postId, comment))).comment;
+        },
+        async reportPost(postId, report) {
+            return (await request('POST', `/posts/${encodeURIComponent(postId)}/reports`, report, report.userId)).report;
+        },
+        async moderatePost(postId, userId, status) {
+            return request('POST', `/posts/${encodeURIComponent(postId)}/moderation`, { status }, userId);
+        },
+        async putImage(imageId, userId) {
+            // The blob is read at upload time so queued uploads do not bloat localStorage
+            const blob = await getImage(imageId);
+            if (!blob) return;
+            const { url, ...init } = buildRequest('PUT', `/images/${encodeURIComponent(imageId)}`, undefined, userId);
+            const res = await fetch(url, { ...init, headers: { ...init.headers, 'Content-Type': blob.type }, body: blob });
+            if (!res.ok) {
+                const err = new Error(`Image upload failed with status ${res.status}`);
+                err.status = res.status;
+                throw err;
+            }
+        },
+        async getLedger(userId) {
+            return (await request('GET', `/users/${encodeURIComponent(userId)}/ledger`, undefined, userId)).ledger;
+        },
+        async appendLedgerEntry(userId, entry) {
+            return (await request(...writes.appendLedgerEntry(userId, entry))).entry;
+        },
+        async findInviter(code) {
+            try {
+                return (await request('GET', `/invites/${encodeURIComponent(code)}`, undefined, null)).inviter;
+            } catch (err) {
+                if (err.status === 404) return null;
+                throw err;
+            }
+        },
+        async redeemInvite(userId, code) {
+            return request(...writes.redeemInvite(userId, code));
+        },
+        async register(account) {
+            const data = await request('POST', '/auth/register', account, null);
+            appStore.set(userStorageKey('apiToken', account.id), data.token);
+            return data;
+        },
+        async putAccount(account) {
+            return (await request(...writes.putAccount(account))).account;
+        },
+        async login(email, password) {
+            const { salt, iterations } = await request('GET', `/auth/account?email=${encodeURIComponent(email)}`, undefined, null);
+            const authKey = await deriveAuthKey(password, base64ToBytes(salt), iterations);
+            const data = await request('POST', '/auth/login', { email, authKey }, null);
+            appStore.set(userStorageKey('apiToken', data.account.id), data.token);
+            return data;
+        },
+        /**
+         * Describes a queued write as a plain HTTP request the service worker can
+         * send without this page (images are read from IndexedDB by id instead)
+         * @returns {Object|null} Outbox record fields, or null if it cannot be replayed there
+         */
+        describeWrite(method, ...args) {
+            if (method === 'putImage') {
+                const [imageId, userId] = args;
+                return { ...buildRequest('PUT', `/images/${encodeURIComponent(imageId)}`, undefined, userId), imageId };
+            }
+            return writes[method] ? buildRequest(...writes[method](...args)) : null;
+        }
+    };
+}
+
+/**
+ * Resolves the configured API root: a localStorage 'apiBaseUrl' override, then
+ * the <meta name="ecostep-api"> tag. Empty means local-only mode.
+ * @returns {string}
+ */
+function getApiBaseUrl() {
+    return appStore.get('apiBaseUrl')
+        || document.querySelector('meta[name="ecostep-api"]')?.content
+        || '';
+}
+
+let activeBackend = null;
+
+/**
+ * Returns the active backend adapter (HTTP when an API root is configured)
+ * @returns {Object}
+ */
+function getBackend() {
+    const baseUrl = getApiBaseUrl();
+    if (!activeBackend || activeBackend.baseUrl !== baseUrl) {
+        activeBackend = baseUrl
+            ? { ...createHttpAdapter(baseUrl), baseUrl }
+            : { ...LocalStorageAdapter, baseUrl };
+    }
+    return activeBackend;
+}
+
+/**
+ * Reads the queue of writes waiting to be sent to the backend
+ * @returns {Array} Queued operations { id, method, args, attempts, nextAttemptAt }
+ */
+function getSyncQueue() {
+    try {
+        return JSON.parse(appStore.get('syncQueue') || '[]');
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Saves the sync queue
+ * @param {Array} queue
+ * @returns {void}
+ */
+function saveSyncQueue(queue) {
+    appStore.set('syncQueue', JSON.stringify(queue));
+}
+
+/**
+ * Queues a write for the backend and tries to send it straight away
+ * @param {string} method - Adapter method name, e.g. 'putPost'
+ * @param {...*} args - Arguments passed to the adapter method
+ * @returns {void}
+ */
+function syncWrite(method, ...args) {
+    const queue = getSyncQueue();
+    queue.push({ id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, method, args, attempts: 0, nextAttemptAt: 0 });
+    saveSyncQueue(queue);
+    flushSyncQueue();
+}
+
+let syncFlushing = false;
+let syncFlushAgain = false;
+let syncRetryTimer = null;
+
+/**
+ * Replaces a queued operation with an updated copy, keeping operations queued
+ * in the meantime
+ * @param {Object} op
+ * @returns {void}
+ */
+function updateQueuedOp(op) {
+    const current = getSyncQueue();
+    const idx = current.findIndex(q => q.id === op.id);
+    if (idx > -1) current[idx] = op;
+    saveSyncQueue(current);
+}
+
+/**
+ * Releases writes held back by a missing or expired token once the backend
+ * session is renewed, and sends them. Each gets one more try: a write still
+ * refused after signing in again is dropped like any other rejected write.
+ * @returns {void}
+ */
+function resumeHeldSyncWrites() {
+    const queue = getSyncQueue();
+    if (queue.some(op => op.heldForAuth)) {
+        saveSyncQueue(queue.map(op => op.heldForAuth ? { ...op, heldForAuth: false, authRetried: true } : op));
+    }
+    flushSyncQueue();
+}
+
+/**
+ * Replays queued writes in order. Network and server (5xx) failures keep the
+ * operation at the head of the queue and retry with exponential backoff.
+ * 401/403 answers mean the token is missing or expired, so the queue waits
+ * until the user signs in again (see resumeHeldSyncWrites); other rejected
+ * (4xx) operations are dropped so they cannot block the queue.
+ * Whenever the queue stalls, its writes are also handed to the service worker
+ * so Background Sync can deliver them even if this page is closed.
+ * @returns {Promise<void>}
+ */
+async function flushSyncQueue() {
+    if (syncFlushing) {
+        // Writes queued mid-flush get another pass once this one finishes
+        syncFlushAgain = true;
+        return;
+    }
+    syncFlushing = true;
+    syncFlushAgain = false;
+    clearTimeout(syncRetryTimer);
+    try {
+        const backend = getBackend();
+        let queue = getSyncQueue();
+        while (queue.length > 0) {
+            const op = queue[0];
+            if (op.heldForAuth) break;
+            if (op.nextAttemptAt > Date.now()) {
+                syncRetryTimer = setTimeout(flushSyncQueue, op.nextAttemptAt - Date.now());
+                await mirrorQueueToOutbox(backend);
+                break;
+            }
+            if (navigator.onLine === false) {
+                await mirrorQueueToOutbox(backend);
+                break;
+            }
+            try {
+                // Skip writes the service worker already delivered
+                if (!op.outboxed || await isInOutbox(op.id)) await backend[op.method](...op.args);
+                if (op.outboxed) await removeFromOutbox([op.id]);
+            } catch (err) {
+                if ((err.status === 401 || err.status === 403) && !op.authRetried) {
+                    op.heldForAuth = true;
+                    updateQueuedOp(op);
+                    break;
+                } else if (err.status >= 400 && err.status < 500) {
+                    console.warn(`Sync dropped ${op.method}:`, err.message);
+                } else {
+                    op.attempts += 1;
+                    op.nextAttemptAt = Date.now() + Math.min(1000 * 2 ** op.attempts, 5 * 60 * 1000);
+                    // Re-read so operations queued while we were waiting are kept
+                    updateQueuedOp(op);
+                    syncRetryTimer = setTimeout(flushSyncQueue, op.nextAttemptAt - Date.now());
+                    await mirrorQueueToOutbox(backend);
+                    break;
+                }
+            }
+            queue = getSyncQueue().filter(q => q.id !== op.id);
+            saveSyncQueue(queue);
+        }
+    } finally {
+        syncFlushing = false;
+        if (syncFlushAgain) flushSyncQueue();
+    }
+}
+
+/**
+ * Fetches posts and the signed-in user's ledger from the backend and merges them
+ * into the local copy. Remote posts win on conflicting ids and posts deleted
+ * remotely are dropped; ledgers are unioned
+ * by entry id since they are append-only.
+ * @returns {Promise<void>}
+ */
+async function pullFromBackend() {
+    const backend = getBackend();
+    if (backend.name === 'local') return;
+    try {
+        const remotePosts = await backend.listPosts();
+        // Local posts missing remotely were deleted there, unless they are still waiting to upload
+        const pending = new Set(getSyncQueue().filter(q => q.method === 'putPost').map(q => q.args[0].id));
+        const remoteIds = new Set(remotePosts.map(p => p.id));
+        const byId = new Map(getPosts().filter(p => remoteIds.has(p.id) || pending.has(p.id)).map(p => [p.id, p]));
+        remotePosts.forEach(p => byId.set(p.id, { ...byId.get(p.id), ...p }));
+        savePosts([...byId.values()]);
+
+        const user = getCurrentUser();
+        if (user) {
+            const remoteLedger = await backend.getLedger(user);
+            const local = getLedger(user);
+            const known = new Set(local.map(e => e.id));
+            const merged = [...local, ...remoteLedger.filter(e => !known.has(e.id))]
+                .sort((a, b) => a.timestamp - b.timestamp);
+            setUserData('pointsLedger', merged);
+        }
+        renderPosts();
+        renderPoints();
+        checkBadges();
+    } catch (err) {
+        console.warn('Sync pull failed:', err.message);
+    }
+}
+
+// ========================================
+// SERVICE WORKER & BACKGROUND SYNC
+// ========================================
+
+/** Background Sync tag the service worker replays the outbox on */
+const OUTBOX_SYNC_TAG = 'ecostep-outbox';
+
+/**
+ * Copies queued writes that the service worker can send on its own into the
+ * IndexedDB outbox and asks for a Background Sync. Writes stay in the
+ * localStorage queue too; both sides skip what the other already delivered.
+ * @param {Object} backend - Active adapter
+ * @returns {Promise<void>}
+ */
+async function mirrorQueueToOutbox(backend) {
+    if (!backend.describeWrite) return;
+    const queue = getSyncQueue();
+    const fresh = queue.filter(op => !op.outboxed);
+    if (!fresh.length) return;
+    try {
+        for (const op of fresh) {
+            const record = backend.describeWrite(op.method, ...op.args);
+            if (!record) continue;
+            await dbRequest('outbox', 'readwrite', store => store.put({ id: op.id, queuedAt: Date.now(), ...record }));
+            op.outboxed = true;
+        }
+    } catch (err) {
+        console.warn('Could not hand writes to the service worker:', err.message);
+    }
+    // Re-read so operations queued meanwhile are kept
+    const marked = new Set(fresh.filter(op => op.outboxed).map(op => op.id));
+    saveSyncQueue(getSyncQueue().map(op => marked.has(op.id) ? { ...op, outboxed: true } : op));
+    if (marked.size) requestBackgroundSync();
+}
+
+/**
+ * Checks whether a write is still waiting in the outbox
+ * @param {string} id - Sync queue operation id
+ * @returns {Promise<boolean>} True when waiting (or when the outbox cannot be read)
+ */
+async function isInOutbox(id) {
+    try {
+        return !!(await dbRequest('outbox', 'readonly', store => store.get(id)));
+    } catch (err) {
+        return true;
+    }
+}
+
+/**
+ * Removes delivered writes from the outbox
+ * @param {string[]} ids - Sync queue operation ids
+ * @returns {Promise<void>}
+ */
+async function removeFromOutbox(ids) {
+    try {
+        for (const id of ids) await dbRequest('outbox', 'readwrite', store => store.delete(id));
+    } catch (err) {
+        // The outbox is best effort; the sync queue remains the source of truth
+    }
+}
+
+/**
+ * Registers a Background Sync so the service worker replays the outbox once
+ * the device is back online (browsers without the API rely on the page's
+ * own retries)
+ * @returns {Promise<void>}
+ */
+async function requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+        const reg = await navigator.serviceWorker.ready;
+        if (reg.sync) await reg.sync.register(OUTBOX_SYNC_TAG);
+    } catch (err) {
+        console.warn('Background sync unavailable:', err.message);
+    }
+}
+
+/**
+ * Offers to reload when a new service worker version has installed and is
+ * waiting; accepting tells it to take over, and the page reloads once it has
+ * @param {ServiceWorker} worker - The waiting worker
+ * @returns {void}
+ */
+function showUpdatePrompt(worker) {
+    showToast(t('update_available'), 'info', 0, {
+        label: t('update_reload'),
+        onClick: () => worker.postMessage({ type: 'SKIP_WAITING' })
+    });
+}
+
+/**
+ * Registers the service worker, watches for updates and handles its messages
+ * @returns {void}
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    // The first install takes control without a reload; only later swaps need one
+    let reloading = false;
+    const hadController = !!navigator.serviceWorker.controller;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!hadController || reloading) return;
+        reloading = true;
+        location.reload();
+    });
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        // The service worker delivered outbox writes while this page was away or busy
+        if (event.data?.type === 'OUTBOX_REPLAYED') {
+            const done = new Set(event.data.ids);
+            saveSyncQueue(getSyncQueue().filter(op => !done.has(op.id)));
+            pullFromBackend();
+        }
+    });
+
+    navigator.serviceWorker.register('service-worker.js').then(reg => {
+        console.log('Service Worker registered:', reg.scope);
+        if (reg.waiting && navigator.serviceWorker.controller) showUpdatePrompt(reg.waiting);
+        reg.addEventListener('updatefound', () => {
+            const worker = reg.installing;
+            worker?.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+            });
+        });
+    }).catch(err => console.warn('SW registration failed:', err));
+}
+
+// ========================================
+// ECO POINTS LEDGER
+// ========================================
+
+/**
+ * Known ledger action types with the message key of their display label and
+ * their default award
+ */
+const POINT_ACTIONS = {
+    welcome_bonus: { labelKey: 'activity_welcome_bonus', points: 50 },
+    share_post: { labelKey: 'activity_share_post', points: 20 },
+    post_removed: { labelKey: 'activity_post_removed', points: 0 },
+    challenge_complete: { labelKey: 'activity_challenge_complete', points: 0 },
+    reward_claim: { labelKey: 'activity_reward_claim', points: 0 },
+    referral_bonus: { labelKey: 'activity_referral_bonus', points: 100 }
+};
+
+/**
+ * Retrieves the ledger of every account on this device
+ * @returns {Object} Map of user id to array of ledger entries
+ */
+function getAllLedgers() {
+    return Object.keys(getAccounts()).reduce((all, id) => {
+        all[id] = getLedger(id);
+        return all;
+    }, {});
+}
+
+/**
+ * Retrieves the ledger entries for a single user, oldest first
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {Array} Array of entries with id, action, points, timestamp, source
+ */
+function getLedger(user = getCurrentUser()) {
+    return user ? getUserData('pointsLedger', [], user) : [];
+}
+
+/**
+ * Appends an entry to the current user's ledger. Entries are never edited or
+ * removed; corrections and spending are recorded as new (negative) entries.
+ * @param {string} action - Action type, ideally a key of POINT_ACTIONS
+ * @param {number} [points] - Points to award (defaults to the action's award)
+ * @param {string} [source=''] - Where the award came from, e.g. 'post:1700000000000'
+ * @param {Object} [details={}] - Extra fields stored on the entry (e.g. quantity, unit, co2Kg)
+ * @returns {Object|null} The appended ledger entry, or null when nobody is signed in
+ */
+function awardPoints(action, points, source = '', details = {}) {
+    const amount = points ?? POINT_ACTIONS[action]?.points ?? 0;
+    if (!getCurrentUser()) return null;
+    const entry = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        action,
+        points: amount,
+        timestamp: Date.now(),
+        source,
+        ...details
+    };
+    setUserData('pointsLedger', [...getLedger(), entry]);
+    syncWrite('appendLedgerEntry', getCurrentUser(), entry);
+    renderPoints();
+    return entry;
+}
+
+/**
+ * Appends an entry to any account's ledger on this device, unless an entry
+ * with the same id is already there
+ * @param {string} user - User id
+ * @param {Object} entry - Complete ledger entry
+ * @returns {Object} The entry
+ */
+function appendLedgerEntryFor(user, entry) {
+    const ledger = getLedger(user);
+    if (!ledger.some(e => e.id === entry.id)) {
+        appStore.set(userStorageKey('pointsLedger', user), JSON.stringify([...ledger, entry]));
+    }
+    return entry;
+}
+
+/**
+ * Takes back the points a deleted post earned, so sharing and deleting cannot
+ * be repeated for points. The entry id comes from the post, like the one the
+ * server records when it deletes the post, so the reversal counts only once.
+ * @param {Object} post - The deleted post
+ * @returns {Object|null} The reversal entry, or null when nothing was left to take back
+ */
+function revokePostPoints(post) {
+    const source = `post:${post.id}`;
+    const earned = getLedger(post.authorId).filter(e => e.source === source).reduce((sum, e) => sum + (e.points || 0), 0);
+    if (earned <= 0) return null;
+    const entry = appendLedgerEntryFor(post.authorId, { id: `post-${post.id}-removed`, action: 'post_removed', points: -earned, timestamp: Date.now(), source });
+    // When a moderator deletes the post, the backend records the author's reversal
+    if (post.authorId === getCurrentUser()) syncWrite('appendLedgerEntry', post.authorId, entry);
+    renderPoints();
+    return entry;
+}
+
+/**
+ * Sums the ledger of a user into their current balance
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {number} Total points
+ */
+function getPointsBalance(user = getCurrentUser()) {
+    return getLedger(user).reduce((sum, e) => sum + (e.points || 0), 0);
+}
+
+/**
+ * Resolves the display label for a ledger action type
+ * @param {string} action - Action type
+ * @returns {string}
+ */
+function getActionLabel(action) {
+    const key = POINT_ACTIONS[action]?.labelKey || ECO_ACTIONS[action]?.labelKey;
+    return key ? t(key) : action;
+}
+
+/**
+ * Formats a points value with thousands separators
+ * @param {number} points
+ * @returns {string}
+ */
+function formatPoints(points) {
+    return formatNumber(points || 0);
+}
+
+/**
+ * Creates a DOM element for a single activity history row
+ * @param {Object} entry - Ledger entry
+ * @returns {HTMLElement}
+ */
+function createActivityElement(entry) {
+    const row = document.createElement('div');
+    row.className = 'activity-item';
+    const label = document.createElement('div');
+    const unitKey = ECO_ACTIONS[entry.action]?.unitKey;
+    label.innerText = entry.quantity
+        ? `${getActionLabel(entry.action)} • ${formatNumber(entry.quantity)} ${unitKey ? t(unitKey) : entry.unit}`
+        : getActionLabel(entry.action);
+    const pts = document.createElement('div');
+    pts.className = 'activity-points' + (entry.points < 0 ? ' negative' : '');
+    pts.innerText = t('points_amount', { points: `${entry.points < 0 ? '' : '+'}${formatPoints(entry.points)}` });
+    row.appendChild(label);
+    row.appendChild(pts);
+    return row;
+}
+
+/**
+ * Renders the dashboard points balance from the ledger
+ * @returns {void}
+ */
+function renderPointsDisplay() {
+    const el = document.getElementById('points-display');
+    if (el) el.innerText = formatPoints(getPointsBalance());
+}
+
+/**
+ * Renders the profile Activity History from the ledger (newest first)
+ * @param {number} [limit=10] - Maximum number of rows to show
+ * @returns {void}
+ */
+function renderActivityHistory(limit = 10) {
+    const list = document.getElementById('activity-history');
+    const empty = document.getElementById('no-activity');
+    if (!list) return;
+    const entries = getLedger().slice().sort((a, b) => b.timestamp - a.timestamp).slice(0, limit);
+    list.innerHTML = '';
+    if (entries.length === 0) {
+        if (empty) empty.style.display = 'block';
+        return;
+    }
+
+    if (empty) empty.style.display = 'none';
+    entries.forEach(e => list.appendChild(createActivityElement(e)));
+}
+
+/**
+ * Re-renders every view that is driven by the points ledger
+ * @returns {void}
+ */
+function renderPoints() {
+    renderPointsDisplay();
+    renderActivityHistory();
+    renderLeaderboard();
+    renderImpactTotals();
+    renderChallenges();
+    renderRewards();
+    renderFriends();
+    renderBadges();
+    renderStreak();
+    renderProgressCharts();
+}
+
+// ========================================
+// LEADERBOARD
+// ========================================
+
+/** Time windows the leaderboard can rank by */
+const LEADERBOARD_PERIODS = ['week', 'month', 'all'];
+/** Who the signed-in user is ranked against */
+const LEADERBOARD_SCOPES = ['global', 'friends', 'district', 'ward'];
+const DEFAULT_LEADERBOARD_STATE = { period: 'week', scope: 'global' };
+
+/**
+ * Reads the signed-in user's leaderboard choice, falling back to the defaults
+ * @returns {{period: string, scope: string}}
+ */
+function getLeaderboardState() {
+    const state = getUserData('leaderboardState', DEFAULT_LEADERBOARD_STATE) || {};
+    return {
+        period: LEADERBOARD_PERIODS.includes(state.period) ? state.period : DEFAULT_LEADERBOARD_STATE.period,
+        scope: LEADERBOARD_SCOPES.includes(state.scope) ? state.scope : DEFAULT_LEADERBOARD_STATE.scope
+    };
+}
+
+/**
+ * Stores a change to the leaderboard choice and re-renders it
+ * @param {{period?: string, scope?: string}} changes
+ * @returns {void}
+ */
+function setLeaderboardState(changes) {
+    if (getCurrentUser()) setUserData('leaderboardState', { ...getLeaderboardState(), ...changes });
+    renderLeaderboard();
+}
+
+/**
+ * Returns the time window a leaderboard period covers and the window rank
+ * changes are measured against: last week, last month, or (for all time)
+ * the standings as they were when this week began
+ * @param {'week'|'month'|'all'} period
+ * @param {Date} [now=new Date()]
+ * @returns {{current: {start: number, end: number}, previous: {start: number, end: number}}}
+ */
+function getLeaderboardWindows(period, now = new Date()) {
+    if (period === 'all') {
+        return {
+            current: { start: -Infinity, end: Infinity },
+            previous: { start: -Infinity, end: startOfPeriod('week', now) }
+        };
+    }
+    const start = startOfPeriod(period, now);
+    return {
+        current: { start, end: Infinity },
+        previous: { start: startOfPeriod(period, new Date(start - 1)), end: start }
+    };
+}
+
+/** Ledger actions that spend points rather than correct what was earned */
+const SPENDING_ACTIONS = ['reward_claim'];
+
+/**
+ * Sums the points a user earned within a time window. Spending (such as
+ * reward claims) does not lower anyone's standing; reversals such as
+ * post_removed do, so deleted posts stop counting. Never below zero.
+ * @param {string} user - User id
+ * @param {{start: number, end: number}} span
+ * @returns {number}
+ */
+function getPointsEarned(user, span) {
+    const earned = getLedger(user)
+        .filter(e => !SPENDING_ACTIONS.includes(e.action) && e.timestamp >= span.start && e.timestamp < span.end)
+        .reduce((sum, e) => sum + (e.points || 0), 0);
+    return Math.max(0, earned);
+}
+
+/**
+ * Ranks standings by points, highest first. Equal points share a rank and the
+ * next rank is skipped (1, 2, 2, 4); ties are listed by name.
+ * @param {Array<{user: string, name: string, points: number}>} rows
+ * @returns {Array<{user: string, name: string, points: number, rank: number}>}
+ */
+function rankStandings(rows) {
+    const sorted = rows.slice().sort((a, b) => b.points - a.points || a.name.localeCompare(b.name));
+    let rank = 0;
+    return sorted.map((row, i) => {
+        if (i === 0 || row.points !== sorted[i - 1].points) rank = i + 1;
+        return { ...row, rank };
+    });
+}
+
+/**
+ * Lists the accounts on this device that belong to a leaderboard scope.
+ * Friends and local scopes always include the signed-in user; other users
+ * with a private profile are left out.
+ * @param {string} scope - One of LEADERBOARD_SCOPES
+ * @returns {{accounts: Object[], hint: (string|null)}} hint is a message key explaining an empty or partial scope
+ */
+function getLeaderboardAccounts(scope) {
+    const accounts = Object.values(getAccounts()).filter(a => !a.private || a.id === getCurrentUser());
+    const me = getAccounts()[getCurrentUser()];
+    if (scope === 'friends') {
+        const friends = new Set(getFriends());
+        return {
+            accounts: accounts.filter(a => a.id === me?.id || friends.has(a.id)),
+            hint: friends.size ? null : 'leaderboard_no_friends'
+        };
+    }
+    if (scope === 'district' || scope === 'ward') {
+        if (!me?.district || (scope === 'ward' && !me.ward)) {
+            return { accounts: me ? [me] : [], hint: 'leaderboard_no_area' };
+        }
+        return {
+            accounts: accounts.filter(a => a.district === me.district && (scope === 'district' || a.ward === me.ward)),
+            hint: null
+        };
+    }
+    return { accounts, hint: null };
+}
+
+/**
+ * Computes the leaderboard for a period and scope from the ledgers on this device
+ * @param {{period: string, scope: string}} state
+ * @param {Date} [now=new Date()]
+ * @returns {{rows: Object[], me: (Object|null), hint: (string|null)}} rows are ranked, each with
+ *   previousRank (null for accounts created since the previous window ended); me is the signed-in user's row
+ */
+function getLeaderboard(state, now = new Date()) {
+    const { current, previous } = getLeaderboardWindows(state.period, now);
+    const { accounts, hint } = getLeaderboardAccounts(state.scope);
+    const before = new Map(rankStandings(accounts
+        .filter(a => !(a.createdAt >= previous.end))
+        .map(a => ({ user: a.id, name: a.name, points: getPointsEarned(a.id, previous) })))
+        .map(row => [row.user, row.rank]));
+    const rows = rankStandings(accounts.map(a => ({ user: a.id, name: a.name, points: getPointsEarned(a.id, current) })))
+        .map(row => ({ ...row, previousRank: before.get(row.user) ?? null }));
+    return { rows, me: rows.find(row => row.user === getCurrentUser()) || null, hint };
+}
+
+/**
+ * Creates a DOM element for a single leaderboard row
+ * @param {{user: string, name: string, points: number, rank: number, previousRank: (number|null)}} row - Ranked standing
+ * @returns {HTMLElement}
+ */
+function createLeaderboardElement(row) {
+    const item = document.createElement('li');
+    item.className = 'leaderboard-item';
+    const isMe = row.user === getCurrentUser();
+    if (isMe) {
+        item.classList.add('current-user');
+        item.setAttribute('aria-current', 'true');
+    }
+    const rankEl = document.createElement('div');
+    rankEl.className = 'leaderboard-rank';
+    rankEl.innerText = row.rank;
+    const name = document.createElement('div');
+    name.className = 'leaderboard-name';
+    name.innerText = isMe ? t('leaderboard_you') : row.name;
+    const change = document.createElement('div');
+    change.className = 'leaderboard-change';
+    const moved = row.previousRank === null ? null : row.previousRank - row.rank;
+    if (moved === null) {
+        change.classList.add('new');
+        change.innerText = t('leaderboard_change_new');
+    } else if (moved !== 0) {
+        change.classList.add(moved > 0 ? 'up' : 'down');
+        change.innerText = `${moved > 0 ? '▲' : '▼'} ${formatNumber(Math.abs(moved))}`;
+        change.setAttribute('aria-label', t(moved > 0 ? 'leaderboard_change_up' : 'leaderboard_change_down', { count: Math.abs(moved) }));
+        change.title = change.getAttribute('aria-label');
+    }
+    const pts = document.createElement('div');
+    pts.className = 'leaderboard-points';
+    pts.innerText = formatPoints(row.points);
+    item.appendChild(rankEl);
+    item.appendChild(name);
+    item.appendChild(change);
+    item.appendChild(pts);
+    return item;
+}
+
+/**
+ * Renders the dashboard leaderboard for the chosen period and scope: the top
+ * rows, plus the signed-in user's own row when they are further down
+ * @param {number} [limit=4] - Maximum number of top rows to show
+ * @returns {void}
+ */
+function renderLeaderboard(limit = 4) {
+    const list = document.getElementById('leaderboard-list');
+    if (!list) return;
+    const state = getLeaderboardState();
+    const period = document.getElementById('leaderboard-period');
+    const scope = document.getElementById('leaderboard-scope');
+    if (period) period.value = state.period;
+    if (scope) scope.value = state.scope;
+
+    const { rows, me, hint } = getLeaderboard(state);
+    list.innerHTML = '';
+    rows.slice(0, limit).forEach(row => list.appendChild(createLeaderboardElement(row)));
+    if (me && rows.indexOf(me) >= limit) {
+        const gap = document.createElement('li');
+        gap.className = 'leaderboard-gap';
+        gap.setAttribute('aria-hidden', 'true');
+        gap.innerText = '…';
+        list.appendChild(gap);
+        list.appendChild(createLeaderboardElement(me));
+    }
+
+    const empty = document.getElementById('leaderboard-empty');
+    if (empty) {
+        empty.hidden = !hint;
+        empty.innerText = hint ? t(hint) : '';
+    }
+}
+
+// ========================================
+// FRIENDS, INVITES & HEAD-TO-HEAD
+// ========================================
+
+/** Referral codes avoid look-alike characters (0/O, 1/I) so they can be read out loud */
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 6;
+/** Length of a head-to-head challenge between two friends */
+const DUEL_DAYS = 7;
+
+/**
+ * Generates a referral code not used by any account on this device
+ * @returns {string}
+ */
+function generateReferralCode() {
+    const taken = new Set(Object.values(getAccounts()).map(a => a.referralCode));
+    let code;
+    do {
+        const bytes = crypto.getRandomValues(new Uint8Array(REFERRAL_CODE_LENGTH));
+        code = Array.from(bytes, b => REFERRAL_CODE_ALPHABET[b % REFERRAL_CODE_ALPHABET.length]).join('');
+    } while (taken.has(code));
+    return code;
+}
+
+/**
+ * Returns a user's referral code, creating one for accounts made before codes existed
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {string|null}
+ */
+function getReferralCode(user = getCurrentUser()) {
+    const accounts = getAccounts();
+    const account = accounts[user];
+    if (!account) return null;
+    if (!account.referralCode) {
+        account.referralCode = generateReferralCode();
+        saveAccounts(accounts);
+        syncWrite('putAccount', account);
+    }
+    return account.referralCode;
+}
+
+/**
+ * Finds the account a referral code belongs to (codes are not case-sensitive)
+ * @param {string} code
+ * @returns {Object|undefined}
+ */
+function findAccountByReferralCode(code) {
+    const wanted = String(code || '').trim().toUpperCase();
+    return wanted ? Object.values(getAccounts()).find(a => a.referralCode === wanted) : undefined;
+}
+
+/**
+ * Builds the invite link of a user, e.g. https://example.org/ecostep.html#/invite/K7PQ2X
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {string}
+ */
+function getInviteLink(user = getCurrentUser()) {
+    const code = getReferralCode(user);
+    return code ? `${location.origin}${location.pathname}#/invite/${code}` : '';
+}
+
+/**
+ * Retrieves the ids of the users a user is friends with
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {string[]}
+ */
+function getFriends(user = getCurrentUser()) {
+    return user ? getUserData('friends', [], user) : [];
+}
+
+/**
+ * Makes two users friends of each other
+ * @param {string} a - User id
+ * @param {string} b - User id
+ * @returns {void}
+ */
+function addFriendship(a, b) {
+    [[a, b], [b, a]].forEach(([user, friend]) => {
+        const friends = getFriends(user);
+        if (!friends.includes(friend)) {
+            appStore.set(userStorageKey('friends', user), JSON.stringify([...friends, friend]));
+        }
+    });
+}
+
+/**
+ * Retrieves the friend requests waiting for an answer on this device
+ * @returns {Array} Requests { id, from, to, createdAt }
+ */
+function getFriendRequests() {
+    try {
+        return JSON.parse(appStore.get('friendRequests') || '[]');
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Saves the pending friend requests
+ * @param {Array} requests
+ * @returns {void}
+ */
+function saveFriendRequests(requests) {
+    appStore.set('friendRequests', JSON.stringify(requests));
+}
+
+/**
+ * Handles an invite link opened by a signed-in user: the inviter's offer
+ * becomes a friend request the user can accept or decline
+ * @param {string} code - Referral code from the link
+ * @returns {{ok: boolean, error?: string}}
+ */
+function receiveInvite(code) {
+    const me = getCurrentUser();
+    const inviter = findAccountByReferralCode(code);
+    if (!inviter) return { ok: false, error: t('invite_unknown') };
+    if (inviter.id === me) return { ok: false, error: t('invite_own') };
+    if (getFriends().includes(inviter.id)) return { ok: false, error: t('invite_already_friends', { name: inviter.name }) };
+    const requests = getFriendRequests();
+    if (!requests.some(r => r.from === inviter.id && r.to === me)) {
+        saveFriendRequests([...requests, { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, from: inviter.id, to: me, createdAt: Date.now() }]);
+    }
+    renderFriends();
+    return { ok: true };
+}
+
+/**
+ * Accepts or declines a friend request sent to the signed-in user
+ * @param {string} requestId
+ * @param {boolean} accept
+ * @returns {void}
+ */
+function answerFriendRequest(requestId, accept) {
+    const requests = getFriendRequests();
+    const request = requests.find(r => r.id === requestId && r.to === getCurrentUser());
+    if (!request) return;
+    saveFriendRequests(requests.filter(r => r.id !== requestId));
+    if (accept) {
+        addFriendship(request.from, request.to);
+        showToast(t('friend_added', { name: getAccounts()[request.from]?.name || '' }), 'success');
+        checkBadges();
+    }
+    renderFriends();
+    renderLeaderboard();
+}
+
+/**
+ * Looks up the owner of a referral code: accounts on this device first, then
+ * the backend, which knows codes made on other devices
+ * @param {string} code
+ * @returns {Promise<{id: string, name: string}|null>} Null when the code is unknown
+ * @throws {Error} When the backend cannot be reached
+ */
+async function resolveInviter(code) {
+    const local = findAccountByReferralCode(code);
+    if (local) return { id: local.id, name: local.name };
+    const backend = getBackend();
+    return backend.name === 'local' ? null : backend.findInviter(String(code || '').trim().toUpperCase());
+}
+
+/**
+ * Links a newly created account to the account that invited it: they become
+ * friends and both earn the referral bonus. Each account can be referred once.
+ * The server credits the same entries (by id) when the write is replayed there,
+ * including the inviter's when they signed up on another device. When the
+ * backend cannot be reached to check the code, the write is queued anyway and
+ * the bonus arrives with the next pull.
+ * @param {string} code - Referral code the new user signed up with
+ * @returns {Promise<{ok: boolean, inviter?: Object, queued?: boolean, error?: string}>}
+ */
+async function redeemInvite(code) {
+    const user = getCurrentUser();
+    const normalized = String(code || '').trim().toUpperCase();
+    let inviter;
+    try {
+        inviter = await resolveInviter(normalized);
+    } catch (err) {
+        syncWrite('redeemInvite', user, normalized);
+        return { ok: true, queued: true };
+    }
+    if (!inviter || inviter.id === user) return { ok: false, error: t('invite_unknown') };
+    if (getLedger(user).some(e => e.action === 'referral_bonus')) return { ok: false, error: t('invite_already_used') };
+
+    addFriendship(inviter.id, user);
+    const points = POINT_ACTIONS.referral_bonus.points;
+    const timestamp = Date.now();
+    if (getAccounts()[inviter.id]) {
+        appendLedgerEntryFor(inviter.id, { id: `referral-${user}-inviter`, action: 'referral_bonus', points, timestamp, source: `referral:${user}` });
+    }
+    appendLedgerEntryFor(user, { id: `referral-${user}-invitee`, action: 'referral_bonus', points, timestamp, source: `referral:${inviter.id}` });
+    syncWrite('redeemInvite', user, normalized);
+    renderPoints();
+    return { ok: true, inviter };
+}
+
+/**
+ * Acts on an invite link opened before signing up or in: new accounts redeem
+ * it, existing accounts receive it as a friend request
+ * @param {{newAccount?: boolean}} [options]
+ * @returns {Promise<void>}
+ */
+async function consumePendingInvite({ newAccount = false } = {}) {
+    const code = appStore.get('pendingInvite');
+    if (!code) return;
+    appStore.remove('pendingInvite');
+    const result = newAccount ? await redeemInvite(code) : receiveInvite(code);
+    if (!result.ok) showToast(result.error, 'warn');
+    else if (result.queued) showToast(t('invite_queued'), 'info');
+    else if (newAccount) showToast(t('invite_redeemed', { name: result.inviter.name, points: POINT_ACTIONS.referral_bonus.points }), 'success');
+}
+
+/**
+ * Copies the invite link with the Clipboard API, falling back to the Web Share
+ * API and finally to selecting the link so it can be copied by hand
+ * @returns {Promise<void>}
+ */
+async function copyInviteLink() {
+    const link = getInviteLink();
+    if (!link) return;
+    try {
+        await navigator.clipboard.writeText(link);
+        showToast(t('invite_copied'), 'success');
+        return;
+    } catch (err) {
+        // No clipboard access (insecure context, permission denied): try sharing instead
+    }
+    if (await shareInviteLink()) return;
+    const input = document.getElementById('invite-link');
+    if (input) {
+        input.focus();
+        input.select();
+    }
+    showToast(t('invite_copy_manual'), 'info');
+}
+
+/**
+ * Opens the system share sheet for the invite link
+ * @returns {Promise<boolean>} True when the link was shared (or the user closed the sheet)
+ */
+async function shareInviteLink() {
+    if (!navigator.share) return false;
+    try {
+        await navigator.share({ title: t('invite_share_title'), text: t('invite_share_text'), url: getInviteLink() });
+        return true;
+    } catch (err) {
+        return err.name === 'AbortError';
+    }
+}
+
+/**
+ * Share URLs of the social networks in the Challenge Friends card. Instagram
+ * has no web share URL, so it goes through the share sheet or the clipboard.
+ */
+const INVITE_NETWORKS = {
+    facebook: (url) => `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(url)}`,
+    twitter: (url, text) => `https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}&url=${encodeURIComponent(url)}`,
+    whatsapp: (url, text) => `https://wa.me/?text=${encodeURIComponent(`${text} ${url}`)}`,
+    instagram: null
+};
+
+/**
+ * Retrieves the head-to-head challenges on this device
+ * @returns {Array} Duels { id, users: [challenger, friend], start, end }
+ */
+function getDuels() {
+    try {
+        return JSON.parse(appStore.get('duels') || '[]');
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Saves the head-to-head challenges of this device
+ * @param {Array} duels
+ * @returns {void}
+ */
+function saveDuels(duels) {
+    appStore.set('duels', JSON.stringify(duels));
+}
+
+/**
+ * Starts a head-to-head challenge with a friend: whoever earns more points in
+ * the next DUEL_DAYS days wins. Only one challenge per pair runs at a time.
+ * @param {string} friendId
+ * @returns {{ok: boolean, duel?: Object, error?: string}}
+ */
+function startDuel(friendId) {
+    const me = getCurrentUser();
+    if (!getFriends().includes(friendId)) return { ok: false, error: t('duel_not_friends') };
+    const now = Date.now();
+    const duels = getDuels();
+    if (duels.some(d => d.users.includes(me) && d.users.includes(friendId) && d.end > now)) {
+        return { ok: false, error: t('duel_already_running') };
+    }
+    const duel = { id: `${now}-${Math.random().toString(36).slice(2, 8)}`, users: [me, friendId], start: now, end: now + DUEL_DAYS * 86400000 };
+    saveDuels([...duels, duel]);
+    renderFriends();
+    return { ok: true, duel };
+}
+
+/**
+ * Returns the latest head-to-head challenge between the signed-in user and a friend
+ * @param {string} friendId
+ * @returns {{duel: Object, mine: number, theirs: number, ended: boolean}|null}
+ */
+function getDuelWith(friendId) {
+    const me = getCurrentUser();
+    const duel = getDuels()
+        .filter(d => d.users.includes(me) && d.users.includes(friendId))
+        .sort((a, b) => b.start - a.start)[0];
+    if (!duel) return null;
+    const span = { start: duel.start, end: duel.end };
+    return { duel, mine: getPointsEarned(me, span), theirs: getPointsEarned(friendId, span), ended: Date.now() >= duel.end };
+}
+
+/**
+ * Describes the state of a head-to-head challenge for the friends list
+ * @param {string} name - Friend's name
+ * @param {ReturnType<typeof getDuelWith>} status
+ * @returns {string}
+ */
+function describeDuel(name, { duel, mine, theirs, ended }) {
+    const params = { name, mine, theirs };
+    if (!ended) return t('duel_running', { ...params, count: Math.ceil((duel.end - Date.now()) / 86400000) });
+    if (mine === theirs) return t('duel_draw', params);
+    return t(mine > theirs ? 'duel_won' : 'duel_lost', params);
+}
+
+/**
+ * Creates the row of a friend, with their head-to-head challenge
+ * @param {Object} account - Friend's account
+ * @returns {HTMLElement}
+ */
+function createFriendElement(account) {
+    const item = document.createElement('li');
+    item.className = 'friend-item';
+    const name = document.createElement('div');
+    name.className = 'friend-name';
+    name.innerText = account.name;
+    const status = document.createElement('div');
+    status.className = 'friend-status';
+    const duel = getDuelWith(account.id);
+    if (duel) status.innerText = describeDuel(account.name, duel);
+    item.appendChild(name);
+    item.appendChild(status);
+    if (!duel || duel.ended) {
+        const challenge = document.createElement('button');
+        challenge.type = 'button';
+        challenge.className = 'reward-btn';
+        challenge.innerText = t('duel_start');
+        challenge.addEventListener('click', () => {
+            const result = startDuel(account.id);
+            showToast(result.ok ? t('duel_started', { name: account.name, count: DUEL_DAYS }) : result.error, result.ok ? 'success' : 'warn');
+        });
+        item.appendChild(challenge);
+    }
+    return item;
+}
+
+/**
+ * Creates the row of a pending friend request: incoming ones can be answered,
+ * outgoing ones wait for the other user
+ * @param {Object} request
+ * @returns {HTMLElement}
+ */
+function createFriendRequestElement(request) {
+    const incoming = request.to === getCurrentUser();
+    const other = getAccounts()[incoming ? request.from : request.to];
+    const item = document.createElement('li');
+    item.className = 'friend-item pending';
+    const text = document.createElement('div');
+    text.className = 'friend-name';
+    text.innerText = t(incoming ? 'friend_request_incoming' : 'friend_request_outgoing', { name: other?.name || '' });
+    item.appendChild(text);
+    if (incoming) {
+        const accept = document.createElement('button');
+        accept.type = 'button';
+        accept.className = 'reward-btn';
+        accept.innerText = t('friend_request_accept');
+        accept.addEventListener('click', () => answerFriendRequest(request.id, true));
+        const decline = document.createElement('button');
+        decline.type = 'button';
+        decline.className = 'btn btn-secondary';
+        decline.innerText = t('friend_request_decline');
+        decline.addEventListener('click', () => answerFriendRequest(request.id, false));
+        item.appendChild(accept);
+        item.appendChild(decline);
+    }
+    return item;
+}
+
+/**
+ * Renders the Challenge Friends card: invite link and code, share targets,
+ * pending requests and friends with their head-to-head challenges
+ * @returns {void}
+ */
+function renderFriends() {
+    const list = document.getElementById('friends-list');
+    if (!list) return;
+    const me = getCurrentUser();
+    const link = getInviteLink();
+    const input = document.getElementById('invite-link');
+    if (input) input.value = link;
+    const code = document.getElementById('invite-code');
+    if (code) code.innerText = me ? t('invite_your_code', { code: getReferralCode() }) : '';
+    document.querySelectorAll('[data-invite-network]').forEach(a => {
+        const build = INVITE_NETWORKS[a.dataset.inviteNetwork];
+        a.href = build && link ? build(link, t('invite_share_text')) : '#';
+    });
+
+    const accounts = getAccounts();
+    const requests = getFriendRequests().filter(r => (r.to === me || r.from === me) && accounts[r.from] && accounts[r.to]);
+    const friends = getFriends().map(id => accounts[id]).filter(Boolean);
+    list.innerHTML = '';
+    requests.forEach(r => list.appendChild(createFriendRequestElement(r)));
+    friends.forEach(a => list.appendChild(createFriendElement(a)));
+    const empty = document.getElementById('no-friends');
+    if (empty) empty.hidden = requests.length + friends.length > 0;
+}
+
+// ========================================
+// ECO ACTION LOGGING & CO2 CALCULATOR
+// ========================================
+
+/**
+ * Loggable eco actions. co2PerUnit is the kg of CO2e avoided per unit compared
+ * to the usual alternative:
+ * - walk / cycle: average petrol car, 0.171 kg/km (UK DEFRA 2023 conversion factors)
+ * - bus: car 0.171 minus local bus 0.097 kg per passenger-km (DEFRA 2023)
+ * - recycle: ~1.0 kg CO2e per kg of mixed recyclables kept out of landfill (WRAP)
+ * - reusable_bag: ~0.033 kg CO2e per single-use plastic bag avoided
+ * - plant_tree: ~21 kg CO2 absorbed per tree per year (average mature tree)
+ */
+const ECO_ACTIONS = {
+    walk: { labelKey: 'activity_walk', unit: 'km', unitKey: 'unit_km', co2PerUnit: 0.171, pointsPerUnit: 5 },
+    cycle: { labelKey: 'activity_cycle', unit: 'km', unitKey: 'unit_km', co2PerUnit: 0.171, pointsPerUnit: 4 },
+    bus: { labelKey: 'activity_bus', unit: 'km', unitKey: 'unit_km', co2PerUnit: 0.074, pointsPerUnit: 2 },
+    recycle: { labelKey: 'activity_recycle', unit: 'kg', unitKey: 'unit_kg', co2PerUnit: 1.0, pointsPerUnit: 15 },
+    reusable_bag: { labelKey: 'activity_reusable_bag', unit: 'bags', unitKey: 'unit_bags', co2PerUnit: 0.033, pointsPerUnit: 10 },
+    plant_tree: { labelKey: 'activity_plant_tree', unit: 'trees', unitKey: 'unit_trees', co2PerUnit: 21, pointsPerUnit: 50 }
+};
+
+/**
+ * Calculates the CO2 saved and points earned for an eco action
+ * @param {string} type - Key of ECO_ACTIONS
+ * @param {number} quantity - Amount in the action's unit (km, kg, count)
+ * @returns {{co2Kg: number, points: number}|null} Null for unknown types or invalid quantities
+ */
+function calculateImpact(type, quantity) {
+    const def = ECO_ACTIONS[type];
+    const qty = Number(quantity);
+    if (!def || !Number.isFinite(qty) || qty <= 0) return null;
+    return {
+        co2Kg: Math.round(qty * def.co2PerUnit * 1000) / 1000,
+        points: Math.round(qty * def.pointsPerUnit)
+    };
+}
+
+/**
+ * Records an eco action in the current user's ledger with its CO2 saving
+ * @param {string} type - Key of ECO_ACTIONS
+ * @param {number} quantity - Amount in the action's unit
+ * @returns {Object|null} The ledger entry, or null if the input was invalid
+ */
+function logEcoAction(type, quantity) {
+    const impact = calculateImpact(type, quantity);
+    if (!impact) return null;
+    checkStreak();
+    const entry = awardPoints(type, impact.points, 'action-log', {
+        quantity: Number(quantity),
+        unit: ECO_ACTIONS[type].unit,
+        co2Kg: impact.co2Kg
+    });
+    checkChallenges();
+    checkBadges();
+    syncReminderSchedule();
+    return entry;
+}
+
+/**
+ * Retrieves the logged eco actions of a user (ledger entries of an ECO_ACTIONS type)
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {Array} Ledger entries, oldest first
+ */
+function getLoggedActions(user = getCurrentUser()) {
+    return getLedger(user).filter(e => ECO_ACTIONS[e.action]);
+}
+
+/**
+ * Parses a 'YYYY-MM-DD' date as local midnight (Date() would treat it as UTC)
+ * @param {string} iso - Calendar date
+ * @returns {Date}
+ */
+function parseLocalDate(iso) {
+    const [y, m, d] = String(iso).split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+/**
+ * Returns the timestamp at which the current day, week (starting Sunday) or month began
+ * @param {'day'|'week'|'month'} period
+ * @param {Date} [now=new Date()]
+ * @returns {number} Epoch milliseconds
+ */
+function startOfPeriod(period, now = new Date()) {
+    const d = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (period === 'week') d.setDate(d.getDate() - d.getDay());
+    if (period === 'month') d.setDate(1);
+    return d.getTime();
+}
+
+/**
+ * Sums CO2 saved and points earned from logged actions since the start of a period
+ * @param {'day'|'week'|'month'} period
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {{co2Kg: number, points: number, count: number}}
+ */
+function getImpactTotals(period, user = getCurrentUser()) {
+    const since = startOfPeriod(period);
+    return getLoggedActions(user)
+        .filter(e => e.timestamp >= since)
+        .reduce((acc, e) => ({
+            co2Kg: acc.co2Kg + (e.co2Kg || 0),
+            points: acc.points + (e.points || 0),
+            count: acc.count + 1
+        }), { co2Kg: 0, points: 0, count: 0 });
+}
+
+/**
+ * Renders the dashboard impact card with today / this week / this month totals
+ * @returns {void}
+ */
+function renderImpactTotals() {
+    const container = document.getElementById('impact-totals');
+    if (!container) return;
+    container.innerHTML = '';
+    [['day', 'impact_today'], ['week', 'impact_this_week'], ['month', 'impact_this_month']].forEach(([period, labelKey]) => {
+        const totals = getImpactTotals(period);
+        const row = document.createElement('div');
+        row.className = 'impact-row';
+        const name = document.createElement('div');
+        name.className = 'impact-label';
+        name.innerText = t(labelKey);
+        const co2 = document.createElement('div');
+        co2.className = 'impact-co2';
+        co2.innerText = t('impact_co2', { co2: formatNumber(totals.co2Kg, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) });
+        const pts = document.createElement('div');
+        pts.className = 'impact-points';
+        pts.innerText = t('points_amount', { points: `+${formatPoints(totals.points)}` });
+        row.appendChild(name);
+        row.appendChild(co2);
+        row.appendChild(pts);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Updates the unit label and live CO2/points preview of the action form
+ * @returns {void}
+ */
+function updateActionPreview() {
+    const type = document.getElementById('action-type')?.value;
+    const quantity = document.getElementById('action-quantity')?.value;
+    const unit = document.getElementById('action-unit');
+    const preview = document.getElementById('action-preview');
+    if (unit) unit.innerText = ECO_ACTIONS[type] ? t(ECO_ACTIONS[type].unitKey) : '';
+    if (!preview) return;
+    const impact = calculateImpact(type, quantity);
+    preview.innerText = impact
+        ? t('action_preview', { co2: formatNumber(impact.co2Kg, { minimumFractionDigits: 2, maximumFractionDigits: 2 }), points: impact.points })
+        : '';
+}
+
+/**
+ * Handles the "Log an action" form submission
+ * @param {Event} e - The form submission event
+ * @returns {void}
+ */
+function handleLogAction(e) {
+    e.preventDefault();
+    const type = document.getElementById('action-type')?.value;
+    const quantity = document.getElementById('action-quantity')?.value;
+    const entry = logEcoAction(type, quantity);
+    if (!entry) {
+        showToast(t('action_amount_invalid'), 'warn');
+        return;
+    }
+    e.target.reset();
+    updateActionPreview();
+    showToast(t('action_logged', { co2: formatNumber(entry.co2Kg, { maximumFractionDigits: 2 }), points: entry.points }), 'success');
+}
+
+// ========================================
+// IMPACT CHARTS
+// ========================================
+
+/** How many days, weeks or months each chart range covers */
+const CHART_RANGES = { day: 14, week: 12, month: 12 };
+const DEFAULT_CHART_RANGE = 'week';
+/** Drawing size of a chart in SVG units; the SVG scales to the card's width */
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = { top: 10, right: 8, bottom: 22, left: 40 };
+/** Most x-axis labels drawn; the rest are left to the tooltip and the table */
+const CHART_MAX_X_LABELS = 6;
+
+/**
+ * Reads the signed-in user's chart range
+ * @returns {'day'|'week'|'month'}
+ */
+function getChartRange() {
+    const range = getUserData('chartRange', DEFAULT_CHART_RANGE);
+    return range in CHART_RANGES ? range : DEFAULT_CHART_RANGE;
+}
+
+/**
+ * Splits the recent past into consecutive days, weeks or months, oldest first
+ * @param {'day'|'week'|'month'} range
+ * @param {Date} [now=new Date()]
+ * @returns {Array<{start: number, end: number}>}
+ */
+function getChartBuckets(range, now = new Date()) {
+    const count = CHART_RANGES[range];
+    const buckets = [];
+    for (let i = count - 1; i >= 0; i--) {
+        let start;
+        let end;
+        if (range === 'month') {
+            start = new Date(now.getFullYear(), now.getMonth() - i, 1).getTime();
+            end = new Date(now.getFullYear(), now.getMonth() - i + 1, 1).getTime();
+        } else {
+            const step = range === 'week' ? 7 : 1;
+            start = addDays(startOfPeriod(range, now), -i * step);
+            end = addDays(start, step);
+        }
+        buckets.push({ start, end });
+    }
+    return buckets;
+}
+
+/**
+ * Sums points earned and CO2 saved per day, week or month
+ * @param {'day'|'week'|'month'} range
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @param {Date} [now=new Date()]
+ * @returns {Array<{start: number, end: number, points: number, co2Kg: number}>}
+ */
+function getImpactSeries(range, user = getCurrentUser(), now = new Date()) {
+    const actions = getLoggedActions(user);
+    return getChartBuckets(range, now).map(span => ({
+        ...span,
+        points: getPointsEarned(user, span),
+        co2Kg: actions
+            .filter(e => e.timestamp >= span.start && e.timestamp < span.end)
+            .reduce((sum, e) => sum + (e.co2Kg || 0), 0)
+    }));
+}
+
+/**
+ * Labels a bucket: short for the axis, long for tooltips and the table
+ * @param {{start: number}} bucket
+ * @param {'day'|'week'|'month'} range
+ * @returns {{short: string, long: string}}
+ */
+function formatChartBucket(bucket, range) {
+    if (range === 'month') {
+        return {
+            short: formatDate(bucket.start, { month: 'short' }),
+            long: formatDate(bucket.start, { month: 'long', year: 'numeric' })
+        };
+    }
+    const short = formatDate(bucket.start, { day: 'numeric', month: 'short' });
+    return { short, long: range === 'week' ? t('chart_week_of', { date: short }) : formatDate(bucket.start) };
+}
+
+/**
+ * Rounds a maximum up to 1, 2 or 5 times a power of ten so axis ticks are round numbers
+ * @param {number} max
+ * @returns {number}
+ */
+function niceChartMax(max) {
+    if (max <= 0) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(max)));
+    return [1, 2, 5, 10].map(step => step * magnitude).find(nice => nice >= max);
+}
+
+/**
+ * Creates an SVG element with attributes
+ * @param {string} tag
+ * @param {Object} [attrs={}]
+ * @returns {SVGElement}
+ */
+function createSvgElement(tag, attrs = {}) {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+    return el;
+}
+
+/**
+ * Creates a bar or line chart with a tooltip and a data table for screen
+ * readers. Colours come from styles.css, so they follow the data-theme
+ * attribute. Pointer users get the tooltip on hover; keyboard users focus the
+ * chart and move between values with the arrow keys, and each value they move
+ * to is announced through a live region.
+ * @param {Object} options
+ * @param {'bar'|'line'} options.type
+ * @param {string} options.title - Caption, also the chart's accessible name
+ * @param {Array<{label: string, longLabel: string, value: number}>} options.data - Oldest first
+ * @param {function(number): string} options.format - Formats a value for labels and the table
+ * @returns {HTMLElement}
+ */
+function createChart({ type, title, data, format }) {
+    const figure = document.createElement('figure');
+    figure.className = `chart chart-${type}`;
+
+    const caption = document.createElement('figcaption');
+    caption.className = 'chart-title';
+    caption.innerText = title;
+    figure.appendChild(caption);
+
+    const plot = document.createElement('div');
+    plot.className = 'chart-plot';
+    plot.tabIndex = 0;
+    plot.setAttribute('role', 'img');
+    plot.setAttribute('aria-label', t('chart_plot_label', { title }));
+    const svg = createSvgElement('svg', { viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`, class: 'chart-svg', focusable: 'false', 'aria-hidden': 'true' });
+    const tooltip = document.createElement('div');
+    tooltip.className = 'chart-tooltip';
+    tooltip.hidden = true;
+    plot.appendChild(svg);
+    plot.appendChild(tooltip);
+    figure.appendChild(plot);
+    const announcer = document.createElement('div');
+    announcer.className = 'visually-hidden';
+    announcer.setAttribute('aria-live', 'polite');
+    figure.appendChild(announcer);
+
+    const { top, right, bottom, left } = CHART_PADDING;
+    const innerWidth = CHART_WIDTH - left - right;
+    const innerHeight = CHART_HEIGHT - top - bottom;
+    const max = niceChartMax(Math.max(...data.map(d => d.value)));
+    const slot = innerWidth / data.length;
+    const x = i => left + slot * (i + 0.5);
+    const y = value => top + innerHeight - (value / max) * innerHeight;
+
+    // Grid lines with their values at 0, half and the top
+    [0, max / 2, max].forEach(tick => {
+        svg.appendChild(createSvgElement('line', { class: 'chart-grid', x1: left, x2: CHART_WIDTH - right, y1: y(tick), y2: y(tick) }));
+        const label = createSvgElement('text', { class: 'chart-axis', x: left - 4, y: y(tick) + 3, 'text-anchor': 'end' });
+        label.textContent = format(tick);
+        svg.appendChild(label);
+    });
+    const every = Math.ceil(data.length / CHART_MAX_X_LABELS);
+    data.forEach((d, i) => {
+        if ((data.length - 1 - i) % every !== 0) return;
+        const label = createSvgElement('text', { class: 'chart-axis', x: x(i), y: CHART_HEIGHT - 6, 'text-anchor': 'middle' });
+        label.textContent = d.label;
+        svg.appendChild(label);
+    });
+
+    const marks = data.map((d, i) => {
+        if (type === 'bar') {
+            const width = slot * 0.7;
+            return createSvgElement('rect', {
+                class: 'chart-mark',
+                x: x(i) - width / 2,
+                y: y(d.value),
+                width,
+                height: Math.max(0, top + innerHeight - y(d.value)),
+                rx: 2
+            });
+        }
+        return createSvgElement('circle', { class: 'chart-mark', cx: x(i), cy: y(d.value), r: 3 });
+    });
+    if (type === 'line') {
+        svg.appendChild(createSvgElement('polyline', {
+            class: 'chart-path',
+            points: data.map((d, i) => `${x(i)},${y(d.value)}`).join(' ')
+        }));
+    }
+    marks.forEach(mark => svg.appendChild(mark));
+
+    let active = -1;
+    const show = (i, { announce = false } = {}) => {
+        if (active !== -1) marks[active].classList.remove('active');
+        active = i;
+        if (i === -1) {
+            tooltip.hidden = true;
+            return;
+        }
+        marks[i].classList.add('active');
+        tooltip.innerText = `${data[i].longLabel}: ${format(data[i].value)}`;
+        tooltip.hidden = false;
+        if (announce) announcer.textContent = tooltip.innerText;
+        // Position in percent of the plot, since the SVG scales with the card
+        tooltip.style.left = `${(x(i) / CHART_WIDTH) * 100}%`;
+        tooltip.style.top = `${(y(data[i].value) / CHART_HEIGHT) * 100}%`;
+    };
+    svg.addEventListener('mousemove', (e) => {
+        const box = svg.getBoundingClientRect();
+        if (!box.width) return;
+        const at = ((e.clientX - box.left) / box.width) * CHART_WIDTH;
+        show(Math.min(data.length - 1, Math.max(0, Math.floor((at - left) / slot))));
+    });
+    svg.addEventListener('mouseleave', () => show(-1));
+    plot.addEventListener('focus', () => show(data.length - 1, { announce: true }));
+    plot.addEventListener('blur', () => show(-1));
+    plot.addEventListener('keydown', (e) => {
+        const moves = { ArrowLeft: -1, ArrowRight: 1 };
+        if (e.key === 'Home' || e.key === 'End') {
+            e.preventDefault();
+            show(e.key === 'Home' ? 0 : data.length - 1, { announce: true });
+        } else if (moves[e.key]) {
+            e.preventDefault();
+            show(Math.min(data.length - 1, Math.max(0, active + moves[e.key])), { announce: true });
+        } else if (e.key === 'Escape') {
+            show(-1);
+        }
+    });
+
+    // The same numbers for screen readers
+    const table = document.createElement('table');
+    table.className = 'visually-hidden';
+    const tableCaption = document.createElement('caption');
+    tableCaption.innerText = title;
+    table.appendChild(tableCaption);
+    const head = table.createTHead().insertRow();
+    [t('chart_period'), title].forEach(text => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.innerText = text;
+        head.appendChild(th);
+    });
+    const body = table.createTBody();
+    data.forEach(d => {
+        const row = body.insertRow();
+        const th = document.createElement('th');
+        th.scope = 'row';
+        th.innerText = d.longLabel;
+        row.appendChild(th);
+        row.insertCell().innerText = format(d.value);
+    });
+    figure.appendChild(table);
+    return figure;
+}
+
+/**
+ * Renders the "Your Progress" charts of points earned and CO2 saved for the chosen range
+ * @returns {void}
+ */
+function renderProgressCharts() {
+    const container = document.getElementById('progress-charts');
+    if (!container) return;
+    const range = getChartRange();
+    const select = document.getElementById('progress-range');
+    if (select) select.value = range;
+    const series = getImpactSeries(range).map(bucket => {
+        const { short, long } = formatChartBucket(bucket, range);
+        return { ...bucket, label: short, longLabel: long };
+    });
+    container.innerHTML = '';
+    container.appendChild(createChart({
+        type: 'bar',
+        title: t('chart_points_title'),
+        data: series.map(s => ({ label: s.label, longLabel: s.longLabel, value: s.points })),
+        format: formatPoints
+    }));
+    container.appendChild(createChart({
+        type: 'line',
+        title: t('chart_co2_title'),
+        data: series.map(s => ({ label: s.label, longLabel: s.longLabel, value: s.co2Kg })),
+        format: value => t('chart_co2_value', { kg: formatNumber(value, { maximumFractionDigits: 2 }) })
+    }));
+}
+
+// ========================================
+// DAILY STREAKS & REMINDERS
+// ========================================
+
+/** Streak freezes per calendar month for users who have not chosen an allowance */
+const DEFAULT_STREAK_FREEZES = 2;
+/** Largest allowance selectable in Settings */
+const MAX_STREAK_FREEZES = 5;
+/** Periodic Background Sync tag the service worker checks the daily reminder on */
+const REMINDER_SYNC_TAG = 'ecostep-reminder';
+/** Reminder times and quiet hours are local 'HH:MM' times; quiet hours may wrap past midnight */
+const DEFAULT_REMINDER_SETTINGS = { enabled: false, time: '19:00', quietStart: '22:00', quietEnd: '07:00' };
+
+/** Timer that asks the service worker to check the reminder while a page is open */
+let reminderTimer = null;
+
+/**
+ * Formats a time as a local 'YYYY-MM-DD' calendar date (the inverse of parseLocalDate)
+ * @param {Date|number} value
+ * @returns {string}
+ */
+function toDateKey(value) {
+    const d = new Date(value);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Moves a local midnight by whole days (daylight saving safe)
+ * @param {number} day - Local midnight, epoch milliseconds
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {number}
+ */
+function addDays(day, days) {
+    const d = new Date(day);
+    d.setDate(d.getDate() + days);
+    return d.getTime();
+}
+
+/**
+ * Lists the days on which a user logged at least one eco action
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {number[]} Local midnights (epoch milliseconds), oldest first
+ */
+function getActionDays(user = getCurrentUser()) {
+    const days = new Set(getLoggedActions(user).map(e => startOfPeriod('day', new Date(e.timestamp))));
+    return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * Retrieves the missed days a streak freeze has covered for a user
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {number[]} Local midnights
+ */
+function getFrozenDays(user = getCurrentUser()) {
+    return user ? getUserData('streakFreezes', [], user) : [];
+}
+
+/**
+ * Returns how many streak freezes a user gets per calendar month
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {number}
+ */
+function getStreakFreezeAllowance(user = getCurrentUser()) {
+    const allowance = Number(user ? getUserData('streakFreezeAllowance', DEFAULT_STREAK_FREEZES, user) : DEFAULT_STREAK_FREEZES);
+    return Number.isInteger(allowance) ? Math.min(MAX_STREAK_FREEZES, Math.max(0, allowance)) : DEFAULT_STREAK_FREEZES;
+}
+
+/**
+ * Counts the streak freezes still unused in the month of a given day
+ * @param {number} day - Any time within the month
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {number}
+ */
+function getFreezesLeft(day, user = getCurrentUser()) {
+    const month = startOfPeriod('month', new Date(day));
+    const used = getFrozenDays(user).filter(d => startOfPeriod('month', new Date(d)) === month).length;
+    return Math.max(0, getStreakFreezeAllowance(user) - used);
+}
+
+/**
+ * Lists the days that count toward a streak: days with a logged action plus
+ * days covered by a freeze
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {number[]} Local midnights, oldest first
+ */
+function getStreakDays(user = getCurrentUser()) {
+    return [...new Set([...getActionDays(user), ...getFrozenDays(user)])].sort((a, b) => a - b);
+}
+
+/**
+ * Measures a user's daily streak. Today only counts once an action is logged,
+ * so a streak running until yesterday is still current (but at risk) today.
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @param {Date} [now=new Date()]
+ * @returns {{current: number, activeToday: boolean, freezesLeft: number}}
+ */
+function getStreak(user = getCurrentUser(), now = new Date()) {
+    const days = new Set(getStreakDays(user));
+    const today = startOfPeriod('day', now);
+    const activeToday = days.has(today);
+    let current = 0;
+    for (let day = activeToday ? today : addDays(today, -1); days.has(day); day = addDays(day, -1)) current++;
+    return { current, activeToday, freezesLeft: getFreezesLeft(today, user) };
+}
+
+/**
+ * Finds the longest run of consecutive streak days a user has ever had
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {number} Days
+ */
+function getLongestStreak(user = getCurrentUser()) {
+    let longest = 0;
+    let run = 0;
+    let expected = null;
+    getStreakDays(user).forEach(day => {
+        run = day === expected ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        expected = addDays(day, 1);
+    });
+    return longest;
+}
+
+/**
+ * Spends streak freezes on the days missed since the signed-in user's last
+ * streak day, but only when the freezes left in each month cover the whole
+ * gap; otherwise the streak is over and the freezes are kept.
+ * @param {Date} [now=new Date()]
+ * @returns {number[]} Days frozen by this call
+ */
+function checkStreak(now = new Date()) {
+    const user = getCurrentUser();
+    if (!user) return [];
+    const today = startOfPeriod('day', now);
+    const last = getStreakDays(user).filter(day => day < today).pop();
+    if (last === undefined) return [];
+
+    const missed = [];
+    for (let day = addDays(last, 1); day < today; day = addDays(day, 1)) missed.push(day);
+    if (missed.length === 0) return missed;
+    const needed = {};
+    missed.forEach(day => {
+        const month = startOfPeriod('month', new Date(day));
+        needed[month] = (needed[month] || 0) + 1;
+    });
+    if (Object.entries(needed).some(([month, count]) => getFreezesLeft(Number(month), user) < count)) return [];
+
+    setUserData('streakFreezes', [...getFrozenDays(user), ...missed]);
+    showToast(t('streak_freeze_used', { count: missed.length, days: getStreak(user, now).current }), 'info');
+    renderStreak();
+    return missed;
+}
+
+/**
+ * Renders the dashboard streak card
+ * @returns {void}
+ */
+function renderStreak() {
+    const count = document.getElementById('streak-count');
+    if (!count) return;
+    const { current, activeToday, freezesLeft } = getStreak();
+    count.innerText = t('streak_days', { count: current });
+    const status = document.getElementById('streak-status');
+    if (status) status.innerText = t(activeToday ? 'streak_done_today' : current ? 'streak_at_risk' : 'streak_start');
+    const freezes = document.getElementById('streak-freezes');
+    if (freezes) freezes.innerText = t('streak_freezes_left', { count: freezesLeft });
+}
+
+/**
+ * Reads the signed-in user's reminder settings
+ * @returns {{enabled: boolean, time: string, quietStart: string, quietEnd: string}}
+ */
+function getReminderSettings() {
+    return { ...DEFAULT_REMINDER_SETTINGS, ...(getCurrentUser() ? getUserData('reminders', {}) : {}) };
+}
+
+/**
+ * Saves reminder settings. Turning reminders on asks for notification
+ * permission first and leaves them off when it is not granted.
+ * @param {Object} changes - Fields of the reminder settings to change
+ * @returns {Promise<boolean>} False when reminders could not be turned on
+ */
+async function saveReminderSettings(changes) {
+    if (!getCurrentUser()) return false;
+    if (changes.enabled) {
+        if (!('Notification' in window) || !('serviceWorker' in navigator)) {
+            showToast(t('reminder_unsupported'), 'warn');
+            return false;
+        }
+        if (await Notification.requestPermission() !== 'granted') {
+            showToast(t('reminder_permission_denied'), 'warn');
+            return false;
+        }
+    }
+    const settings = { ...getReminderSettings(), ...changes };
+    setUserData('reminders', settings);
+    if (settings.enabled && isQuietTime(settings.time, settings.quietStart, settings.quietEnd)) {
+        showToast(t('reminder_in_quiet_hours'), 'warn');
+    }
+    await syncReminderSchedule();
+    return true;
+}
+
+/**
+ * Checks whether a time of day falls within quiet hours, which may wrap past
+ * midnight (the service worker applies the same rule)
+ * @param {string} time - 'HH:MM'
+ * @param {string} start - 'HH:MM'
+ * @param {string} end - 'HH:MM'
+ * @returns {boolean}
+ */
+function isQuietTime(time, start, end) {
+    const [at, from, to] = [time, start, end].map(hhmm => {
+        const [h, m] = hhmm.split(':').map(Number);
+        return h * 60 + m;
+    });
+    if (from === to) return false;
+    return from < to ? at >= from && at < to : at >= from || at < to;
+}
+
+/**
+ * Hands the reminder to the service worker, which shows it from a periodic
+ * background sync (or when a page asks) once the reminder time has passed,
+ * outside quiet hours, on days without a logged action. The texts are
+ * translated here so the notification uses the language chosen in the app.
+ * @returns {Promise<void>}
+ */
+async function syncReminderSchedule() {
+    const settings = getReminderSettings();
+    const enabled = settings.enabled && isLoggedIn() && 'Notification' in window && Notification.permission === 'granted';
+    scheduleReminderCheck(enabled ? settings : null);
+    if (!('indexedDB' in window)) return;
+    // Built before the first await: the page may be gone by the time IndexedDB answers
+    const lastDay = getStreakDays().pop();
+    const reminder = {
+        id: 'daily',
+        enabled,
+        time: settings.time,
+        quietStart: settings.quietStart,
+        quietEnd: settings.quietEnd,
+        lang: LOCALES[getLocale()].intl,
+        title: t('reminder_title'),
+        body: t('reminder_body'),
+        streakBody: t('reminder_body_streak', { count: getStreak().current }),
+        lastActiveDay: lastDay === undefined ? null : toDateKey(lastDay)
+    };
+    try {
+        const previous = await dbRequest('reminders', 'readonly', store => store.get('daily'));
+        await dbRequest('reminders', 'readwrite', store => store.put({ ...reminder, lastShownDay: previous?.lastShownDay || null }));
+    } catch (err) {
+        console.warn('Could not save the reminder:', err.message);
+        return;
+    }
+    if (!('serviceWorker' in navigator)) return;
+    try {
+        const reg = await navigator.serviceWorker.ready;
+        if (!reg.periodicSync) return;
+        if (enabled) await reg.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: 60 * 60 * 1000 });
+        else await reg.periodicSync.unregister(REMINDER_SYNC_TAG);
+    } catch (err) {
+        // Periodic sync needs an installed app; open pages still check on their own timer
+    }
+}
+
+/**
+ * While a page is open, asks the service worker to check the reminder at the
+ * next reminder time or end of quiet hours, whichever comes first
+ * @param {Object|null} settings - Reminder settings, or null to stop checking
+ * @returns {void}
+ */
+function scheduleReminderCheck(settings) {
+    clearTimeout(reminderTimer);
+    reminderTimer = null;
+    if (!settings || !('serviceWorker' in navigator)) return;
+    const now = new Date();
+    const next = [settings.time, settings.quietEnd].map(hhmm => {
+        const [h, m] = hhmm.split(':').map(Number);
+        const at = new Date(now.getFullYear(), now.getMonth(), now.getDate(), h, m);
+        if (at <= now) at.setDate(at.getDate() + 1);
+        return at.getTime();
+    });
+    reminderTimer = setTimeout(async () => {
+        const reg = await navigator.serviceWorker.ready;
+        reg.active?.postMessage({ type: 'CHECK_REMINDER' });
+        scheduleReminderCheck(getReminderSettings());
+    }, Math.min(...next) - now.getTime() + 1000);
+}
+
+/**
+ * Fills the reminder and streak freeze controls of the Settings card
+ * @returns {void}
+ */
+function renderReminderSettings() {
+    const toggle = document.getElementById('reminder-enabled');
+    if (!toggle) return;
+    const settings = getReminderSettings();
+    toggle.checked = settings.enabled;
+    document.getElementById('reminder-time').value = settings.time;
+    document.getElementById('quiet-start').value = settings.quietStart;
+    document.getElementById('quiet-end').value = settings.quietEnd;
+    document.getElementById('streak-freeze-allowance').value = String(getStreakFreezeAllowance());
+}
+
+// ========================================
+// CHALLENGE ENGINE
+// ========================================
+
+/**
+ * Challenge definitions. Each challenge measures a metric over a time window:
+ * - metric.type: 'count' (number of logged actions), 'quantity' (sum of km/kg/count)
+ *   or 'co2' (sum of kg CO2 saved), restricted to metric.actions (keys of ECO_ACTIONS)
+ * - period: 'week' | 'month' for recurring challenges, or fixed start/end ISO dates
+ * - reward: points awarded once per completed window
+ * - categoryKey, titleKey, goalKey: message keys for the card text (see locales/)
+ */
+const CHALLENGES = [
+    {
+        id: 'zero-waste-week',
+        categoryKey: 'challenge_category_weekly',
+        icon: 'fa-recycle',
+        titleKey: 'challenge_zero_waste_week',
+        goalKey: 'challenge_zero_waste_week_goal',
+        metric: { type: 'count', actions: ['reusable_bag'] },
+        target: 7,
+        period: 'week',
+        reward: 100
+    },
+    {
+        id: 'recycling-drive',
+        categoryKey: 'challenge_category_monthly',
+        icon: 'fa-dumpster',
+        titleKey: 'challenge_recycling_drive',
+        goalKey: 'challenge_recycling_drive_goal',
+        metric: { type: 'quantity', actions: ['recycle'] },
+        target: 10,
+        period: 'month',
+        reward: 150
+    },
+    {
+        id: 'walk-to-work',
+        categoryKey: 'challenge_category_community',
+        icon: 'fa-walking',
+        titleKey: 'challenge_walk_to_work',
+        goalKey: 'challenge_walk_to_work_goal',
+        metric: { type: 'count', actions: ['walk', 'cycle'] },
+        target: 3,
+        period: 'week',
+        reward: 75
+    },
+    {
+        id: 'autumn-greening',
+        categoryKey: 'challenge_category_seasonal',
+        icon: 'fa-leaf',
+        titleKey: 'challenge_autumn_greening',
+        goalKey: 'challenge_autumn_greening_goal',
+        metric: { type: 'co2', actions: ['plant_tree', 'walk', 'cycle', 'bus'] },
+        target: 20,
+        start: '2026-09-23',
+        end: '2026-12-21',
+        reward: 250
+    }
+];
+
+/**
+ * Resolves the active time window of a challenge
+ * @param {Object} challenge - Challenge definition
+ * @param {Date} [now=new Date()]
+ * @returns {{start: number, end: number}} Epoch milliseconds, end exclusive
+ */
+function getChallengeWindow(challenge, now = new Date()) {
+    if (challenge.period) {
+        const start = startOfPeriod(challenge.period, now);
+        const end = new Date(start);
+        if (challenge.period === 'month') end.setMonth(end.getMonth() + 1);
+        else end.setDate(end.getDate() + (challenge.period === 'week' ? 7 : 1));
+        return { start, end: end.getTime() };
+    }
+    const end = parseLocalDate(challenge.end);
+    end.setDate(end.getDate() + 1);
+    return { start: parseLocalDate(challenge.start).getTime(), end: end.getTime() };
+}
+
+/**
+ * Computes a user's progress on a challenge from their logged actions
+ * @param {Object} challenge - Challenge definition
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {{value: number, percent: number, span: {start: number, end: number}}}
+ */
+function getChallengeProgress(challenge, user = getCurrentUser()) {
+    const span = getChallengeWindow(challenge);
+    const { type, actions } = challenge.metric;
+    const value = getLoggedActions(user)
+        .filter(e => actions.includes(e.action) && e.timestamp >= span.start && e.timestamp < span.end)
+        .reduce((sum, e) => sum + (type === 'count' ? 1 : type === 'co2' ? (e.co2Kg || 0) : (e.quantity || 0)), 0);
+    const percent = Math.min(100, Math.round((value / challenge.target) * 100));
+    return { value, percent, span };
+}
+
+/**
+ * Retrieves the challenge records of a user. A record stays after leaving
+ * (joinedAt null), so windows already completed are not paid out again.
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {Object} Map of challenge id to { joinedAt, completions: { [windowStart]: timestamp } }
+ */
+function getChallengeState(user = getCurrentUser()) {
+    return getUserData('challengeState', {}, user);
+}
+
+/**
+ * Saves the joined challenges of the signed-in user
+ * @param {Object} state - Map of challenge id to membership record
+ * @returns {void}
+ */
+function saveChallengeState(state) {
+    setUserData('challengeState', state);
+}
+
+/**
+ * Joins a challenge; progress already logged in the current window counts
+ * @param {string} id - Challenge id
+ * @returns {void}
+ */
+function joinChallenge(id) {
+    const state = getChallengeState();
+    if (state[id]?.joinedAt) return;
+    state[id] = { completions: {}, ...state[id], joinedAt: Date.now() };
+    saveChallengeState(state);
+    checkChallenges();
+    renderChallenges();
+}
+
+/**
+ * Leaves a challenge. Points from completed windows are kept, and so are
+ * their completions, so rejoining cannot earn the same window twice.
+ * @param {string} id - Challenge id
+ * @returns {void}
+ */
+function leaveChallenge(id) {
+    const state = getChallengeState();
+    if (!state[id]) return;
+    state[id].joinedAt = null;
+    saveChallengeState(state);
+    renderChallenges();
+}
+
+/**
+ * Awards every joined challenge whose target is reached in the current window
+ * and which has not been completed for that window yet
+ * @returns {Array} Challenge definitions completed by this call
+ */
+function checkChallenges() {
+    const state = getChallengeState();
+    // Awards already in the ledger, e.g. made on another device
+    const awarded = new Set(getLedger().filter(e => e.action === 'challenge_complete').map(e => e.source));
+    let changed = false;
+    const completed = [];
+    CHALLENGES.forEach(ch => {
+        const membership = state[ch.id];
+        if (!membership?.joinedAt) return;
+        const { value, span } = getChallengeProgress(ch);
+        if (value < ch.target || membership.completions[span.start]) return;
+        membership.completions[span.start] = Date.now();
+        changed = true;
+        if (!awarded.has(`challenge:${ch.id}:${span.start}`)) completed.push(ch);
+    });
+    if (changed) saveChallengeState(state);
+    if (completed.length === 0) return completed;
+
+    completed.forEach(ch => {
+        const { span } = getChallengeProgress(ch);
+        awardPoints('challenge_complete', ch.reward, `challenge:${ch.id}:${span.start}`);
+        showToast(t('challenge_complete', { title: t(ch.titleKey), points: ch.reward }), 'success');
+    });
+    launchConfetti();
+    return completed;
+}
+
+/**
+ * Creates a DOM element for a single challenge card
+ * @param {Object} challenge - Challenge definition
+ * @returns {HTMLElement}
+ */
+function createChallengeElement(challenge) {
+    const record = getChallengeState()[challenge.id];
+    const membership = record?.joinedAt ? record : null;
+    const { percent, span } = getChallengeProgress(challenge);
+    const now = Date.now();
+
+    const card = document.createElement('div');
+    card.className = 'dashboard-card challenge-card';
+    const heading = document.createElement('h3');
+    const icon = document.createElement('i');
+    icon.className = `fas ${challenge.icon}`;
+    heading.appendChild(icon);
+    heading.appendChild(document.createTextNode(` ${t(challenge.categoryKey)}`));
+    const title = document.createElement('h4');
+    title.innerText = t(challenge.titleKey);
+    const goal = document.createElement('p');
+    goal.innerText = t('challenge_goal', { goal: t(challenge.goalKey), points: challenge.reward });
+    card.appendChild(heading);
+    card.appendChild(title);
+    card.appendChild(goal);
+
+    const bar = document.createElement('div');
+    bar.className = 'progress-bar';
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', '100');
+    bar.setAttribute('aria-valuenow', membership ? percent : 0);
+    const fill = document.createElement('div');
+    fill.className = 'progress-fill';
+    fill.style.width = `${membership ? percent : 0}%`;
+    bar.appendChild(fill);
+    card.appendChild(bar);
+
+    const status = document.createElement('p');
+    const daysLeft = t('challenge_days_left', { count: Math.ceil((span.end - now) / 86400000) });
+    if (now < span.start) {
+        status.innerText = t('challenge_starts', { date: formatDate(span.start) });
+    } else if (now >= span.end) {
+        status.innerText = t('challenge_ended');
+    } else if (membership?.completions[span.start]) {
+        status.innerText = `${t('challenge_completed')} • ${daysLeft}`;
+    } else {
+        status.innerText = membership
+            ? `${t('challenge_percent_done', { percent })} • ${daysLeft}`
+            : daysLeft;
+    }
+    card.appendChild(status);
+
+    const btn = document.createElement('button');
+    btn.className = membership ? 'btn btn-secondary challenge-btn' : 'reward-btn challenge-btn';
+    btn.innerText = t(membership ? 'challenge_leave' : 'challenge_join');
+    btn.disabled = now >= span.end;
+    btn.addEventListener('click', () => {
+        if (membership) {
+            leaveChallenge(challenge.id);
+            showToast(t('challenge_left', { title: t(challenge.titleKey) }), 'info');
+        } else {
+            joinChallenge(challenge.id);
+            showToast(t('challenge_joined', { title: t(challenge.titleKey) }), 'success');
+        }
+    });
+    card.appendChild(btn);
+    return card;
+}
+
+/**
+ * Renders all challenge cards on the challenges page
+ * @returns {void}
+ */
+function renderChallenges() {
+    const grid = document.getElementById('challenges-grid');
+    if (!grid) return;
+    grid.innerHTML = '';
+    CHALLENGES.forEach(ch => grid.appendChild(createChallengeElement(ch)));
+}
+
+// ========================================
+// ACHIEVEMENT BADGES
+// ========================================
+
+/**
+ * Badge rules. progress(user) measures how far a user has come toward target;
+ * the badge unlocks the first time progress reaches target and stays unlocked
+ * even if progress drops later (e.g. a liked post is deleted).
+ * - titleKey, descKey: message keys for the gallery (see locales/)
+ * - decimals: fraction digits shown for progress (CO2 is measured in kg)
+ */
+const BADGES = [
+    {
+        id: 'first-post',
+        icon: 'fa-camera',
+        titleKey: 'badge_first_post',
+        descKey: 'badge_first_post_desc',
+        target: 1,
+        progress: user => getPosts().filter(p => p.authorId === user).length
+    },
+    {
+        id: 'eco-warrior',
+        icon: 'fa-leaf',
+        titleKey: 'badge_eco_warrior',
+        descKey: 'badge_eco_warrior_desc',
+        target: 1,
+        progress: user => getLoggedActions(user).length
+    },
+    {
+        id: 'week-streak',
+        icon: 'fa-fire',
+        titleKey: 'badge_week_streak',
+        descKey: 'badge_week_streak_desc',
+        target: 7,
+        progress: user => getLongestStreak(user)
+    },
+    {
+        id: 'co2-10',
+        icon: 'fa-cloud',
+        titleKey: 'badge_co2_10',
+        descKey: 'badge_co2_10_desc',
+        target: 10,
+        decimals: 1,
+        progress: user => getLoggedActions(user).reduce((sum, e) => sum + (e.co2Kg || 0), 0)
+    },
+    {
+        id: 'recycling-master',
+        icon: 'fa-recycle',
+        titleKey: 'badge_recycling_master',
+        descKey: 'badge_recycling_master_desc',
+        target: 10,
+        decimals: 1,
+        progress: user => getLoggedActions(user).filter(e => e.action === 'recycle').reduce((sum, e) => sum + (e.quantity || 0), 0)
+    },
+    {
+        id: 'liked-50',
+        icon: 'fa-heart',
+        titleKey: 'badge_liked_50',
+        descKey: 'badge_liked_50_desc',
+        target: 50,
+        progress: user => getPosts().filter(p => p.authorId === user).reduce((sum, p) => sum + (p.likes || 0), 0)
+    },
+    {
+        id: 'good-company',
+        icon: 'fa-user-friends',
+        titleKey: 'badge_good_company',
+        descKey: 'badge_good_company_desc',
+        target: 3,
+        progress: user => getFriends(user).length
+    }
+];
+
+/**
+ * Retrieves the badges a user has unlocked
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {Object} Map of badge id to unlock timestamp
+ */
+function getUnlockedBadges(user = getCurrentUser()) {
+    return user ? getUserData('badges', {}, user) : {};
+}
+
+/**
+ * Measures a user's progress toward a badge
+ * @param {Object} badge - Badge definition
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {{value: number, percent: number, unlockedAt: (number|undefined)}}
+ */
+function getBadgeProgress(badge, user = getCurrentUser()) {
+    const value = user ? badge.progress(user) : 0;
+    const unlockedAt = getUnlockedBadges(user)[badge.id];
+    return {
+        value,
+        percent: unlockedAt ? 100 : Math.min(100, Math.floor((value / badge.target) * 100)),
+        unlockedAt
+    };
+}
+
+/**
+ * Unlocks every badge the signed-in user has newly earned, celebrating each
+ * with a toast and the batch with confetti. Call it whenever the data the
+ * rules read changes: logged actions, posts, likes and friends.
+ * @returns {Array} Badge definitions unlocked by this call
+ */
+function checkBadges() {
+    const user = getCurrentUser();
+    if (!user) return [];
+    const unlocked = getUnlockedBadges(user);
+    const earned = BADGES.filter(b => !unlocked[b.id] && b.progress(user) >= b.target);
+    if (earned.length === 0) return earned;
+
+    earned.forEach(b => { unlocked[b.id] = Date.now(); });
+    setUserData('badges', unlocked);
+    earned.forEach(b => showToast(t('badge_unlocked', { title: t(b.titleKey) }), 'success'));
+    launchConfetti();
+    renderBadges();
+    return earned;
+}
+
+/**
+ * Creates a gallery tile for a badge, locked or unlocked
+ * @param {Object} badge - Badge definition
+ * @returns {HTMLElement}
+ */
+function createBadgeElement(badge) {
+    const { value, percent, unlockedAt } = getBadgeProgress(badge);
+    const item = document.createElement('li');
+    item.className = `badge-item ${unlockedAt ? 'unlocked' : 'locked'}`;
+    const icon = document.createElement('div');
+    icon.className = 'badge-icon';
+    const glyph = document.createElement('i');
+    glyph.className = `fas ${unlockedAt ? badge.icon : 'fa-lock'}`;
+    glyph.setAttribute('aria-hidden', 'true');
+    icon.appendChild(glyph);
+    const title = document.createElement('h4');
+    title.innerText = t(badge.titleKey);
+    const desc = document.createElement('p');
+    desc.className = 'badge-desc';
+    desc.innerText = t(badge.descKey);
+    item.appendChild(icon);
+    item.appendChild(title);
+    item.appendChild(desc);
+
+    const status = document.createElement('p');
+    status.className = 'badge-status';
+    if (unlockedAt) {
+        status.innerText = t('badge_unlocked_on', { date: formatDate(unlockedAt) });
+    } else {
+        const bar = document.createElement('div');
+        bar.className = 'progress-bar';
+        bar.setAttribute('role', 'progressbar');
+        bar.setAttribute('aria-valuemin', '0');
+        bar.setAttribute('aria-valuemax', '100');
+        bar.setAttribute('aria-valuenow', percent);
+        bar.setAttribute('aria-label', t(badge.titleKey));
+        const fill = document.createElement('div');
+        fill.className = 'progress-fill';
+        fill.style.width = `${percent}%`;
+        bar.appendChild(fill);
+        item.appendChild(bar);
+        const digits = { maximumFractionDigits: badge.decimals || 0 };
+        status.innerText = t('badge_progress', {
+            value: formatNumber(Math.min(value, badge.target), digits),
+            target: formatNumber(badge.target, digits)
+        });
+    }
+    item.appendChild(status);
+    return item;
+}
+
+/**
+ * Renders the badge gallery on the profile page, unlocked badges first
+ * @returns {void}
+ */
+function renderBadges() {
+    const gallery = document.getElementById('badge-gallery');
+    if (!gallery) return;
+    const unlocked = getUnlockedBadges();
+    const count = BADGES.filter(b => unlocked[b.id]).length;
+    const summary = document.getElementById('badges-summary');
+    if (summary) summary.innerText = t('badges_summary', { count, total: BADGES.length });
+    gallery.innerHTML = '';
+    [...BADGES]
+        .sort((a, b) => (unlocked[a.id] ? 0 : 1) - (unlocked[b.id] ? 0 : 1))
+        .forEach(b => gallery.appendChild(createBadgeElement(b)));
+}
+
+// ========================================
+// REWARD CATALOG & REDEMPTION
+// ========================================
+
+/**
+ * Reward catalog. tier decides where the reward is listed ('basic' on the
+ * dashboard, 'premium' and 'partner' on the rewards page). stock is the number
+ * of codes available on this device; expires is the last day a reward can be claimed.
+ * nameKey is the message key of the reward's name (see locales/).
+ */
+const REWARDS = [
+    { id: 'plant-tree', tier: 'basic', icon: 'fa-seedling', nameKey: 'reward_name_plant_tree', cost: 300, stock: 50, expires: '2027-06-30', codePrefix: 'TREE' },
+    { id: 'eco-bag', tier: 'basic', icon: 'fa-shopping-bag', nameKey: 'reward_name_eco_bag', cost: 150, stock: 100, expires: '2027-06-30', codePrefix: 'BAG' },
+    { id: 'carbon-offset', tier: 'basic', icon: 'fa-globe-americas', nameKey: 'reward_name_carbon_offset', cost: 500, stock: 50, expires: '2027-06-30', codePrefix: 'OFST' },
+    { id: 'plant-10-trees', tier: 'premium', icon: 'fa-tree', nameKey: 'reward_name_plant_10_trees', cost: 2500, stock: 10, expires: '2027-06-30', codePrefix: 'TREE' },
+    { id: 'eco-store-voucher', tier: 'premium', icon: 'fa-shopping-cart', nameKey: 'reward_name_eco_store_voucher', cost: 3000, stock: 5, expires: '2027-03-31', codePrefix: 'STOR' },
+    { id: 'ev-charging-pass', tier: 'premium', icon: 'fa-car', nameKey: 'reward_name_ev_charging_pass', cost: 2000, stock: 10, expires: '2027-03-31', codePrefix: 'EVCP' },
+    { id: 'eco-cafe-coffee', tier: 'partner', partner: 'Eco Cafe', icon: 'fa-coffee', nameKey: 'reward_name_eco_cafe_coffee', cost: 200, stock: 30, expires: '2027-01-31', codePrefix: 'CAFE' },
+    { id: 'green-store-discount', tier: 'partner', partner: 'Green Store', icon: 'fa-shopping-bag', nameKey: 'reward_name_green_store_discount', cost: 400, stock: 20, expires: '2027-01-31', codePrefix: 'GRST' },
+    { id: 'transport-day', tier: 'partner', partner: 'Sajha Yatayat', icon: 'fa-bus', nameKey: 'reward_name_transport_day', cost: 350, stock: 25, expires: '2027-01-31', codePrefix: 'BUS' }
+];
+
+/** Unambiguous characters used in redemption codes (no 0/O, 1/I/L) */
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Computes the two-character check suffix of a redemption code body (FNV-1a hash)
+ * @param {string} body - Code without its check suffix, e.g. 'CAFE-7K3M-Q9XZ'
+ * @returns {string}
+ */
+function redemptionCheck(body) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < body.length; i++) {
+        h ^= body.charCodeAt(i);
+        h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    const n = CODE_ALPHABET.length;
+    return CODE_ALPHABET[h % n] + CODE_ALPHABET[Math.floor(h / n) % n];
+}
+
+/**
+ * Generates a redemption code such as 'CAFE-7K3M-Q9XZ-4T'. The trailing check
+ * characters let a partner validate a code offline with verifyRedemptionCode().
+ * @param {Object} reward - Reward definition
+ * @returns {string}
+ */
+function generateRedemptionCode(reward) {
+    const bytes = new Uint8Array(8);
+    if (window.crypto?.getRandomValues) {
+        window.crypto.getRandomValues(bytes);
+    } else {
+        bytes.forEach((_, i) => { bytes[i] = Math.floor(Math.random() * 256); });
+    }
+    const chars = Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    const body = `${reward.codePrefix}-${chars.slice(0, 4)}-${chars.slice(4)}`;
+    return `${body}-${redemptionCheck(body)}`;
+}
+
+/**
+ * Validates the format and check characters of a redemption code without network access
+ * @param {string} code - Code as shown to the partner
+ * @returns {boolean}
+ */
+function verifyRedemptionCode(code) {
+    const match = /^([A-Z]{3,4}-[A-Z2-9]{4}-[A-Z2-9]{4})-([A-Z2-9]{2})$/.exec(String(code || '').trim().toUpperCase());
+    return !!match && redemptionCheck(match[1]) === match[2];
+}
+
+/**
+ * Retrieves the claims of a user (ledger entries of type reward_claim)
+ * @param {string} [user] - User id (defaults to the signed-in user)
+ * @returns {Array} Ledger entries with rewardId and code
+ */
+function getClaimedRewards(user = getCurrentUser()) {
+    return getLedger(user).filter(e => e.action === 'reward_claim');
+}
+
+/**
+ * Counts how many codes of a reward are still available across all users on this device
+ * @param {Object} reward - Reward definition
+ * @returns {number}
+ */
+function getRewardStockLeft(reward) {
+    const claimed = Object.keys(getAllLedgers())
+        .reduce((sum, user) => sum + getClaimedRewards(user).filter(c => c.rewardId === reward.id).length, 0);
+    return Math.max(0, reward.stock - claimed);
+}
+
+/**
+ * Names the reward of a claim in the active language, falling back to the name
+ * stored with the claim for rewards no longer in the catalog
+ * @param {Object} claim - reward_claim ledger entry
+ * @returns {string}
+ */
+function getClaimName(claim) {
+    const reward = REWARDS.find(r => r.id === claim.rewardId);
+    return reward ? t(reward.nameKey) : claim.rewardName;
+}
+
+/**
+ * Checks whether a reward is past its expiry date
+ * @param {Object} reward - Reward definition
+ * @returns {boolean}
+ */
+function isRewardExpired(reward) {
+    const end = parseLocalDate(reward.expires);
+    end.setDate(end.getDate() + 1);
+    return Date.now() >= end.getTime();
+}
+
+/**
+ * Claims a reward for the signed-in user. The balance check, the point
+ * deduction and the redemption code are written as a single ledger entry, so a
+ * claim can never be recorded without its deduction (or vice versa).
+ * @param {string} rewardId - Reward id
+ * @returns {{ok: boolean, claim?: Object, error?: string}}
+ */
+function claimReward(rewardId) {
+    const reward = REWARDS.find(r => r.id === rewardId);
+    if (!reward) return { ok: false, error: t('error_reward_not_found') };
+    if (getClaimedRewards().some(c => c.rewardId === reward.id)) {
+        return { ok: false, error: t('error_reward_already_claimed') };
+    }
+    if (isRewardExpired(reward)) return { ok: false, error: t('error_reward_expired') };
+    if (getRewardStockLeft(reward) <= 0) return { ok: false, error: t('error_reward_out_of_stock') };
+    const balance = getPointsBalance();
+    if (balance < reward.cost) {
+        return { ok: false, error: t('error_reward_more_points', { count: reward.cost - balance }) };
+    }
+
+    const codes = Object.keys(getAllLedgers()).flatMap(u => getClaimedRewards(u).map(c => c.code));
+    let code;
+    do {
+        code = generateRedemptionCode(reward);
+    } while (codes.includes(code));
+
+    const claim = awardPoints('reward_claim', -reward.cost, `reward:${reward.id}`, {
+        rewardId: reward.id,
+        rewardName: t(reward.nameKey),
+        code
+    });
+    return { ok: true, claim };
+}
+
+/**
+ * Builds a QR-style SVG pattern derived from a redemption code. It is a visual
+ * fingerprint for quick comparison at the counter, not a scannable QR code.
+ * @param {string} code - Redemption code
+ * @param {number} [size=21] - Modules per side
+ * @returns {SVGElement}
+ */
+function createCodePattern(code, size = 21) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+    svg.setAttribute('class', 'code-pattern');
+    svg.setAttribute('aria-hidden', 'true');
+    const cell = (x, y) => {
+        const r = document.createElementNS(ns, 'rect');
+        r.setAttribute('x', x);
+        r.setAttribute('y', y);
+        r.setAttribute('width', 1);
+        r.setAttribute('height', 1);
+        svg.appendChild(r);
+    };
+    const inFinder = (x, y) => [[0, 0], [size - 7, 0], [0, size - 7]]
+        .some(([fx, fy]) => x >= fx && x < fx + 7 && y >= fy && y < fy + 7);
+    // Finder squares in three corners, like a QR code
+    [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([fx, fy]) => {
+        for (let y = 0; y < 7; y++) {
+            for (let x = 0; x < 7; x++) {
+                const ring = x === 0 || y === 0 || x === 6 || y === 6;
+                const core = x >= 2 && x <= 4 && y >= 2 && y <= 4;
+                if (ring || core) cell(fx + x, fy + y);
+            }
+        }
+    });
+    // Data modules seeded from the code so every code has a distinct pattern
+    let seed = 0x811c9dc5;
+    for (let i = 0; i < code.length; i++) seed = Math.imul(seed ^ code.charCodeAt(i), 0x01000193) >>> 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (inFinder(x, y)) continue;
+            seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+            if ((seed >>> 16) & 1) cell(x, y);
+        }
+    }
+    return svg;
+}
+
+/** Redemption code dialog, created on first use */
+let rewardDialog = null;
+
+/**
+ * Returns the redemption code dialog, wiring it up the first time
+ * @returns {ReturnType<typeof createDialog>|null}
+ */
+function getRewardDialog() {
+    const modal = document.getElementById('reward-modal');
+    if (!rewardDialog && modal) rewardDialog = createDialog(modal);
+    return rewardDialog;
+}
+
+/**
+ * Opens the redemption modal for a claim
+ * @param {Object} claim - reward_claim ledger entry
+ * @returns {void}
+ */
+function showRedemptionCode(claim) {
+    const dialog = getRewardDialog();
+    const body = document.getElementById('reward-modal-body');
+    if (!dialog || !body) return;
+    const reward = REWARDS.find(r => r.id === claim.rewardId);
+    body.innerHTML = '';
+    const name = document.createElement('h3');
+    name.innerText = getClaimName(claim);
+    const pattern = createCodePattern(claim.code);
+    const code = document.createElement('div');
+    code.className = 'redemption-code';
+    code.innerText = claim.code;
+    const info = document.createElement('p');
+    info.className = 'redemption-info';
+    info.innerText = [
+        reward?.partner ? t('reward_show_at', { partner: reward.partner }) : '',
+        t('reward_claimed_on', { date: formatDate(claim.timestamp) }),
+        reward ? `• ${t('reward_valid_until', { date: formatDate(parseLocalDate(reward.expires)) })}` : ''
+    ].filter(Boolean).join(' ');
+    body.appendChild(name);
+    body.appendChild(pattern);
+    body.appendChild(code);
+    body.appendChild(info);
+    dialog.open();
+}
+
+/**
+ * Closes the redemption modal
+ * @returns {void}
+ */
+function closeRedemptionCode() {
+    getRewardDialog()?.close();
+}
+
+/**
+ * Creates a DOM element for a single catalog reward
+ * @param {Object} reward - Reward definition
+ * @returns {HTMLElement}
+ */
+function createRewardElement(reward) {
+    const claim = getClaimedRewards().find(c => c.rewardId === reward.id);
+    const stockLeft = getRewardStockLeft(reward);
+    const expired = isRewardExpired(reward);
+
+    const item = document.createElement('div');
+    item.className = 'reward-item';
+    const info = document.createElement('div');
+    info.className = 'reward-info';
+    const iconWrap = document.createElement('div');
+    iconWrap.className = 'reward-icon';
+    const icon = document.createElement('i');
+    icon.className = `fas ${reward.icon}`;
+    iconWrap.appendChild(icon);
+    const text = document.createElement('div');
+    const name = document.createElement('div');
+    name.innerText = t(reward.nameKey);
+    const meta = document.createElement('div');
+    meta.className = 'reward-meta';
+    meta.innerText = t('reward_cost_stock', { points: formatPoints(reward.cost), count: stockLeft });
+    text.appendChild(name);
+    text.appendChild(meta);
+    info.appendChild(iconWrap);
+    info.appendChild(text);
+
+    const btn = document.createElement('button');
+    btn.className = 'reward-btn';
+    if (claim) {
+        btn.innerText = t('reward_view_code');
+        btn.addEventListener('click', () => showRedemptionCode(claim));
+    } else {
+        btn.innerText = t(expired ? 'reward_expired' : stockLeft <= 0 ? 'reward_out_of_stock' : 'reward_claim');
+        btn.disabled = expired || stockLeft <= 0;
+        btn.addEventListener('click', () => {
+            // Guard against double clicks while the claim is being processed
+            if (btn.disabled) return;
+            btn.disabled = true;
+            const result = claimReward(reward.id);
+            if (!result.ok) {
+                btn.disabled = false;
+                showToast(result.error, 'warn');
+                return;
+            }
+            showToast(t('reward_claimed', { name: t(reward.nameKey) }), 'success');
+            showRedemptionCode(result.claim);
+        });
+    }
+    item.appendChild(info);
+    item.appendChild(btn);
+    return item;
+}
+
+/**
+ * Creates a DOM element for a row of the "My claimed rewards" list
+ * @param {Object} claim - reward_claim ledger entry
+ * @returns {HTMLElement}
+ */
+function createClaimElement(claim) {
+    const item = document.createElement('div');
+    item.className = 'reward-item';
+    const info = document.createElement('div');
+    const name = document.createElement('div');
+    name.innerText = getClaimName(claim);
+    const code = document.createElement('div');
+    code.className = 'reward-meta';
+    code.innerText = `${claim.code} • ${formatDate(claim.timestamp)}`;
+    info.appendChild(name);
+    info.appendChild(code);
+    const btn = document.createElement('button');
+    btn.className = 'reward-btn';
+    btn.innerText = t('reward_show_code');
+    btn.addEventListener('click', () => showRedemptionCode(claim));
+    item.appendChild(info);
+    item.appendChild(btn);
+    return item;
+}
+
+/**
+ * Renders the reward catalog lists, the claimed rewards list and the claimed percentage
+ * @returns {void}
+ */
+function renderRewards() {
+    document.querySelectorAll('[data-reward-tier]').forEach(list => {
+        list.innerHTML = '';
+        REWARDS.filter(r => r.tier === list.dataset.rewardTier)
+            .forEach(r => list.appendChild(createRewardElement(r)));
+    });
+
+    const claims = getClaimedRewards().slice().sort((a, b) => b.timestamp - a.timestamp);
+    const claimedList = document.getElementById('claimed-rewards');
+    const noClaims = document.getElementById('no-claims');
+    if (claimedList) {
+        claimedList.innerHTML = '';
+        if (noClaims) noClaims.style.display = claims.length ? 'none' : 'block';
+        claims.forEach(c => claimedList.appendChild(createClaimElement(c)));
+    }
+
+    const pct = document.getElementById('rewards-claimed-pct');
+    if (pct) {
+        const claimedIds = new Set(claims.map(c => c.rewardId));
+        pct.innerText = `${Math.round((claimedIds.size / REWARDS.length) * 100)}%`;
+    }
+}
+
+// ========================================
+// DATA EXPORT & IMPORT
+// ========================================
+
+/** Marks a JSON file as an Eco Step backup */
+const EXPORT_FORMAT = 'ecostep-export';
+/** Version of the backup layout written by buildExportBundle; bump it and add a migration when the layout changes */
+const EXPORT_VERSION = 1;
+
+/**
+ * Upgrades a backup from one version to the next, keyed by the version it
+ * upgrades from, e.g. 1: bundle => ({ ...bundle, version: 2, ... }).
+ * Data kept on this device before there were accounts is not a backup; see
+ * claimLegacyData.
+ */
+const EXPORT_MIGRATIONS = {};
+
+/** Device-wide keys of the app before accounts existed, claimed by claimLegacyData */
+const LEGACY_KEYS = ['isLoggedIn', 'userName'];
+
+/**
+ * Moves the data this device kept before there were accounts into the first
+ * account that signs in here: posts without an author become theirs, liked
+ * posts move into their namespace, and the device theme and language become
+ * their settings unless they have their own. Runs once per device.
+ * @param {string} user - User id of the account signing in
+ * @returns {void}
+ */
+function claimLegacyData(user) {
+    if (appStore.get('legacyDataClaimed')) return;
+    appStore.set('legacyDataClaimed', 'true');
+
+    const unowned = getPosts().filter(p => !p.authorId);
+    if (unowned.length) {
+        const ids = new Set(unowned.map(p => p.id));
+        savePosts(getPosts().map(p => (ids.has(p.id) ? { ...p, authorId: user } : p)));
+        getPosts().filter(p => ids.has(p.id)).forEach(post => syncWrite('putPost', post));
+    }
+
+    try {
+        const liked = JSON.parse(appStore.get('likedPosts') || '[]');
+        if (Array.isArray(liked) && liked.length) {
+            setUserData('likedPosts', mergeUnique(getUserData('likedPosts', [], user), liked));
+        }
+    } catch (e) {
+        // Unreadable list: nothing to claim
+    }
+    appStore.remove('likedPosts');
+
+    ['theme', 'siteLang'].forEach(key => {
+        const value = appStore.get(key);
+        if (value && appStore.get(userStorageKey(key, user)) === null) appStore.set(userStorageKey(key, user), value);
+    });
+    LEGACY_KEYS.forEach(key => appStore.remove(key));
+}
+
+/**
+ * Unions two lists of plain values
+ * @param {Array} local
+ * @param {Array} incoming
+ * @returns {Array}
+ */
+function mergeUnique(local, incoming) {
+    return [...new Set([...local, ...incoming])];
+}
+
+/**
+ * Adds the records of incoming that local lacks, matched by id
+ * @param {Array<{id: *}>} local
+ * @param {Array<{id: *}>} incoming
+ * @returns {Array}
+ */
+function mergeById(local, incoming) {
+    const ids = new Set(local.map(item => item.id));
+    return [...local, ...incoming.filter(item => !ids.has(item.id))];
+}
+
+/**
+ * Per-user keys included in a backup, with the type each must have and how
+ * an imported value is merged with the one already on this device (which
+ * always wins for settings)
+ */
+const EXPORT_USER_DATA = {
+    pointsLedger: { type: 'array', merge: mergeById },
+    likedPosts: { type: 'array', merge: mergeUnique },
+    badges: {
+        type: 'object',
+        // Keep the earliest unlock of each badge
+        merge: (local, incoming) => Object.entries(incoming).reduce((merged, [id, at]) => {
+            merged[id] = Math.min(merged[id] ?? at, at);
+            return merged;
+        }, { ...local })
+    },
+    challengeState: {
+        type: 'object',
+        merge: (local, incoming) => Object.entries(incoming).reduce((merged, [id, record]) => {
+            merged[id] = merged[id]
+                ? { ...record, ...merged[id], completions: { ...record.completions, ...merged[id].completions } }
+                : record;
+            return merged;
+        }, { ...local })
+    },
+    friends: { type: 'array', merge: mergeUnique },
+    streakFreezes: { type: 'array', merge: mergeUnique },
+    streakFreezeAllowance: { type: 'number', merge: local => local },
+    reminders: { type: 'object', merge: local => local },
+    savedTips: { type: 'array', merge: mergeById },
+    chatSessions: { type: 'array', merge: mergeById }
+};
+
+/** Account fields copied into a backup; credentials stay out */
+const EXPORT_ACCOUNT_FIELDS = ['id', 'name', 'email', 'createdAt', 'referralCode', 'avatarId', 'bio', 'district', 'ward', 'private'];
+/** Profile fields an import fills in when they are not set on this device */
+const IMPORT_PROFILE_FIELDS = ['avatarId', 'bio', 'district', 'ward'];
+
+/**
+ * Collects everything the signed-in user has stored on this device: profile,
+ * preferences, per-user data, their posts, their comments on other posts and
+ * the photos those use
+ * @returns {Promise<Object|null>} Backup bundle, or null when nobody is signed in
  */
-function showToast(message, type = 'info', duration = 4000) {
-    const container = document.getElementById('toasts');
-    if (!container) return;
-    const t = document.createElement('div');
-    t.className = `toast ${type}`;
-    t.innerHTML = `<div class="toast-body">${message}</div><button class="toast-close" aria-label="Close">&times;</button>`;
-    container.appendChild(t);
-    // Allow CSS animation frame
-    requestAnimationFrame(() => t.classList.add('show'));
+async function buildExportBundle() {
+    const account = getAccount();
+    if (!account) return null;
+    const user = account.id;
 
-    const close = () => {
-        t.classList.remove('show');
-        setTimeout(() => t.remove(), 260);
-    };
+    const data = {};
+    Object.keys(EXPORT_USER_DATA).forEach(key => {
+        const value = getUserData(key, undefined, user);
+        if (value !== undefined) data[key] = value;
+    });
+    data.friendRequests = getFriendRequests().filter(r => r.from === user || r.to === user);
+    data.duels = getDuels().filter(d => d.users.includes(user));
+
+    const allPosts = getPosts();
+    const posts = allPosts.filter(p => p.authorId === user);
+    const comments = allPosts
+        .filter(p => p.authorId !== user)
+        .flatMap(p => (p.comments || []).filter(cm => cm.authorId === user).map(cm => ({ ...cm, postId: p.id })));
 
-    const closeBtn = t.querySelector('.toast-close');
-    if (closeBtn) closeBtn.addEventListener('click', close);
+    const images = {};
+    const imageIds = [...posts.map(p => p.imageId), account.avatarId].filter(Boolean);
+    for (const id of imageIds) {
+        try {
+            const blob = await getImage(id);
+            if (blob) images[id] = { type: blob.type, data: await blobToBase64(blob) };
+        } catch (e) {
+            // IndexedDB unavailable: the backup keeps the image ids only
+        }
+    }
 
-    if (duration > 0) setTimeout(close, duration);
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        account: Object.fromEntries(EXPORT_ACCOUNT_FIELDS.filter(f => account[f] !== undefined).map(f => [f, account[f]])),
+        preferences: {
+            theme: appStore.get(userStorageKey('theme', user)),
+            siteLang: appStore.get(userStorageKey('siteLang', user)),
+            onboardCompleted: appStore.get('onboardCompleted') === 'true'
+        },
+        data,
+        posts,
+        comments,
+        images
+    };
 }
 
-// ========================================
-// THEME / NIGHT MODE
-// ========================================
+/**
+ * Quotes a CSV cell when needed. Text starting with =, +, - or @ gets a
+ * leading apostrophe so spreadsheets do not run it as a formula.
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
 /**
- * Apply theme ('dark' or 'light') and persist preference
- * @param {'dark'|'light'} theme
+ * Builds a CSV document (RFC 4180, CRLF line endings)
+ * @param {string[]} header
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
  */
-function applyTheme(theme) {
-    const doc = document.documentElement;
-    if (theme === 'dark') {
-        doc.setAttribute('data-theme', 'dark');
-        localStorage.setItem('theme', 'dark');
-    } else {
-        doc.removeAttribute('data-theme');
-        localStorage.setItem('theme', 'light');
-    }
-    updateThemeToggleIcon(theme);
+function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
 }
 
 /**
- * Update the theme toggle button icon/aria state
- * @param {'dark'|'light'} theme
+ * Lists the signed-in user's logged eco actions as CSV, oldest first
+ * @returns {string}
  */
-function updateThemeToggleIcon(theme) {
-    const btn = document.getElementById('theme-toggle');
-    if (!btn) return;
-    btn.innerHTML = theme === 'dark' ? '<i class="fas fa-sun"></i>' : '<i class="fas fa-moon"></i>';
-    btn.setAttribute('aria-pressed', theme === 'dark' ? 'true' : 'false');
+function buildActivityCsv() {
+    const rows = getLedger()
+        .filter(e => ECO_ACTIONS[e.action])
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(e => [new Date(e.timestamp).toISOString(), e.action, getActionLabel(e.action), e.quantity, e.unit, e.co2Kg, e.points]);
+    return toCsv(['date', 'action', 'label', 'quantity', 'unit', 'co2_kg', 'points'], rows);
 }
 
 /**
- * Launch lightweight confetti using canvas-confetti when available
- * @param {number} [particleCount=80]
+ * Lists every points ledger entry of the signed-in user as CSV with a
+ * running balance, oldest first
+ * @returns {string}
  */
-function launchConfetti(particleCount = 80) {
-    if (typeof confetti === 'function') {
-        confetti({
-            particleCount,
-            spread: 160,
-            origin: { y: 0.6 }
+function buildPointsCsv() {
+    let balance = 0;
+    const rows = getLedger()
+        .slice()
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(e => {
+            balance += e.points || 0;
+            return [new Date(e.timestamp).toISOString(), e.id, e.action, getActionLabel(e.action), e.points, balance, e.source];
         });
-    }
+    return toCsv(['date', 'id', 'action', 'label', 'points', 'balance', 'source'], rows);
 }
 
 /**
- * Updates navigation links visibility based on authentication status
- * Redirects users to appropriate page if not logged in
- * @param {string} currentPage - The currently active page name
+ * Saves text as a file through the browser's download prompt
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} type - MIME type
  * @returns {void}
  */
-function updateNavigation(currentPage) {
-    const isLogged = localStorage.getItem('isLoggedIn') === 'true';
-    const dash = document.getElementById('dashboard-link');
-    const signout = document.getElementById('signout-link');
-    if (dash) dash.style.display = isLogged ? 'inline' : 'none';
-    if (signout) signout.style.display = isLogged ? 'inline' : 'none';
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
-    if (isLogged && (currentPage === 'signin' || currentPage === 'signup')) {
-        showPage('dashboard');
-    } else if (!isLogged && ['dashboard','challenges','rewards','profile'].includes(currentPage)) {
-        showPage('signin');
+/**
+ * Downloads the signed-in user's data as a JSON backup or a CSV report
+ * @param {'json'|'activity'|'points'} kind
+ * @returns {Promise<void>}
+ */
+async function exportUserData(kind) {
+    if (!isLoggedIn()) {
+        showToast(t('data_signin_required'), 'warn');
+        return;
+    }
+    const stamp = toDateKey(new Date());
+    if (kind === 'activity') {
+        downloadFile(`ecostep-activity-${stamp}.csv`, buildActivityCsv(), 'text/csv');
+    } else if (kind === 'points') {
+        downloadFile(`ecostep-points-${stamp}.csv`, buildPointsCsv(), 'text/csv');
+    } else {
+        const bundle = await buildExportBundle();
+        downloadFile(`ecostep-export-${stamp}.json`, JSON.stringify(bundle, null, 2), 'application/json');
     }
 }
 
 /**
- * Logs out the current user by clearing localStorage and redirecting to signin
- * @returns {void}
+ * Brings a backup up to EXPORT_VERSION through EXPORT_MIGRATIONS. A backup
+ * whose chain of steps is broken is treated as unreadable.
+ * @param {Object} bundle
+ * @param {Object<number, Function>} [migrations=EXPORT_MIGRATIONS]
+ * @param {number} [target=EXPORT_VERSION]
+ * @returns {{bundle?: Object, error?: string}} error is a translated message
  */
-function signOut() {
-    localStorage.removeItem('isLoggedIn');
-    localStorage.removeItem('userName');
-    showToast('You have been signed out.', 'info');
-    showPage('signin');
+function migrateExportBundle(bundle, migrations = EXPORT_MIGRATIONS, target = EXPORT_VERSION) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== EXPORT_FORMAT || !Number.isInteger(bundle.version) || bundle.version < 1) {
+        return { error: t('import_invalid_file') };
+    }
+    if (bundle.version > target) return { error: t('import_newer_version') };
+    let migrated = bundle;
+    while (migrated.version < target) {
+        const step = Object.prototype.hasOwnProperty.call(migrations, migrated.version) ? migrations[migrated.version] : null;
+        const next = step && step(migrated);
+        // A missing step, or one that does not move the version forward, would never finish
+        if (!next || !(next.version > migrated.version)) return { error: t('import_invalid_file') };
+        migrated = next;
+    }
+    return { bundle: migrated };
 }
 
-// ========================================
-// AUTHENTICATION HANDLERS
-// ========================================
-
 /**
- * Handles user sign-up form submission
- * Validates password match and stores user data in localStorage
- * @param {Event} e - The form submission event
- * @returns {void}
+ * Checks the shape of a backup at EXPORT_VERSION before anything is merged
+ * @param {Object} bundle
+ * @returns {string|null} Name of the first invalid field, or null when valid
  */
-function handleSignUp(e) {
-    e.preventDefault();
-    const pwd = document.getElementById('signup-password')?.value;
-    const confirm = document.getElementById('signup-confirm-password')?.value;
-    if (pwd !== confirm) {
-        showToast('Passwords do not match!', 'warn');
-        return;
+function validateExportBundle(bundle) {
+    const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+    const isTime = value => Number.isFinite(value);
+    if (!isObject(bundle.account) || !bundle.account.id) return 'account';
+    if (!isObject(bundle.preferences)) return 'preferences';
+    if (!isObject(bundle.data)) return 'data';
+    for (const [key, { type }] of Object.entries(EXPORT_USER_DATA)) {
+        const value = bundle.data[key];
+        if (value === undefined) continue;
+        const valid = type === 'array' ? Array.isArray(value) : type === 'object' ? isObject(value) : Number.isFinite(value);
+        if (!valid) return `data.${key}`;
     }
-    localStorage.setItem('isLoggedIn', 'true');
-    localStorage.setItem('userName', document.getElementById('signup-name')?.value || 'EcoWarrior');
-    showToast('Account created successfully! Redirecting to dashboard...', 'success');
-    showPage('dashboard');
+    if (!(bundle.data.pointsLedger || []).every(e => isObject(e) && e.id && Number.isFinite(e.points) && isTime(e.timestamp))) {
+        return 'data.pointsLedger';
+    }
+    const shared = { friendRequests: r => r.from && r.to, duels: d => Array.isArray(d.users) };
+    for (const [key, check] of Object.entries(shared)) {
+        const value = bundle.data[key];
+        if (value !== undefined && !(Array.isArray(value) && value.every(item => isObject(item) && item.id && check(item)))) return `data.${key}`;
+    }
+    if (!Array.isArray(bundle.posts) || !bundle.posts.every(p => isObject(p) && (typeof p.id === 'number' || typeof p.id === 'string') && typeof p.title === 'string' && isTime(p.createdAt))) {
+        return 'posts';
+    }
+    if (!Array.isArray(bundle.comments) || !bundle.comments.every(cm => isObject(cm) && cm.id && cm.postId !== undefined && typeof cm.text === 'string')) {
+        return 'comments';
+    }
+    if (!isObject(bundle.images) || !Object.values(bundle.images).every(img => isObject(img) && /^image\//.test(img.type) && typeof img.data === 'string')) {
+        return 'images';
+    }
+    return null;
 }
 
 /**
- * Handles user sign-in form submission
- * Sets authentication status and redirects to dashboard
- * @param {Event} e - The form submission event
- * @returns {void}
+ * Returns a post id that is not taken yet
+ * @param {Set<*>} taken - Ids in use; the new id is added to it
+ * @returns {number}
  */
-function handleSignIn(e) {
-    e.preventDefault();
-    localStorage.setItem('isLoggedIn', 'true');
-    localStorage.setItem('userName', 'EcoWarrior');
-    showToast('Signed in successfully! Redirecting to dashboard...', 'success');
-    showPage('dashboard');
+function nextFreePostId(taken) {
+    let id = Date.now();
+    while (taken.has(id)) id++;
+    taken.add(id);
+    return id;
 }
 
-// ========================================
-// POSTS/SHARE WORK FUNCTIONS
-// ========================================
+/** Ledger actions that are awarded at most once per source (the welcome bonus once per account) */
+const ONE_OFF_ACTIONS = ['welcome_bonus', 'share_post', 'referral_bonus', 'challenge_complete'];
 
 /**
- * Retrieves all posts from localStorage
- * @returns {Array} Array of post objects with id, title, description, image, createdAt, author
+ * Checks that a ledger entry from a backup is one the app could have written:
+ * a known action whose points match what that action awards. Reversals and
+ * spending may only take points away.
+ * @param {Object} entry - Ledger entry
+ * @returns {boolean}
  */
-function getPosts() {
-    try {
-        return JSON.parse(localStorage.getItem('posts') || '[]');
-    } catch (e) {
-        return [];
+function isGenuineLedgerEntry(entry) {
+    const { action, points } = entry;
+    if (ECO_ACTIONS[action]) return calculateImpact(action, entry.quantity)?.points === points;
+    if (action === 'challenge_complete') {
+        const [, id] = /^challenge:([^:]+):\d+$/.exec(entry.source || '') || [];
+        return CHALLENGES.find(ch => ch.id === id)?.reward === points;
     }
+    if (action === 'post_removed' || action === 'reward_claim') return points <= 0;
+    return Object.prototype.hasOwnProperty.call(POINT_ACTIONS, action) && POINT_ACTIONS[action].points === points;
 }
 
 /**
- * Saves posts array to localStorage as JSON string
- * @param {Array} posts - Array of post objects to save
- * @returns {void}
+ * Keeps the ledger entries of a backup that may be merged: genuine entries
+ * (see isGenuineLedgerEntry) whose one-off award is not in the ledger yet.
+ * Editing a backup therefore cannot create spendable points.
+ * @param {Object[]} entries - Ledger entries from the backup
+ * @param {Object[]} ledger - Ledger already on this device
+ * @returns {Object[]}
  */
-function savePosts(posts) {
-    localStorage.setItem('posts', JSON.stringify(posts));
+function filterImportedLedger(entries, ledger) {
+    const onceKey = e => (e.action === 'welcome_bonus' ? e.action : `${e.action}|${e.source}`);
+    const awarded = new Set(ledger.filter(e => ONE_OFF_ACTIONS.includes(e.action)).map(onceKey));
+    return entries.filter(e => {
+        if (!isGenuineLedgerEntry(e)) return false;
+        if (!ONE_OFF_ACTIONS.includes(e.action)) return true;
+        if (awarded.has(onceKey(e))) return false;
+        awarded.add(onceKey(e));
+        return true;
+    });
 }
 
 /**
- * Creates a DOM element for a single post card
- * Builds HTML with post metadata, title, image, and description
- * @param {Object} post - Post object containing id, title, description, image, createdAt, author
- * @returns {HTMLElement} A div element containing the formatted post card
+ * Merges a backup into the signed-in user's data. Nothing on this device is
+ * overwritten: records are matched by id and only missing ones are added,
+ * settings already set here are kept, and imported posts whose id is taken
+ * by a different post get a new id (likes, saved tips and ledger sources
+ * that point at them follow). Only backups of the signed-in account are
+ * accepted, so points, badges and posts cannot be copied between accounts.
+ * Points are never taken from the file alone: with a backend the ledger is
+ * pulled from it, and otherwise only genuine entries are merged.
+ * @param {Object} raw - Parsed backup file, of any known version
+ * @returns {Promise<{ok: boolean, error?: string, summary?: {posts: number, renumbered: number, entries: number, comments: number}}>}
  */
-function createPostElement(post) {
-    const card = document.createElement('div');
-    card.className = 'post-card';
-    const meta = document.createElement('div');
-    meta.className = 'post-meta';
-    meta.innerText = `${post.author || 'Anonymous'} • ${new Date(post.createdAt).toLocaleString()}`;
-    const title = document.createElement('h3');
-    title.innerText = post.title;
-    const desc = document.createElement('p');
-    desc.innerText = post.description;
-    card.appendChild(meta);
-    card.appendChild(title);
+async function importUserData(raw) {
+    const user = getCurrentUser();
+    if (!isLoggedIn()) return { ok: false, error: t('data_signin_required') };
+    const { bundle, error } = migrateExportBundle(raw);
+    if (error) return { ok: false, error };
+    const invalid = validateExportBundle(bundle);
+    if (invalid) return { ok: false, error: t('import_invalid_data', { field: invalid }) };
+    if (bundle.account.id !== user) return { ok: false, error: t('import_other_account') };
 
-    if (post.image) {
-        const img = document.createElement('img');
-        img.src = post.image;
-        img.alt = post.title;
-        card.appendChild(img);
+    // Posts first, so the rest of the data can follow renumbered ids
+    const posts = getPosts();
+    const taken = new Set(posts.map(p => p.id));
+    const renumbered = new Map();
+    const added = [];
+    bundle.posts.forEach(post => {
+        // Already here, possibly under a new id from an earlier import
+        if (posts.some(p => p.createdAt === post.createdAt && p.title === post.title && (p.id === post.id || p.authorId === user))) return;
+        const existing = posts.find(p => p.id === post.id);
+        const id = existing ? nextFreePostId(taken) : post.id;
+        if (existing) renumbered.set(post.id, id);
+        else taken.add(id);
+        added.push({ ...post, id, authorId: user, ...getPublicAuthorFields() });
+    });
+    const postId = id => renumbered.get(id) ?? id;
+
+    const data = { ...bundle.data };
+    if (data.likedPosts) data.likedPosts = data.likedPosts.map(postId);
+    if (data.savedTips) data.savedTips = data.savedTips.map(tip => (tip.postId ? { ...tip, postId: postId(tip.postId) } : tip));
+    const remote = getBackend().name !== 'local';
+    if (data.pointsLedger && remote) {
+        // The backend's ledger is the record; it is pulled once the rest is merged
+        delete data.pointsLedger;
+    } else if (data.pointsLedger) {
+        data.pointsLedger = filterImportedLedger(data.pointsLedger.map(e => {
+            const match = /^post:(.+)$/.exec(e.source || '');
+            if (!match) return e;
+            const from = [...renumbered.keys()].find(id => String(id) === match[1]);
+            return from === undefined ? e : { ...e, source: `post:${renumbered.get(from)}` };
+        }), getLedger());
     }
-    card.appendChild(desc);
-    // Like button + count
-    const actions = document.createElement('div');
-    actions.style.display = 'flex';
-    actions.style.justifyContent = 'space-between';
-    actions.style.alignItems = 'center';
-    actions.style.marginTop = '12px';
 
-    const likeBtn = document.createElement('button');
-    likeBtn.className = 'btn';
-    likeBtn.style.padding = '8px 12px';
-    likeBtn.style.borderRadius = '8px';
-    likeBtn.innerHTML = `<i class="fas fa-heart"></i> <span class="likes-count">${post.likes || 0}</span>`;
+    const ledgerBefore = new Set(getLedger().map(e => e.id));
+    Object.entries(EXPORT_USER_DATA).forEach(([key, { merge }]) => {
+        if (data[key] === undefined) return;
+        const local = getUserData(key, undefined);
+        setUserData(key, local === undefined ? data[key] : merge(local, data[key]));
+    });
+    const newEntries = getLedger().filter(e => !ledgerBefore.has(e.id));
+    newEntries.forEach(entry => syncWrite('appendLedgerEntry', user, entry));
+    if (data.friendRequests) saveFriendRequests(mergeById(getFriendRequests(), data.friendRequests));
+    if (data.duels) saveDuels(mergeById(getDuels(), data.duels));
 
-    // Handle like toggle (persist per-user via likedPosts localStorage)
-    likeBtn.addEventListener('click', () => {
-        const likedPosts = JSON.parse(localStorage.getItem('likedPosts') || '[]');
-        const posts = getPosts();
-        const idx = posts.findIndex(p => p.id === post.id);
-        if (idx === -1) return;
-        const p = posts[idx];
-        const isLiked = likedPosts.includes(p.id);
-        if (isLiked) {
-            // unlike
-            p.likes = Math.max(0, (p.likes || 0) - 1);
-            const pos = likedPosts.indexOf(p.id);
-            if (pos > -1) likedPosts.splice(pos, 1);
-        } else {
-            p.likes = (p.likes || 0) + 1;
-            likedPosts.push(p.id);
+    // Photos keep their ids, so posts and the avatar find them again
+    for (const [id, image] of Object.entries(bundle.images)) {
+        try {
+            if (await getImage(id)) continue;
+            const blob = new Blob([base64ToBytes(image.data)], { type: image.type });
+            await dbRequest('images', 'readwrite', store => store.put({ id, blob, createdAt: Date.now() }));
+            syncWrite('putImage', id, user);
+        } catch (e) {
+            // IndexedDB unavailable: posts fall back to the backend copy, if any
         }
-        savePosts(posts);
-        localStorage.setItem('likedPosts', JSON.stringify(likedPosts));
-        // update UI count
-        likeBtn.querySelector('.likes-count').innerText = p.likes;
-        // simple animation
-        likeBtn.classList.add('active');
-        setTimeout(() => likeBtn.classList.remove('active'), 300);
+    }
+
+    let commentsAdded = 0;
+    const merged = [...posts, ...added];
+    bundle.comments.forEach(({ postId: target, ...comment }) => {
+        const post = merged.find(p => p.id === target);
+        if (!post || (post.comments || []).some(cm => cm.id === comment.id)) return;
+        post.comments = [...(post.comments || []), { ...comment, authorId: user }];
+        commentsAdded++;
+        syncWrite('addComment', post.id, post.comments[post.comments.length - 1]);
     });
+    savePosts(merged);
+    added.forEach(post => syncWrite('putPost', post));
 
-    actions.appendChild(likeBtn);
-    card.appendChild(actions);
-    return card;
+    const accounts = getAccounts();
+    const account = accounts[user];
+    IMPORT_PROFILE_FIELDS.forEach(field => {
+        if ((account[field] ?? null) === null && (bundle.account[field] ?? null) !== null) account[field] = bundle.account[field];
+    });
+    saveAccounts(accounts);
+    syncWrite('putAccount', account);
+    ['theme', 'siteLang'].forEach(key => {
+        const value = bundle.preferences[key];
+        if (value && appStore.get(userStorageKey(key)) === null) appStore.set(userStorageKey(key), value);
+    });
+    if (bundle.preferences.onboardCompleted) appStore.set('onboardCompleted', 'true');
+    if (remote) await pullFromBackend();
+    const entries = getLedger().filter(e => !ledgerBefore.has(e.id)).length;
+
+    return {
+        ok: true,
+        summary: { posts: added.length, renumbered: renumbered.size, entries, comments: commentsAdded }
+    };
 }
 
 /**
- * Renders all posts to the DOM in a grid layout
- * Sorts posts by creation date (newest first) and displays or hides empty state
- * @returns {void}
+ * Reads a backup file picked by the user, imports it and reports the outcome
+ * @param {File} file
+ * @returns {Promise<void>}
  */
-function renderPosts() {
-    const posts = getPosts().sort((a, b) => b.createdAt - a.createdAt);
-    const grid = document.getElementById('posts-grid');
-    const noPosts = document.getElementById('no-posts');
-    if (!grid) return;
-    grid.innerHTML = '';
-    if (!posts || posts.length === 0) {
-        if (noPosts) noPosts.style.display = 'block';
+async function importUserDataFile(file) {
+    let raw;
+    try {
+        raw = JSON.parse(await file.text());
+    } catch (e) {
+        showToast(t('import_invalid_file'), 'warn');
         return;
     }
-
-    if (noPosts) noPosts.style.display = 'none';
-    posts.forEach(p => grid.appendChild(createPostElement(p)));
+    const result = await importUserData(raw);
+    if (!result.ok) {
+        showToast(result.error, 'warn');
+        return;
+    }
+    const { posts, renumbered, entries, comments } = result.summary;
+    const parts = [
+        posts && t('import_summary_posts', { count: posts }),
+        renumbered && t('import_summary_renumbered', { count: renumbered }),
+        entries && t('import_summary_entries', { count: entries }),
+        comments && t('import_summary_comments', { count: comments })
+    ].filter(Boolean);
+    showToast(parts.length ? t('import_done', { summary: parts.join(', ') }) : t('import_nothing_new'), 'success', 6000);
+    applyUserPreferences();
+    checkStreak();
+    checkBadges();
 }
 
 // ========================================
@@ -275,121 +5818,149 @@ function renderPosts() {
 // ========================================
 
 /**
- * Translates a text key to Nepali if language is set to 'ne', otherwise returns original key
- * @param {string} key - The English text or translation key to translate
- * @returns {string} The translated text in Nepali or the original key if translation not found
- */
-function t(key) {
-    return document.documentElement.lang === 'ne'
-        ? (translations.ne[key] || key)
-        : key;
-}
-
-/**
- * Applies language translations to all page elements
- * Updates element text content and input placeholders based on selected language
- * Stores language preference and HTML lang attribute
- * @param {string} lang - Language code ('en' for English, 'ne' for Nepali)
- * @returns {void}
- */
-function applyTranslations(lang) {
-    document.documentElement.lang = (lang === 'ne' ? 'ne' : 'en');
-    const map = translations.ne;
-    document.querySelectorAll('h1,h2,h3,h4,h5,p,a,button,span,div,label,li').forEach(el => {
-        const txt = el.innerText && el.innerText.trim();
-        if (!txt) return;
-        if (lang === 'ne' && map[txt]) {
-            if (!el.dataset.en) el.dataset.en = txt;
-            el.innerText = map[txt];
-        } else if (lang !== 'ne' && el.dataset.en) {
-            el.innerText = el.dataset.en;
-        }
-    });
-    document.querySelectorAll('input,textarea').forEach(inp => {
-        const ph = inp.placeholder && inp.placeholder.trim();
-        if (!ph) return;
-        if (lang === 'ne' && map[ph]) {
-            if (!inp.dataset.enPlaceholder) inp.dataset.enPlaceholder = ph;
-            inp.placeholder = map[ph];
-        } else if (lang !== 'ne' && inp.dataset.enPlaceholder) {
-            inp.placeholder = inp.dataset.enPlaceholder;
-        }
-    });
-}
-
-// ========================================
-// TRANSLATIONS OBJECT - ENGLISH TO NEPALI
-// ========================================
-
-const translations = {
-    ne: {
-        'Eco Step': 'इको स्टेप',
-        'Home': 'होम',
-        'Dashboard': 'ड्यासबोर्ड',
-        'Challenges': 'चुनौतिहरू',
-        'Rewards': 'इनामहरू',
-        'Profile': 'प्रोफाइल',
-        'Sign Out': 'साइन आउट',
-        'Sign Up': 'साइन अप',
-        'Sign In': 'साइन इन',
-        'Every Step Counts 🌿': 'हरेक चरणको महत्व छ 🌿',
-        'Gamify your green journey — walk the talk for our planet.': 'तपाईंको हरियो यात्रालाई खेलझैं रमाइलो बनाउनुहोस् — हाम्रो ग्रहका लागि व्यवहारमा उतारौं।',
-        'How It Works': 'कसरी कार्य गर्दछ',
-        'Track Your Steps': 'आफ्नो पाइला ट्र्याक गर्नुहोस्',
-        'Earn Rewards': 'इनाम कमाउनुहोस्',
-        'Join Challenges': 'चुनौतिहरूमा सहभागी हुनुहोस्',
-        'Track Impact': 'प्रभाव ट्र्याक गर्नुहोस्',
-        'Create Account': 'खाता बनाउनुहोस्',
-        'Full Name': 'पुरा नाम',
-        'Email Address': 'इमेल ठेगाना',
-        'Password': 'पासवर्ड',
-        'Confirm Password': 'पासवर्ड पुष्टि गर्नुहोस्',
-        'Already have an account?': 'पहिले नै खाता छ?',
-        'Welcome Back': 'फेरि स्वागत छ',
-        "Don't have an account?": 'खाता छैन?',
-        'Your Eco Dashboard': 'तपाईंको इको ड्यासबोर्ड',
-        'Your Eco Points': 'तपाईंका इको पोइन्टहरू',
-        'Keep going green! Your actions are making a difference.': 'हरियो बनिरहनुहोस्! तपाइँका कार्यहरूले फरक पारिरहेका छन्।',
-        'Available Rewards': 'उपलब्ध इनामहरू',
-        'Invite friends to join Eco Step and compete in challenges together!': 'इको स्टेपमा साथीलाई आमन्त्रित गर्नुहोस् र सँगै चुनौतिमा प्रतिस्पर्धा गर्नुहोस्!',
-        'Copy Invite Link': 'आमन्त्रण लिङ्क कपी गर्नुहोस्',
-        'Eco Challenges': 'इको चुनौतीहरू',
-        'Weekly Challenge': 'साप्ताहिक चुनौती',
-        'Monthly Challenge': 'मासिक चुनौती',
-        'Zero Waste Week': 'शून्य फोहोर हप्ता',
-        'Community Challenge': 'समुदाय चुनौती',
-        'Walk to Work': 'काममा पैदल जानुहोस्',
-        'Plant a Tree': 'रुख रोप्नुहोस्',
-        'Claim': 'दावी गर्नुहोस्',
-        'Gamifying sustainability for a greener future.': 'हरियो भविष्यका लागि दिगोपनालाई खेलझैं बनाउँदै।',
-        'Quick Links': 'छिटो लिङ्कहरू',
-        'Resources': 'स्रोतहरू',
-        'Contact Us': 'सम्पर्क गर्नुहोस्',
-        'info@ecostep.np': 'info@ecostep.np',
-        'Kathmandu, Nepal': 'काठमांडु, नेपाल',
-        '+977-1-4441234': '+977-1-4441234',
-        'Privacy Policy': 'गोपनीयता नीति',
-        'Terms of Service': 'सेवा सर्तहरू',
-        'All rights reserved.': 'सबै अधिकार सुरक्षित।',
-        'passwords_mismatch': 'पासवर्ड मेल खाँदैनन्!',
-        'account_created': 'खाता सफलतापूर्वक सिर्जना भयो! ड्यासबोर्डमा पुन:निर्देशन गर्दै...',
-        'signed_in': 'सफलतापूर्वक साइन इन भयो! ड्यासबोर्डमा पुन:निर्देशन गर्दै...',
-        'signed_out': 'तपाइँ साइन आउट भइसकेको छ।',
-        'Share Work': 'आफ्नो काम साझा गर्नुहोस्',
-        'Share Your Eco-Work': 'आफ्नो इको-काम साझा गर्नुहोस्',
-        'Create a New Post': 'नयाँ पोष्ट बनाउनुहोस्',
-        'Post Title': 'पोस्ट शीर्षक',
-        'What eco-friendly action did you take?': 'तपाइंले कुन वातावरण अनुकूल कार्य गरेको छ?',
-        'Description': 'विवरण',
-        'Tell us more about your eco-friendly work...': 'आफ्नो पर्यावरण अनुकूल कार्यको बारेमा हामीलाई थप बताउनुहोस्...',
-        'Image URL (optional)': 'छवि URL (वैकल्पिक)',
-        'Post': 'पोष्ट गर्नुहोस्',
-        'Recent Posts': 'हालको पोष्टहरू',
-        'No posts yet. Be the first to share your eco-friendly work!': 'अहिलेसम्म कुनै पोष्ट छैन। आफ्नो पर्यावरण अनुकूल कार्य साझा गर्ने पहिलो व्यक्ति बनुहोस्!',
-        'Your post has been shared! Thank you for contributing!': 'तपाईंको पोष्ट साझा गरिएको छ! योगदान दिएकोको लागि धन्यवाद!'
-    }
+ * Supported locales. Messages live in locales/<code>.js (English is loaded with
+ * the page, the rest on first use); intl is the tag passed to Intl formatters.
+ * To add a language (e.g. Maithili 'mai' or Newari 'new'), add its file and an
+ * entry here, then run node scripts/check-locales.js to list untranslated keys.
+ */
+const LOCALES = {
+    en: { name: 'English', toggleLabel: 'EN | नेपाली', intl: 'en-US' },
+    ne: { name: 'नेपाली', toggleLabel: 'नेपाली', intl: 'ne-NP', numberingSystem: 'deva' }
 };
 
+/** Locale used when nothing is saved, and for keys a locale has not translated yet */
+const DEFAULT_LOCALE = 'en';
+
+/** data-i18n-* attributes translated on elements, e.g. data-i18n-placeholder="key" */
+const I18N_ATTRIBUTES = ['placeholder', 'aria-label', 'title'];
+
+/** Pending loads by locale code, so a locale file is only requested once */
+const localeLoads = {};
+
+/**
+ * Returns the active locale code (kept on <html lang>)
+ * @returns {string}
+ */
+function getLocale() {
+    return LOCALES[document.documentElement.lang] ? document.documentElement.lang : DEFAULT_LOCALE;
+}
+
+/**
+ * Returns the messages loaded for a locale
+ * @param {string} locale
+ * @returns {Object}
+ */
+function getMessages(locale) {
+    return (window.ECOSTEP_LOCALES || {})[locale] || {};
+}
+
+/**
+ * Loads a locale's message file (once) by adding its script tag
+ * @param {string} locale
+ * @returns {Promise<void>}
+ */
+function loadLocale(locale) {
+    if (window.ECOSTEP_LOCALES?.[locale]) return Promise.resolve();
+    if (!localeLoads[locale]) {
+        localeLoads[locale] = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = `locales/${locale}.js`;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                delete localeLoads[locale];
+                script.remove();
+                reject(new Error(`Could not load locale "${locale}"`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return localeLoads[locale];
+}
+
+/**
+ * Formats a number for the active locale (Nepali uses Devanagari digits)
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options]
+ * @returns {string}
+ */
+function formatNumber(value, options = {}) {
+    const { intl, numberingSystem } = LOCALES[getLocale()];
+    return new Intl.NumberFormat(intl, { numberingSystem, ...options }).format(Number(value) || 0);
+}
+
+/**
+ * Formats a date for the active locale
+ * @param {Date|number|string} value - Date or timestamp
+ * @param {Intl.DateTimeFormatOptions} [options={dateStyle: 'medium'}]
+ * @returns {string}
+ */
+function formatDate(value, options = { dateStyle: 'medium' }) {
+    const { intl, numberingSystem } = LOCALES[getLocale()];
+    return new Intl.DateTimeFormat(intl, { numberingSystem, ...options }).format(new Date(value));
+}
+
+/**
+ * Translates a message key for the active locale, falling back to English and
+ * then to the key itself
+ * Placeholders like {name} are filled from params (numbers are formatted for
+ * the locale). Messages written as {one, other, ...} objects are pluralized on
+ * params.count with Intl.PluralRules.
+ * @param {string} key - Message key, e.g. 'passwords_mismatch'
+ * @param {Object} [params] - Placeholder values
+ * @returns {string}
+ */
+function t(key, params = {}) {
+    const locale = getLocale();
+    let message = getMessages(locale)[key] ?? getMessages(DEFAULT_LOCALE)[key] ?? key;
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(LOCALES[locale].intl).select(Number(params.count) || 0);
+        message = message[category] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        return typeof params[name] === 'number' ? formatNumber(params[name]) : String(params[name]);
+    });
+}
+
+/**
+ * Switches the page to a locale: loads its messages, translates every element
+ * carrying data-i18n (text) or data-i18n-<attribute> keys, and re-renders the
+ * dynamic views so numbers and dates use the new locale
+ * @param {string} lang - Locale code, e.g. 'en' or 'ne'
+ * @returns {Promise<void>}
+ */
+async function applyTranslations(lang) {
+    let locale = LOCALES[lang] ? lang : DEFAULT_LOCALE;
+    try {
+        await loadLocale(locale);
+    } catch (err) {
+        console.warn(err.message);
+        locale = DEFAULT_LOCALE;
+    }
+    document.documentElement.lang = locale;
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    I18N_ATTRIBUTES.forEach(attr => {
+        document.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+            el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+        });
+    });
+    const langToggle = document.getElementById('lang-toggle');
+    if (langToggle) langToggle.innerText = LOCALES[locale].toggleLabel;
+
+    renderPosts();
+    renderPoints();
+    renderModerationQueue();
+    renderChatMessages();
+    renderChatHistory();
+    renderSavedTips();
+    renderProfile();
+    renderNavUser();
+    renderReminderSettings();
+    syncReminderSchedule();
+}
+
 // ========================================
 // PAGE INITIALIZATION - DOM CONTENT LOADED
 // ========================================
@@ -398,35 +5969,35 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize language toggle button and event listeners
     const langToggle = document.getElementById('lang-toggle');
     if (langToggle) {
-        langToggle.innerText = document.documentElement.lang === 'ne' ? 'नेपाली' : 'EN | नेपाली';
-        // Toggle between English and Nepali on button click
+        // Cycle through the supported locales on button click
         langToggle.addEventListener('click', () => {
-            const newLang = document.documentElement.lang === 'ne' ? 'en' : 'ne';
+            const codes = Object.keys(LOCALES);
+            const newLang = codes[(codes.indexOf(getLocale()) + 1) % codes.length];
             applyTranslations(newLang);
-            localStorage.setItem('siteLang', newLang);
-            langToggle.innerText = newLang === 'ne' ? 'नेपाली' : 'EN | नेपाली';
+            appStore.set(userStorageKey('siteLang'), newLang);
         });
     }
 
-    // Initialize theme toggle and apply saved / system preference
+    // Sign out from the navbar (no inline handlers: the Content-Security-Policy forbids them)
+    document.getElementById('signout-link')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        signOut();
+    });
+
+    // Initialize theme toggle; saved / system preference is applied below
     const themeToggle = document.getElementById('theme-toggle');
-    const savedTheme = localStorage.getItem('theme');
-    const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
-    const initialTheme = savedTheme || (prefersDark ? 'dark' : 'light');
-    applyTheme(initialTheme);
 
     if (themeToggle) {
         themeToggle.addEventListener('click', () => {
             const current = document.documentElement.getAttribute('data-theme') === 'dark' ? 'dark' : 'light';
             const next = current === 'dark' ? 'light' : 'dark';
             applyTheme(next);
-            showToast(next === 'dark' ? 'Night mode enabled' : 'Light mode enabled', 'info', 1500);
+            showToast(t(next === 'dark' ? 'theme_dark_on' : 'theme_light_on'), 'info', 1500);
         });
     }
 
-    // Apply saved language preference from localStorage on page load
-    const savedLang = localStorage.getItem('siteLang');
-    if (savedLang) applyTranslations(savedLang);
+    // Apply the signed-in user's (or device's) saved theme and language on page load
+    applyUserPreferences();
 
     // Attach sign up form submission handler
     const signupForm = document.getElementById('signup-form');
@@ -440,54 +6011,295 @@ document.addEventListener('DOMContentLoaded', function() {
         signinForm.addEventListener('submit', handleSignIn);
     }
 
+    // Attach eco action logging form handler and live impact preview
+    const actionForm = document.getElementById('action-form');
+    if (actionForm) {
+        actionForm.addEventListener('submit', handleLogAction);
+        actionForm.addEventListener('input', updateActionPreview);
+        updateActionPreview();
+    }
+
+    // Moderators can tune how many reports hide a post
+    const thresholdInput = document.getElementById('report-threshold');
+    if (thresholdInput) {
+        thresholdInput.addEventListener('change', () => {
+            const value = parseInt(thresholdInput.value, 10);
+            if (!(value > 0)) return;
+            appStore.set('reportThreshold', String(value));
+            renderPosts();
+            renderModerationQueue();
+        });
+    }
+
+    // Redemption code modal: close button, Escape and backdrop
+    getRewardDialog();
+
+    // Data export and import in the Settings card
+    [['export-json', 'json'], ['export-activity', 'activity'], ['export-points', 'points']].forEach(([id, kind]) => {
+        document.getElementById(id)?.addEventListener('click', () => exportUserData(kind));
+    });
+    const importFile = document.getElementById('import-file');
+    if (importFile) {
+        document.getElementById('import-data').addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', async () => {
+            const file = importFile.files[0];
+            importFile.value = '';
+            if (file) await importUserDataFile(file);
+        });
+    }
+
+    // Profile editing: the form takes the place of the Edit Profile button
+    const profileForm = document.getElementById('profile-form');
+    const profileEdit = document.getElementById('profile-edit');
+    if (profileForm && profileEdit) {
+        const avatarFile = document.getElementById('profile-avatar-file');
+        const avatarPreview = document.getElementById('profile-avatar-preview');
+        // undefined keeps the current picture, null removes it, a Blob replaces it
+        let pendingAvatar;
+        const toggleProfileForm = (open) => {
+            pendingAvatar = undefined;
+            avatarFile.value = '';
+            if (open) fillProfileForm();
+            profileForm.hidden = !open;
+            profileEdit.hidden = open;
+            (open ? document.getElementById('profile-name-input') : profileEdit).focus();
+        };
+        profileEdit.addEventListener('click', () => toggleProfileForm(true));
+        document.getElementById('profile-cancel').addEventListener('click', () => toggleProfileForm(false));
+        avatarFile.addEventListener('change', async () => {
+            const file = avatarFile.files[0];
+            if (!file) return;
+            try {
+                pendingAvatar = await compressImage(file, { maxDimension: AVATAR_MAX_DIMENSION });
+            } catch (err) {
+                avatarFile.value = '';
+                showToast(err.message || t('image_read_failed'), 'warn');
+                return;
+            }
+            const img = document.createElement('img');
+            const url = URL.createObjectURL(pendingAvatar);
+            img.addEventListener('load', () => URL.revokeObjectURL(url), { once: true });
+            img.src = url;
+            img.alt = '';
+            avatarPreview.innerHTML = '';
+            avatarPreview.appendChild(img);
+        });
+        document.getElementById('profile-avatar-remove').addEventListener('click', () => {
+            pendingAvatar = null;
+            avatarFile.value = '';
+            fillAvatar(avatarPreview, { name: document.getElementById('profile-name-input').value, avatarId: null });
+        });
+        profileForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const submitBtn = profileForm.querySelector('button[type="submit"]');
+            submitBtn.disabled = true;
+            try {
+                const result = await updateProfile({
+                    name: document.getElementById('profile-name-input').value,
+                    bio: document.getElementById('profile-bio-input').value,
+                    district: document.getElementById('profile-district').value,
+                    ward: document.getElementById('profile-ward').value,
+                    private: !document.getElementById('profile-public').checked,
+                    avatar: pendingAvatar
+                });
+                if (!result.ok) {
+                    showToast(result.error, 'warn');
+                    return;
+                }
+                toggleProfileForm(false);
+                showToast(t('profile_saved'), 'success');
+            } finally {
+                submitBtn.disabled = false;
+            }
+        });
+    }
+
+    // Compress photos as soon as they are picked so the preview shows the final size
+    const postImageFile = document.getElementById('post-image-file');
+    const postImagePreview = document.getElementById('post-image-preview');
+    let compressedImage = null;
+    // Resolves to true once the picked photo is compressed, false if that failed; posting waits for it
+    let pendingImage = null;
+    const clearImagePreview = () => {
+        compressedImage = null;
+        pendingImage = null;
+        if (postImagePreview) {
+            postImagePreview.hidden = true;
+            postImagePreview.innerHTML = '';
+        }
+    };
+    const preparePhoto = async (file) => {
+        let blob;
+        try {
+            blob = await compressImage(file);
+        } catch (err) {
+            postImageFile.value = '';
+            showToast(err.message || t('image_read_failed'), 'warn');
+            return false;
+        }
+        // Another photo was picked, or the form was reset, in the meantime
+        if (postImageFile.files[0] !== file) return false;
+        compressedImage = blob;
+        if (!postImagePreview) return true;
+        const img = document.createElement('img');
+        const url = URL.createObjectURL(blob);
+        img.addEventListener('load', () => URL.revokeObjectURL(url), { once: true });
+        img.src = url;
+        img.alt = t('post_photo_preview_alt');
+        const info = document.createElement('p');
+        info.innerText = t('post_photo_compressed', { before: formatBytes(file.size), after: formatBytes(blob.size) });
+        postImagePreview.appendChild(img);
+        postImagePreview.appendChild(info);
+        postImagePreview.hidden = false;
+        return true;
+    };
+    if (postImageFile) {
+        postImageFile.addEventListener('change', () => {
+            clearImagePreview();
+            const file = postImageFile.files[0];
+            if (file) pendingImage = preparePhoto(file);
+        });
+    }
+
     // Attach post creation form handler with validation and storage
     const postForm = document.getElementById('post-form');
     if (postForm) {
-        postForm.addEventListener('submit', (e) => {
+        postForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             const title = document.getElementById('post-title').value.trim();
             const desc = document.getElementById('post-desc').value.trim();
             const image = document.getElementById('post-image').value.trim();
             // Validate that post has a title
             if (!title) {
-                showToast('Please enter a post title', 'warn');
+                showToast(t('post_title_required'), 'warn');
+                return;
+            }
+            // A photo still being compressed is waited for rather than left out
+            if (pendingImage) {
+                const submitBtn = postForm.querySelector('button[type="submit"]');
+                if (submitBtn) submitBtn.disabled = true;
+                const ready = await pendingImage;
+                if (submitBtn) submitBtn.disabled = false;
+                if (!ready) return;
+            }
+            if (image && !compressedImage && !isSafeImageUrl(image)) {
+                showToast(t('post_image_url_blocked', { hosts: ALLOWED_IMAGE_HOSTS.join(', ') }), 'warn', 6000);
                 return;
             }
 
-            // Create new post object
-            const posts = getPosts();
-            const prevCount = posts.length;
-            posts.push({
-                id: Date.now(),
-                title: title,
-                description: desc,
-                image: image || null,
-                likes: 0,
-                createdAt: Date.now(),
-                author: localStorage.getItem('userName') || 'EcoWarrior'
+            // Store a picked photo in IndexedDB; the URL field is only used without one
+            let imageId = null;
+            if (compressedImage) {
+                try {
+                    imageId = await saveImage(compressedImage);
+                } catch (err) {
+                    showToast(t('photo_save_failed'), 'error');
+                    return;
+                }
+                syncWrite('putImage', imageId, getCurrentUser());
+            }
+
+            createPost({ title, description: desc, image: imageId ? null : (image || null), imageId });
+            postForm.reset();
+            clearImagePreview();
+            showToast(t('post_shared'), 'success');
+        });
+    }
+
+    // Feed search, filters and sort; searching waits for a pause in typing
+    const feedSearch = document.getElementById('feed-search');
+    if (feedSearch) {
+        let searchTimer = null;
+        feedSearch.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => setFeedState({ q: feedSearch.value }), 250);
+        });
+        document.getElementById('feed-author').addEventListener('change', (e) => setFeedState({ author: e.target.value }));
+        document.getElementById('feed-tag').addEventListener('change', (e) => setFeedState({ tag: e.target.value }));
+        document.getElementById('feed-sort').addEventListener('change', (e) => setFeedState({ sort: e.target.value }));
+        document.getElementById('feed-clear').addEventListener('click', () => setFeedState(DEFAULT_FEED_STATE, { replaceAll: true }));
+        document.getElementById('posts-more').addEventListener('click', renderMorePosts);
+        initFeedScroll();
+    }
+
+    // Leaderboard period and scope
+    const leaderboardPeriod = document.getElementById('leaderboard-period');
+    if (leaderboardPeriod) {
+        leaderboardPeriod.addEventListener('change', (e) => setLeaderboardState({ period: e.target.value }));
+        document.getElementById('leaderboard-scope').addEventListener('change', (e) => setLeaderboardState({ scope: e.target.value }));
+    }
+
+    // Your Progress chart range
+    const progressRange = document.getElementById('progress-range');
+    if (progressRange) {
+        progressRange.addEventListener('change', (e) => {
+            setUserData('chartRange', e.target.value);
+            renderProgressCharts();
+        });
+    }
+
+    // Settings: daily reminder, quiet hours and streak freezes
+    const reminderToggle = document.getElementById('reminder-enabled');
+    if (reminderToggle) {
+        reminderToggle.addEventListener('change', async () => {
+            const ok = await saveReminderSettings({ enabled: reminderToggle.checked });
+            if (!ok) reminderToggle.checked = false;
+            else if (reminderToggle.checked) showToast(t('reminder_enabled', { time: getReminderSettings().time }), 'success');
+        });
+        [['reminder-time', 'time'], ['quiet-start', 'quietStart'], ['quiet-end', 'quietEnd']].forEach(([id, field]) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                if (e.target.value) saveReminderSettings({ [field]: e.target.value });
             });
+        });
+        document.getElementById('streak-freeze-allowance').addEventListener('change', (e) => {
+            setUserData('streakFreezeAllowance', Number(e.target.value));
+            renderStreak();
+        });
+    }
 
-            // Save posts to localStorage and refresh the posts grid
-            savePosts(posts);
-            renderPosts();
-            postForm.reset();
-            showToast('Your post has been shared! Thank you for contributing!', 'success');
-            // Celebrate first post
-            if (prevCount === 0) {
-                launchConfetti();
-            }
+    // Challenge Friends: invite link and share targets
+    const inviteCopy = document.getElementById('invite-copy');
+    if (inviteCopy) {
+        inviteCopy.addEventListener('click', copyInviteLink);
+        document.querySelector('[data-invite-network="instagram"]').addEventListener('click', async (e) => {
+            e.preventDefault();
+            if (!(await shareInviteLink())) copyInviteLink();
         });
     }
 
-    // Determine initial page based on login status
-    if (localStorage.getItem('isLoggedIn') === 'true') {
-        showPage('dashboard');
-    } else {
-        showPage('home');
+    // My Upcycling Ideas filters as you type
+    const ideasSearch = document.getElementById('ideas-search');
+    if (ideasSearch) {
+        ideasSearch.addEventListener('input', renderSavedTips);
     }
 
     // Load and display all posts from localStorage on page load
     renderPosts();
+    renderPoints();
+    renderModerationQueue();
+    renderSavedTips();
+    checkStreak();
+    checkBadges();
+
+    // Follow sign-ins, sign-outs and other changes made in other tabs
+    initStateSync();
+
+    // Route on hash changes (links, back / forward) and restore the route on reload;
+    // without a hash, signed-in users start on their dashboard
+    window.addEventListener('hashchange', handleRoute);
+    if (!location.hash && isLoggedIn()) {
+        navigate('/dashboard', { replace: true });
+    } else {
+        handleRoute();
+    }
+
+    // Send queued offline writes and refresh from the backend when connectivity returns
+    window.addEventListener('online', () => {
+        flushSyncQueue();
+        pullFromBackend();
+    });
+    flushSyncQueue();
+    pullFromBackend();
 
     // Hide splash after short delay (keep minimal time to show branding)
     setTimeout(() => {
@@ -496,32 +6308,27 @@ document.addEventListener('DOMContentLoaded', function() {
     }, 800);
 
     // Onboarding: show only if not completed
-    const onboardCompleted = localStorage.getItem('onboardCompleted') === 'true';
+    const onboardCompleted = appStore.get('onboardCompleted') === 'true';
     const onboarding = document.getElementById('onboarding');
     const onboardStep = document.getElementById('onboard-step');
     const onboardNext = document.getElementById('onboard-next');
     const onboardSkip = document.getElementById('onboard-skip');
-    const modalClose = document.querySelector('.modal-close');
+    // Escape, the close button and the backdrop dismiss it until the next visit
+    const onboardDialog = onboarding ? createDialog(onboarding) : null;
 
-    const steps = [
-        '<p>Welcome! Use Eco Step to track actions, earn points, and join community challenges.</p>',
-        '<p>Share your eco-work on the community board and celebrate wins together.</p>',
-        '<p>Enable dark mode and switch to Nepali from the top-right controls anytime.</p>'
-    ];
+    const steps = ['onboarding_step_track', 'onboarding_step_share', 'onboarding_step_settings'];
     let stepIndex = 0;
 
     function showOnboard() {
-        if (!onboarding) return;
-        onboarding.classList.add('show');
-        onboarding.setAttribute('aria-hidden', 'false');
-        onboardStep.innerHTML = steps[stepIndex];
+        if (!onboardDialog) return;
+        setHtml(onboardStep, html`<p>${t(steps[stepIndex])}</p>`);
+        onboardDialog.open(onboardNext);
     }
 
     function closeOnboard(save = false) {
-        if (!onboarding) return;
-        onboarding.classList.remove('show');
-        onboarding.setAttribute('aria-hidden', 'true');
-        if (save) localStorage.setItem('onboardCompleted', 'true');
+        if (!onboardDialog) return;
+        onboardDialog.close();
+        if (save) appStore.set('onboardCompleted', 'true');
     }
 
     if (!onboardCompleted) showOnboard();
@@ -530,21 +6337,16 @@ document.addEventListener('DOMContentLoaded', function() {
         stepIndex++;
         if (stepIndex >= steps.length) {
             closeOnboard(true);
-            showToast('Onboarding completed — enjoy Eco Step!', 'success');
+            showToast(t('onboarding_done'), 'success');
         } else {
-            onboardStep.innerHTML = steps[stepIndex];
+            setHtml(onboardStep, html`<p>${t(steps[stepIndex])}</p>`);
         }
     });
 
     if (onboardSkip) onboardSkip.addEventListener('click', () => closeOnboard(true));
-    if (modalClose) modalClose.addEventListener('click', () => closeOnboard(false));
 
     // Register service worker for PWA (best-effort)
-    if ('serviceWorker' in navigator) {
-        navigator.serviceWorker.register('service-worker.js').then(reg => {
-            console.log('Service Worker registered:', reg.scope);
-        }).catch(err => console.warn('SW registration failed:', err));
-    }
+    registerServiceWorker();
 
     // Initialize scroll reveal animations
     initScrollReveal();
@@ -573,57 +6375,450 @@ function initScrollReveal() {
 }
 
 // ========================================
-// GEMINI TRASH-TO-TREASURE CHATBOT
+// CHAT PROVIDERS
+// ========================================
+
+/**
+ * Every chat provider implements the same interface:
+ * streamReply(history, message) returns an async iterable of text chunks that
+ * together make up the reply. history holds the earlier turns of the
+ * conversation as [{role: 'user'|'model', text}].
+ * identifyWaste(image, message) looks at a photo (Blob) of an item, with the
+ * user's optional question, and resolves to {material, item, confidence, idea}:
+ * one of the WASTE_MATERIALS ids, a short name for the item, 0-1 certainty and
+ * an upcycling idea for it.
+ * Failed requests throw an Error; HTTP failures carry a `status` (and
+ * `retryAfter` in seconds when rate limited).
+ *
+ * The model, its API key and the system prompt live on the server (see
+ * server/chat-proxy.js), so the page never holds credentials. Without an API
+ * root the deterministic local mock answers instead, which keeps the chat
+ * usable offline and in tests.
+ */
+
+const MOCK_CHAT_CHUNK_DELAY_MS = 25;
+
+// Canned replies of the local mock provider; the first entry with a keyword in the question wins
+const MOCK_CHAT_REPLIES = [
+    {
+        keywords: ['bottle', 'plastic'],
+        reply: 'Great upcycling idea: turn plastic bottles into a hanging herb garden! Cut a window in the side of each bottle, poke drainage holes underneath, fill with soil and plant mint or coriander. Thread strong string through both ends and hang them in a sunny spot. ♻️'
+    },
+    {
+        keywords: ['jeans', 'denim', 'shirt', 'cloth', 'fabric'],
+        reply: 'Old clothes make sturdy tote bags! Cut the legs or body into two rectangles, sew three sides inside out, then turn it right side out and add a strap from a leftover strip. No sewing machine? Knot fringe strips along the edges instead. 👜'
+    },
+    {
+        keywords: ['cardboard', 'box', 'paper', 'newspaper'],
+        reply: 'Cardboard is perfect for a desk organizer: cut boxes into compartments of different heights, glue them together and cover them with old newspaper or magazine pages. Seal with a thin layer of glue mixed with water for a tough finish. 📦'
+    },
+    {
+        keywords: ['jar', 'glass'],
+        reply: 'Glass jars can become soft night lights: clean the jar, paint the outside with leftover paint or wrap it in old lace, and place a battery tea light inside. They also make great airtight containers for rice, lentils and spices. ✨'
+    },
+    {
+        keywords: ['tin', 'cans'],
+        reply: 'Tin cans make a colourful pencil holder or plant pot. Smooth the rim with pliers, punch holes in the bottom for drainage, and paint or wrap the outside with fabric scraps. Group a few on a board for a neat wall planter. 🌱'
+    },
+    {
+        keywords: ['tyre', 'tire'],
+        reply: 'An old tyre makes a tough garden planter or a seat: clean it, paint it in bright colours, fill it with soil for flowers, or top it with a round board and cushion for outdoor seating. 🛞'
+    }
+];
+
+// Canned photo classifications of the local mock provider, picked by a keyword in the
+// question; photos sent without one get an entry chosen by their size
+const MOCK_WASTE_CLASSIFICATIONS = [
+    {
+        keywords: ['bottle', 'pet'],
+        material: 'pet',
+        item: 'Plastic bottle',
+        idea: 'Cut it in half and turn the top upside down into the bottom to make a self-watering planter for herbs.'
+    },
+    {
+        keywords: ['jar', 'glass'],
+        material: 'glass',
+        item: 'Glass jar',
+        idea: 'Wrap the jar in jute string and use it as a lantern with a battery tea light, or as a spice container.'
+    },
+    {
+        keywords: ['box', 'cardboard', 'carton'],
+        material: 'paper',
+        item: 'Cardboard box',
+        idea: 'Cut it into compartments and cover it with old magazine pages for a desk or drawer organizer.'
+    },
+    {
+        keywords: ['tin', 'cans'],
+        material: 'metal',
+        item: 'Tin can',
+        idea: 'Smooth the rim, punch drainage holes and paint it to make a small succulent pot.'
+    },
+    {
+        keywords: ['phone', 'charger', 'cable', 'battery'],
+        material: 'e_waste',
+        item: 'Old phone charger',
+        idea: 'Working cables can be labelled and kept as spares for family and neighbours; do not cut or open the charger itself.'
+    },
+    {
+        keywords: ['shirt', 'jeans', 'cloth'],
+        material: 'textile',
+        item: 'Old T-shirt',
+        idea: 'Cut it into strips and braid them into a doormat or a no-sew tote bag.'
+    }
+];
+
+const MOCK_CHAT_FALLBACK = 'Here is an upcycling idea to start with: before throwing something away, ask whether it can hold, carry, grow or decorate something. Bottles become planters, jars become lamps and old clothes become bags. Tell me what you have and I will suggest a project! 🌿';
+
+/**
+ * Local provider with fixed replies, streamed word by word. The same question
+ * always gets the same reply, so the chat flow can be tested offline.
+ */
+const MockChatProvider = {
+    name: 'mock',
+    async *streamReply(history, message) {
+        const question = message.toLowerCase();
+        const match = MOCK_CHAT_REPLIES.find(entry => entry.keywords.some(k => new RegExp(`\\b${k}`).test(question)));
+        for (const chunk of (match ? match.reply : MOCK_CHAT_FALLBACK).match(/\S+\s*/g)) {
+            await new Promise(resolve => setTimeout(resolve, MOCK_CHAT_CHUNK_DELAY_MS));
+            yield chunk;
+        }
+    },
+    async identifyWaste(image, message = '') {
+        const question = message.toLowerCase();
+        const match = MOCK_WASTE_CLASSIFICATIONS.find(entry => entry.keywords.some(k => new RegExp(`\\b${k}`).test(question)));
+        const { keywords, ...result } = match || MOCK_WASTE_CLASSIFICATIONS[image.size % MOCK_WASTE_CLASSIFICATIONS.length];
+        return { ...result, confidence: match ? 0.9 : 0.6 };
+    }
+};
+
+/**
+ * Creates a provider for the chat proxy of the Eco Step API (see server/chat-proxy.js).
+ * Replies stream back as newline-delimited JSON: {"text": "..."} per chunk, or
+ * {"error": "..."} when the model fails after the reply has started.
+ * @param {string} baseUrl - API root, e.g. 'http://localhost:3000/api'
+ * @returns {Object} Provider implementing the chat interface
+ */
+function createProxyChatProvider(baseUrl) {
+    const root = baseUrl.replace(/\/+$/, '');
+
+    async function post(path, body, accept = 'application/json') {
+        const headers = { 'Content-Type': 'application/json', Accept: accept };
+        const token = getCurrentUser() && appStore.get(userStorageKey('apiToken'));
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const res = await fetch(root + path, { method: 'POST', headers, body: JSON.stringify(body) });
+        if (!res.ok) {
+            const data = await res.json().catch(() => ({}));
+            const err = new Error(data.error || `Chat request failed with status ${res.status}`);
+            err.status = res.status;
+            err.retryAfter = data.retryAfter;
+            throw err;
+        }
+        return res;
+    }
+
+    return {
+        name: 'proxy',
+        async *streamReply(history, message) {
+            const res = await post('/chat', { history, message }, 'application/x-ndjson');
+            const reader = res.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let done = false;
+            while (!done) {
+                const chunk = await reader.read();
+                done = chunk.done;
+                buffer += decoder.decode(chunk.value, { stream: !done });
+                const lines = buffer.split('\n');
+                buffer = done ? '' : lines.pop();
+                for (const line of lines.filter(l => l.trim())) {
+                    const event = JSON.parse(line);
+                    if (event.error) {
+                        const err = new Error(event.error);
+                        err.status = event.status || 502;
+                        throw err;
+                    }
+                    if (event.text) yield event.text;
+                }
+            }
+        },
+        async identifyWaste(image, message = '') {
+            const res = await post('/chat/identify', { image: { mimeType: image.type, data: await blobToBase64(image) }, message });
+            return res.json();
+        }
+    };
+}
+
+let activeChatProvider = null;
+
+/**
+ * Returns the active chat provider: the server proxy when an API root is
+ * configured, otherwise the local mock
+ * @returns {Object}
+ */
+function getChatProvider() {
+    const baseUrl = getApiBaseUrl();
+    if (!activeChatProvider || activeChatProvider.baseUrl !== baseUrl) {
+        activeChatProvider = baseUrl
+            ? { ...createProxyChatProvider(baseUrl), baseUrl }
+            : { ...MockChatProvider, baseUrl };
+    }
+    return activeChatProvider;
+}
+
+// ========================================
+// TRASH-TO-TREASURE CHATBOT
 // ========================================
 
-const GEMINI_API_KEY = ;
-let genAI = null;
-let chatSession = null;
+// Most recent turns sent along with a question so the assistant can follow the conversation
+const CHAT_CONTEXT_MESSAGES = 20;
+// Oldest conversations are dropped beyond this many
+const MAX_CHAT_SESSIONS = 30;
+const CHAT_TITLE_LENGTH = 60;
+/** Longest side, in pixels, of photos sent to the assistant */
+const CHAT_PHOTO_MAX_DIMENSION = 768;
 
 /**
- * Initialize Gemini API and chatbot UI
+ * Materials the assistant recognises in photos, with how to get rid of each
+ * in Kathmandu (KMC collects organic and dry waste separately; most dry
+ * recyclables are bought by kabadi scrap dealers)
  */
-function initChatbot() {
-    try {
-        // Initialize Google Generative AI
-        genAI = window.GoogleGenerativeAI ? new window.GoogleGenerativeAI(GEMINI_API_KEY) : null;
-        if (!genAI) {
-            console.warn('Google Generative AI SDK not loaded');
-            return;
+const WASTE_MATERIALS = {
+    pet: { labelKey: 'waste_pet', disposalKey: 'waste_pet_disposal' },
+    plastic: { labelKey: 'waste_plastic', disposalKey: 'waste_plastic_disposal' },
+    glass: { labelKey: 'waste_glass', disposalKey: 'waste_glass_disposal' },
+    paper: { labelKey: 'waste_paper', disposalKey: 'waste_paper_disposal' },
+    metal: { labelKey: 'waste_metal', disposalKey: 'waste_metal_disposal' },
+    e_waste: { labelKey: 'waste_e_waste', disposalKey: 'waste_e_waste_disposal' },
+    textile: { labelKey: 'waste_textile', disposalKey: 'waste_textile_disposal' },
+    organic: { labelKey: 'waste_organic', disposalKey: 'waste_organic_disposal' },
+    other: { labelKey: 'waste_other', disposalKey: 'waste_other_disposal' }
+};
+
+// Photo picked in the chat panel, compressed and waiting to be sent
+let pendingChatPhoto = null;
+
+/**
+ * Retrieves the user's stored chatbot conversations, most recently used first
+ * @returns {Array<{id: string, title: string, createdAt: number, updatedAt: number, messages: Array<{id: string, role: 'user'|'bot', text: string, createdAt: number, imageId?: string}>}>}
+ */
+function getChatSessions() {
+    return getUserData('chatSessions', []);
+}
+
+/**
+ * Saves the user's conversations, keeping the most recent MAX_CHAT_SESSIONS.
+ * Photos of conversations that are dropped are deleted from the device.
+ * @param {Array} sessions
+ * @returns {void}
+ */
+function saveChatSessions(sessions) {
+    const kept = sessions.slice(0, MAX_CHAT_SESSIONS);
+    const keptIds = new Set(kept.map(s => s.id));
+    getChatSessions()
+        .filter(s => !keptIds.has(s.id))
+        .forEach(s => s.messages.forEach(m => {
+            if (m.imageId) deleteImage(m.imageId).catch(() => {});
+        }));
+    setUserData('chatSessions', kept);
+}
+
+/**
+ * Returns the conversation shown in the chat panel
+ * @returns {Object|null} The session, or null when a new chat has not started yet
+ */
+function getActiveChatSession() {
+    const activeId = getUserData('activeChatSession', null);
+    return getChatSessions().find(s => s.id === activeId) || null;
+}
+
+/**
+ * Stores a message in a conversation (the active one by default), starting a
+ * new active conversation if it does not exist
+ * @param {'user'|'bot'} role
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string|null} [options.sessionId] - Conversation id
+ * @param {string|null} [options.imageId] - Stored photo sent with the message
+ * @returns {Object} The stored message
+ */
+function appendChatMessage(role, text, { sessionId = getUserData('activeChatSession', null), imageId = null } = {}) {
+    const sessions = getChatSessions();
+    const now = Date.now();
+    let session = sessions.find(s => s.id === sessionId);
+    if (!session) {
+        session = { id: `chat_${now.toString(36)}${Math.random().toString(36).slice(2, 8)}`, title: '', createdAt: now, messages: [] };
+        setUserData('activeChatSession', session.id);
+    }
+    const message = { id: `${now}-${Math.random().toString(36).slice(2, 8)}`, role, text, createdAt: now };
+    if (imageId) message.imageId = imageId;
+    session.messages.push(message);
+    session.updatedAt = now;
+    if (!session.title && role === 'user') session.title = text.slice(0, CHAT_TITLE_LENGTH);
+    saveChatSessions([session, ...sessions.filter(s => s.id !== session.id)]);
+    return message;
+}
+
+/**
+ * Switches the chat panel to a stored conversation, or to a new empty one
+ * @param {string|null} sessionId
+ * @returns {void}
+ */
+function openChatSession(sessionId) {
+    setUserData('activeChatSession', sessionId);
+    renderChatMessages();
+    renderChatHistory();
+}
+
+/**
+ * Deletes one stored conversation (tips saved from it are kept)
+ * @param {string} sessionId
+ * @returns {void}
+ */
+function deleteChatSession(sessionId) {
+    saveChatSessions(getChatSessions().filter(s => s.id !== sessionId));
+    if (getUserData('activeChatSession', null) === sessionId) setUserData('activeChatSession', null);
+    renderChatMessages();
+    renderChatHistory();
+}
+
+/**
+ * Deletes every stored conversation of the current user
+ * @returns {void}
+ */
+function clearChatHistory() {
+    saveChatSessions([]);
+    setUserData('activeChatSession', null);
+    renderChatMessages();
+    renderChatHistory();
+}
+
+/**
+ * Builds the history sent with a question: the conversation's latest answered
+ * turns (questions that got no reply are left out so user and model turns
+ * keep alternating)
+ * @param {Object|null} session
+ * @returns {Array<{role: 'user'|'model', text: string}>}
+ */
+function buildChatHistory(session) {
+    const messages = session ? session.messages : [];
+    const turns = [];
+    messages.forEach((m, i) => {
+        const reply = messages[i + 1];
+        if (m.role === 'user' && reply && reply.role === 'bot') {
+            turns.push({ role: 'user', text: m.text }, { role: 'model', text: reply.text });
         }
+    });
+    return turns.slice(-CHAT_CONTEXT_MESSAGES);
+}
+
+/**
+ * Writes the assistant's reply to a photo: what the item is, an upcycling
+ * idea and how to dispose of it in Kathmandu
+ * @param {{material: string, item: string, confidence: number, idea: string}} result - From identifyWaste()
+ * @returns {string}
+ */
+function formatWasteReply({ material, item, confidence, idea }) {
+    const info = WASTE_MATERIALS[material] || WASTE_MATERIALS.other;
+    return [
+        t('waste_identified', { item, material: t(info.labelKey), percent: Math.round((confidence || 0) * 100) }),
+        `♻️ ${t('waste_idea_heading')}: ${idea}`,
+        `🗑️ ${t('waste_disposal_heading')}: ${t(info.disposalKey)}`
+    ].join('\n\n');
+}
+
+/**
+ * Compresses a photo picked in the chat panel and shows it above the input
+ * until it is sent or removed
+ * @param {File} file
+ * @returns {Promise<void>}
+ */
+async function attachChatPhoto(file) {
+    try {
+        pendingChatPhoto = await compressImage(file, { maxDimension: CHAT_PHOTO_MAX_DIMENSION });
+    } catch (err) {
+        showToast(t('image_read_failed'), 'error');
+        return;
+    }
+    renderChatPhotoPreview();
+}
+
+/**
+ * Shows the photo waiting to be sent, with a button to remove it
+ * @returns {void}
+ */
+function renderChatPhotoPreview() {
+    const preview = document.getElementById('chatbot-photo-preview');
+    if (!preview) return;
+    preview.querySelectorAll('img').forEach(img => URL.revokeObjectURL(img.src));
+    preview.innerHTML = '';
+    preview.hidden = !pendingChatPhoto;
+    if (!pendingChatPhoto) return;
+    const img = document.createElement('img');
+    img.src = URL.createObjectURL(pendingChatPhoto);
+    img.alt = t('chatbot_photo_alt');
+    const remove = document.createElement('button');
+    remove.className = 'chatbot-photo-remove';
+    remove.setAttribute('aria-label', t('chatbot_remove_photo'));
+    setHtml(remove, html`&times;`);
+    remove.addEventListener('click', () => {
+        pendingChatPhoto = null;
+        renderChatPhotoPreview();
+    });
+    preview.appendChild(img);
+    preview.appendChild(remove);
+}
 
+/**
+ * Initialize the chatbot UI
+ */
+function initChatbot() {
+    try {
         const toggleBtn = document.getElementById('chatbot-toggle');
         const closeBtn = document.getElementById('chatbot-close');
         const sendBtn = document.getElementById('chatbot-send');
         const input = document.getElementById('chatbot-input');
         const panel = document.getElementById('chatbot-panel');
+        const historyBtn = document.getElementById('chatbot-history-toggle');
+        const newChatBtn = document.getElementById('chatbot-new');
+        const clearHistoryBtn = document.getElementById('chatbot-clear-history');
+        const attachBtn = document.getElementById('chatbot-attach');
+        const photoInput = document.getElementById('chatbot-photo');
 
         if (!toggleBtn || !panel) return;
 
-        // Toggle chatbot panel visibility
-        toggleBtn.addEventListener('click', () => {
-            const isOpen = panel.classList.contains('open');
-            if (isOpen) {
-                panel.classList.remove('open');
-                toggleBtn.setAttribute('aria-expanded', 'false');
-                panel.setAttribute('aria-hidden', 'true');
-            } else {
-                panel.classList.add('open');
-                toggleBtn.setAttribute('aria-expanded', 'true');
-                panel.setAttribute('aria-hidden', 'false');
+        // Toggle chatbot panel visibility; closing it returns focus to the toggle
+        const chatPanel = createDisclosure(toggleBtn, panel, { onOpen: () => input.focus() });
+        if (closeBtn) closeBtn.addEventListener('click', chatPanel.close);
+
+        if (historyBtn) {
+            historyBtn.addEventListener('click', () => {
+                showChatHistory(historyBtn.getAttribute('aria-expanded') !== 'true');
+            });
+        }
+
+        if (newChatBtn) {
+            newChatBtn.addEventListener('click', () => {
+                openChatSession(null);
+                showChatHistory(false);
                 input.focus();
-                // Add welcome message on first open
-                if (panel.querySelector('.chatbot-message') === null) {
-                    addChatMessage('Hello! 👋 I\'m your Trash to Treasure AI assistant. I help you turn waste into creative, eco-friendly treasures! What do you want to upcycle or repurpose today?', 'bot');
-                }
-            }
-        });
+            });
+        }
+
+        if (clearHistoryBtn) {
+            clearHistoryBtn.addEventListener('click', () => {
+                if (!confirm(t('chatbot_clear_confirm'))) return;
+                clearChatHistory();
+                showToast(t('chatbot_history_cleared'), 'info');
+            });
+        }
 
-        if (closeBtn) {
-            closeBtn.addEventListener('click', () => {
-                panel.classList.remove('open');
-                toggleBtn.setAttribute('aria-expanded', 'false');
-                panel.setAttribute('aria-hidden', 'true');
+        // Attach a photo of an item for the assistant to identify
+        if (attachBtn && photoInput) {
+            attachBtn.addEventListener('click', () => photoInput.click());
+            photoInput.addEventListener('change', () => {
+                const file = photoInput.files && photoInput.files[0];
+                photoInput.value = '';
+                if (file) attachChatPhoto(file);
             });
         }
 
@@ -640,35 +6835,168 @@ function initChatbot() {
                 }
             });
         }
+
+        renderChatMessages();
+        renderChatHistory();
     } catch (error) {
         console.error('Error initializing chatbot:', error);
     }
 }
 
+/**
+ * Switches the chat panel between the conversation and the history list
+ * @param {boolean} show - Whether to show the history list
+ * @returns {void}
+ */
+function showChatHistory(show) {
+    const history = document.getElementById('chatbot-history');
+    const messagesDiv = document.getElementById('chatbot-messages');
+    const inputArea = document.querySelector('.chatbot-input-area');
+    const historyBtn = document.getElementById('chatbot-history-toggle');
+    if (!history) return;
+    history.hidden = !show;
+    if (messagesDiv) messagesDiv.hidden = show;
+    if (inputArea) inputArea.hidden = show;
+    if (historyBtn) historyBtn.setAttribute('aria-expanded', show ? 'true' : 'false');
+}
+
+/**
+ * Renders the active conversation, or the welcome message for a new one
+ * @returns {void}
+ */
+function renderChatMessages() {
+    const messagesDiv = document.getElementById('chatbot-messages');
+    if (!messagesDiv) return;
+    messagesDiv.innerHTML = '';
+    const session = getActiveChatSession();
+    if (!session || !session.messages.length) {
+        addChatMessage(t('chatbot_welcome'), 'bot');
+        return;
+    }
+    const savedIds = new Set(getSavedTips().map(tip => tip.messageId));
+    session.messages.forEach(m => {
+        addChatMessage(m.text, m.role, m.role === 'bot' ? { messageId: m.id, saved: savedIds.has(m.id) } : { imageId: m.imageId });
+    });
+}
+
+/**
+ * Renders the list of stored conversations in the chat panel
+ * @returns {void}
+ */
+function renderChatHistory() {
+    const list = document.getElementById('chatbot-history-list');
+    const clearBtn = document.getElementById('chatbot-clear-history');
+    if (!list) return;
+    list.innerHTML = '';
+    const sessions = getChatSessions();
+    const activeId = getUserData('activeChatSession', null);
+    if (clearBtn) clearBtn.hidden = sessions.length === 0;
+    if (!sessions.length) {
+        const empty = document.createElement('li');
+        empty.className = 'chatbot-history-empty';
+        empty.innerText = t('chatbot_no_history');
+        list.appendChild(empty);
+        return;
+    }
+    sessions.forEach(session => {
+        const item = document.createElement('li');
+        item.className = 'chatbot-history-item';
+        const open = document.createElement('button');
+        open.className = 'chatbot-history-open';
+        if (session.id === activeId) open.setAttribute('aria-current', 'true');
+        const title = document.createElement('span');
+        title.innerText = session.title || t('chatbot_untitled');
+        const meta = document.createElement('small');
+        meta.innerText = `${formatDate(session.updatedAt)} • ${t('chatbot_message_count', { count: session.messages.length })}`;
+        open.appendChild(title);
+        open.appendChild(meta);
+        open.addEventListener('click', () => {
+            openChatSession(session.id);
+            showChatHistory(false);
+        });
+        const remove = document.createElement('button');
+        remove.className = 'chatbot-history-delete';
+        remove.setAttribute('aria-label', t('chatbot_delete_session'));
+        setHtml(remove, html`<i class="fas fa-trash"></i>`);
+        remove.addEventListener('click', () => deleteChatSession(session.id));
+        item.appendChild(open);
+        item.appendChild(remove);
+        list.appendChild(item);
+    });
+}
+
 /**
  * Add a message to the chat display
  * @param {string} message - The message text
  * @param {'user'|'bot'|'error'|'loading'} type - Message type
+ * @param {{messageId?: string, saved?: boolean, imageId?: string}} [options] - Stored bot replies get a
+ *   "Save tip" button; imageId shows a photo stored with the message
+ * @returns {HTMLElement|null} The message element, e.g. to stream a reply into
  */
-function addChatMessage(message, type = 'bot') {
+function addChatMessage(message, type = 'bot', { messageId = null, saved = false, imageId = null } = {}) {
     const messagesDiv = document.getElementById('chatbot-messages');
-    if (!messagesDiv) return;
+    if (!messagesDiv) return null;
 
     const msgEl = document.createElement('div');
     msgEl.className = `chatbot-message ${type}`;
 
     if (type === 'loading') {
-        msgEl.innerHTML = '<div class="chatbot-loading-dots"><span></span><span></span><span></span></div>';
+        setHtml(msgEl, html`<div class="chatbot-loading-dots"><span></span><span></span><span></span></div>`);
     } else {
         msgEl.textContent = message;
     }
 
+    if (imageId) {
+        const img = document.createElement('img');
+        img.className = 'chatbot-photo';
+        img.alt = t('chatbot_photo_alt');
+        msgEl.prepend(img);
+        getImage(imageId)
+            .then(blob => {
+                if (!blob) throw new Error('Photo not found');
+                const url = URL.createObjectURL(blob);
+                img.addEventListener('load', () => URL.revokeObjectURL(url), { once: true });
+                img.src = url;
+            })
+            .catch(() => img.remove());
+    }
+
+    if (messageId) {
+        msgEl.dataset.messageId = messageId;
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'chatbot-save-tip';
+        setHtml(saveBtn, html`<i class="fas fa-bookmark"></i> <span></span>`);
+        setSaveTipButton(saveBtn, saved);
+        saveBtn.addEventListener('click', () => {
+            const tip = getSavedTips().find(s => s.messageId === messageId);
+            if (tip) {
+                removeSavedTip(tip.id);
+            } else if (saveTip(messageId)) {
+                showToast(t('tip_saved'), 'success');
+            }
+        });
+        msgEl.appendChild(saveBtn);
+    }
+
     messagesDiv.appendChild(msgEl);
     messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    return msgEl;
+}
+
+/**
+ * Shows whether a bot reply is in the saved ideas
+ * @param {HTMLButtonElement} button
+ * @param {boolean} saved
+ * @returns {void}
+ */
+function setSaveTipButton(button, saved) {
+    button.setAttribute('aria-pressed', saved ? 'true' : 'false');
+    button.querySelector('span').innerText = saved ? t('chatbot_tip_saved_label') : t('chatbot_save_tip');
 }
 
 /**
- * Send a chat message to Gemini API
+ * Send a chat message to the active chat provider and stream the reply into the chat.
+ * With a photo attached, the assistant identifies the item in it instead.
  */
 async function sendChatMessage() {
     const input = document.getElementById('chatbot-input');
@@ -676,107 +7004,289 @@ async function sendChatMessage() {
     if (!input || !sendBtn) return;
 
     const message = input.value.trim();
-    if (!message) return;
+    const photo = pendingChatPhoto;
+    if (!message && !photo) return;
 
-    // Add user message
-    addChatMessage(message, 'user');
+    // The provider only needs the earlier turns; the new question is sent separately
+    const history = buildChatHistory(getActiveChatSession());
+
+    // Keep the photo on this device so the conversation still shows it later
+    let imageId = null;
+    if (photo) {
+        pendingChatPhoto = null;
+        renderChatPhotoPreview();
+        try {
+            imageId = await saveImage(photo);
+        } catch (err) {
+            // The photo is still sent, just not kept in the history
+        }
+    }
+
+    // Store and show the user message
+    appendChatMessage('user', message || t('chatbot_photo_question'), { imageId });
+    renderChatMessages();
+    renderChatHistory();
     input.value = '';
     input.style.height = 'auto';
+    const sessionId = getUserData('activeChatSession', null);
 
     // Disable send button and show loading
     sendBtn.disabled = true;
     addChatMessage('', 'loading');
 
-    try {
-        // Initialize model if not already done
-        if (!genAI) {
-            genAI = new window.GoogleGenerativeAI(GEMINI_API_KEY);
-        }
-
-        // Initialize chat session if needed
-        if (!chatSession) {
-            const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
-            chatSession = model.startChat({
-                history: [
-                    {
-                        role: 'user',
-                        parts: 'You are an expert in sustainable living and creative upcycling. Help users turn their trash into treasure with eco-friendly ideas. Be encouraging, creative, and provide practical, actionable suggestions for repurposing waste materials. Include specific materials, tools, and step-by-step instructions when relevant.'
-                    },
-                    {
-                        role: 'model',
-                        parts: 'I understand! I\'m your Trash to Treasure guide. I specialize in helping you transform waste into creative, eco-friendly treasures. I\'ll provide practical, inspiring ideas for upcycling and repurposing items you have at home. Ask me anything about turning trash into treasure! 🌿♻️'
-                    }
-                ],
-                generationConfig: {
-                    maxOutputTokens: 256,
-                    temperature: 0.7,
-                },
-            });
-        }
-
-        // Send message and get response
-        const result = await chatSession.sendMessage(message);
-        const response = await result.response;
-        const text = response.text();
-
-        // Remove loading message
+    // Remove loading message
+    const removeLoading = () => {
         const loadingMsg = document.querySelectorAll('.chatbot-message.loading');
         if (loadingMsg.length > 0) {
             loadingMsg[loadingMsg.length - 1].remove();
         }
+    };
 
-        // Add bot response
-        addChatMessage(text, 'bot');
+    let bubble = null;
+    try {
+        let text = '';
+        if (photo) {
+            text = formatWasteReply(await getChatProvider().identifyWaste(photo, message));
+        } else {
+            // Show the reply as it streams in
+            for await (const chunk of getChatProvider().streamReply(history, message)) {
+                text += chunk;
+                if (!bubble) {
+                    removeLoading();
+                    bubble = addChatMessage('', 'bot');
+                }
+                if (bubble) {
+                    bubble.textContent = text;
+                    const messagesDiv = bubble.parentElement;
+                    if (messagesDiv) messagesDiv.scrollTop = messagesDiv.scrollHeight;
+                }
+            }
+        }
+        if (!text.trim()) throw new Error('Empty reply');
+        removeLoading();
 
-        // Celebrate eco-tips in chat by playing a subtle toast
-        if (text.toLowerCase().includes('idea') || text.toLowerCase().includes('upcycl')) {
-            showToast('💡 Great eco-idea! Save this tip for later.', 'success', 3000);
+        // Store the reply in the conversation it answers, even if the user switched chats meanwhile
+        const reply = appendChatMessage('bot', text, { sessionId });
+        if (getUserData('activeChatSession', null) === sessionId) {
+            renderChatMessages();
         }
+        renderChatHistory();
+
+        // Offer to keep the reply; the assistant only gives eco-tips, in whatever language the user writes
+        showToast(t('chatbot_tip_offer'), 'info', 6000, {
+            label: t('chatbot_save_tip'),
+            onClick: () => {
+                if (saveTip(reply.id)) showToast(t('tip_saved'), 'success');
+            }
+        });
     } catch (error) {
         console.error('Chatbot error:', error);
-
-        // Remove loading message
-        const loadingMsg = document.querySelectorAll('.chatbot-message.loading');
-        if (loadingMsg.length > 0) {
-            loadingMsg[loadingMsg.length - 1].remove();
-        }
+        removeLoading();
+        // A reply cut off half-way is not kept
+        if (bubble) bubble.remove();
 
         // Show error message
-        const errorMsg = error.message?.includes('API') 
-            ? 'API error: Check your connection or API key. Please try again.'
-            : 'Sorry, something went wrong. Please try again.';
+        let errorMsg = t('chatbot_error_generic');
+        if (error.status === 429) {
+            errorMsg = t('chatbot_rate_limited', { count: error.retryAfter || 60 });
+        } else if (error.status === 401) {
+            errorMsg = t('chatbot_signin_required');
+        } else if (!navigator.onLine || error instanceof TypeError) {
+            errorMsg = t('chatbot_error_offline');
+        }
         addChatMessage(errorMsg, 'error');
     } finally {
         sendBtn.disabled = false;
     }
 }
 
+// ========================================
+// MY UPCYCLING IDEAS (SAVED CHATBOT TIPS)
+// ========================================
+
+// Tag added to posts made from saved tips, so they can be found in the feed
+const UPCYCLING_TAG = 'upcycling';
+const TIP_TOPIC_LENGTH = 60;
+
+/**
+ * Retrieves the user's saved chatbot tips, newest first
+ * @returns {Array<{id: string, text: string, question: string, sessionId: string, messageId: string, savedAt: number, postId: number|null}>}
+ */
+function getSavedTips() {
+    return getUserData('savedTips', []);
+}
+
+/**
+ * Saves the user's tips
+ * @param {Array} tips
+ * @returns {void}
+ */
+function setSavedTips(tips) {
+    setUserData('savedTips', tips);
+}
+
+/**
+ * Files a chatbot reply into My Upcycling Ideas, together with the question it answered
+ * @param {string} messageId - Id of a stored bot message
+ * @returns {Object|null} The saved tip (the existing one if already saved), or null if the message is gone
+ */
+function saveTip(messageId) {
+    const tips = getSavedTips();
+    const existing = tips.find(tip => tip.messageId === messageId);
+    if (existing) return existing;
+    for (const session of getChatSessions()) {
+        const index = session.messages.findIndex(m => m.id === messageId && m.role === 'bot');
+        if (index === -1) continue;
+        const question = session.messages.slice(0, index).reverse().find(m => m.role === 'user');
+        const tip = {
+            id: `tip_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+            text: session.messages[index].text,
+            question: question ? question.text : '',
+            sessionId: session.id,
+            messageId,
+            savedAt: Date.now(),
+            postId: null
+        };
+        setSavedTips([tip, ...tips]);
+        refreshSavedTipViews();
+        return tip;
+    }
+    return null;
+}
+
+/**
+ * Removes a tip from My Upcycling Ideas (a post made from it stays up)
+ * @param {string} tipId
+ * @returns {void}
+ */
+function removeSavedTip(tipId) {
+    setSavedTips(getSavedTips().filter(tip => tip.id !== tipId));
+    refreshSavedTipViews();
+}
+
+/**
+ * Finds saved tips containing every word of the query in the tip or its question
+ * @param {string} query
+ * @returns {Array} Matching tips, newest first
+ */
+function searchSavedTips(query) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return getSavedTips().filter(tip => {
+        const text = `${tip.question} ${tip.text}`.toLowerCase();
+        return words.every(w => text.includes(w));
+    });
+}
+
+/**
+ * Builds the title of a post made from a tip: the question asked, or the tip's first line
+ * @param {Object} tip
+ * @returns {string}
+ */
+function getTipPostTitle(tip) {
+    const topic = (tip.question || tip.text.split('\n')[0]).trim();
+    const short = topic.length > TIP_TOPIC_LENGTH ? `${topic.slice(0, TIP_TOPIC_LENGTH - 1).trimEnd()}…` : topic;
+    return t('idea_post_title', { topic: short });
+}
+
+/**
+ * Publishes a saved tip on the community feed and opens the new post.
+ * A tip that was already shared opens its existing post instead.
+ * @param {string} tipId
+ * @returns {Object|null} The post, or null if the tip is gone
+ */
+function shareTipAsPost(tipId) {
+    const tips = getSavedTips();
+    const tip = tips.find(s => s.id === tipId);
+    if (!tip) return null;
+    const existing = tip.postId && getPosts().find(p => p.id === tip.postId);
+    if (existing) {
+        navigate(`/posts/${existing.id}`);
+        return existing;
+    }
+    const post = createPost({ title: getTipPostTitle(tip), description: `${tip.text}\n\n#${UPCYCLING_TAG}` });
+    tip.postId = post.id;
+    setSavedTips(tips);
+    renderSavedTips();
+    showToast(t('idea_posted'), 'success');
+    navigate(`/posts/${post.id}`);
+    return post;
+}
+
+/**
+ * Updates the saved-ideas list and the "Save tip" buttons in the chat
+ * @returns {void}
+ */
+function refreshSavedTipViews() {
+    renderSavedTips();
+    const savedIds = new Set(getSavedTips().map(tip => tip.messageId));
+    document.querySelectorAll('.chatbot-message[data-message-id]').forEach(el => {
+        const button = el.querySelector('.chatbot-save-tip');
+        if (button) setSaveTipButton(button, savedIds.has(el.dataset.messageId));
+    });
+}
+
+/**
+ * Renders My Upcycling Ideas, filtered by its search box
+ * @returns {void}
+ */
+function renderSavedTips() {
+    const list = document.getElementById('ideas-list');
+    const empty = document.getElementById('no-ideas');
+    const noResults = document.getElementById('ideas-no-results');
+    const search = document.getElementById('ideas-search');
+    if (!list) return;
+    const total = getSavedTips().length;
+    const tips = searchSavedTips(search ? search.value : '');
+    const postIds = new Set(getPosts().map(p => p.id));
+    list.innerHTML = '';
+    if (empty) empty.hidden = total > 0;
+    if (noResults) noResults.hidden = total === 0 || tips.length > 0;
+    if (search) search.hidden = total === 0;
+    tips.forEach(tip => {
+        const item = document.createElement('li');
+        item.className = 'idea-item';
+        if (tip.question) {
+            const question = document.createElement('h4');
+            question.innerText = tip.question;
+            item.appendChild(question);
+        }
+        const text = document.createElement('p');
+        text.className = 'idea-text';
+        text.innerText = tip.text;
+        const meta = document.createElement('div');
+        meta.className = 'post-meta';
+        meta.innerText = t('idea_saved_on', { date: formatDate(tip.savedAt) });
+        const actions = document.createElement('div');
+        actions.className = 'idea-actions';
+        const share = document.createElement('button');
+        share.className = 'reward-btn';
+        share.innerText = postIds.has(tip.postId) ? t('idea_view_post') : t('idea_share');
+        share.addEventListener('click', () => shareTipAsPost(tip.id));
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-secondary';
+        remove.innerText = t('idea_remove');
+        remove.addEventListener('click', () => removeSavedTip(tip.id));
+        actions.appendChild(share);
+        actions.appendChild(remove);
+        item.appendChild(text);
+        item.appendChild(meta);
+        item.appendChild(actions);
+        list.appendChild(item);
+    });
+}
+
 // ========================================
 // MOBILE MENU TOGGLE
 // ========================================
 
-// Handle mobile menu button click to show/hide navigation links
+// Show and hide the navigation links on small screens (see .nav-links.open in styles.css)
 const mobileMenuBtn = document.querySelector('.mobile-menu-btn');
-if (mobileMenuBtn) {
-    mobileMenuBtn.addEventListener('click', function() {
-        const navLinks = document.querySelector('.nav-links');
-        if (navLinks) {
-            if (navLinks.style.display === 'flex') {
-                // Hide menu if currently visible
-                navLinks.style.display = 'none';
-            } else {
-                // Show menu with flex layout and positioning
-                navLinks.style.display = 'flex';
-                navLinks.style.flexDirection = 'column';
-                navLinks.style.position = 'absolute';
-                navLinks.style.top = '70px';
-                navLinks.style.left = '0';
-                navLinks.style.width = '100%';
-                navLinks.style.backgroundColor = 'white';
-                navLinks.style.padding = '20px';
-                navLinks.style.boxShadow = '0 10px 15px rgba(0,0,0,0.1)';
-            }
-        }
+const mobileNavLinks = document.getElementById('nav-links');
+if (mobileMenuBtn && mobileNavLinks) {
+    const mobileMenu = createDisclosure(mobileMenuBtn, mobileNavLinks, { closeOnOutsideClick: true });
+    // Following a link closes the menu
+    mobileNavLinks.addEventListener('click', (e) => {
+        if (e.target.closest('a')) mobileMenu.close();
     });
 }
 
@@ -0,0 +1,503 @@
+// English messages: the source locale every other locale is checked against
+// (node scripts/check-locales.js). Values may use {placeholders}; pluralized
+// messages are objects keyed by Intl.PluralRules category.
+window.ECOSTEP_LOCALES = window.ECOSTEP_LOCALES || {};
+window.ECOSTEP_LOCALES.en = {
+    // Navigation & header
+    app_name: 'Eco Step',
+    nav_home: 'Home',
+    nav_dashboard: 'Dashboard',
+    nav_challenges: 'Challenges',
+    nav_rewards: 'Rewards',
+    nav_profile: 'Profile',
+    nav_share_work: 'Share Work',
+    nav_moderation: 'Moderation',
+    nav_signout: 'Sign Out',
+    nav_user_label: 'Your profile: {name}',
+    nav_menu_label: 'Menu',
+    nav_signup: 'Sign Up',
+    nav_signin: 'Sign In',
+    theme_toggle_label: 'Toggle theme',
+    lang_toggle_label: 'Switch language',
+    toast_close: 'Dismiss notification',
+    theme_dark_on: 'Night mode enabled',
+    theme_light_on: 'Light mode enabled',
+
+    // Home
+    hero_title: 'Every Step Counts 🌿',
+    hero_subtitle: 'Gamify your green journey — walk the talk for our planet.',
+    features_title: 'How It Works',
+    feature_track_title: 'Track Your Steps',
+    feature_track_text: 'Monitor your daily eco-friendly actions and see their environmental impact.',
+    feature_rewards_title: 'Earn Rewards',
+    feature_rewards_text: 'Get points, badges, and real-world rewards for sustainable choices.',
+    feature_challenges_title: 'Join Challenges',
+    feature_challenges_text: 'Participate in community challenges to reduce carbon footprints.',
+    feature_impact_title: 'Track Impact',
+    feature_impact_text: 'Visualize your environmental impact over time with detailed analytics.',
+
+    // Onboarding & dialogs
+    onboarding_title: 'Welcome to Eco Step 🌿',
+    onboarding_close: 'Close onboarding',
+    onboarding_next: 'Next',
+    onboarding_skip: 'Skip',
+    onboarding_step_track: 'Welcome! Use Eco Step to track actions, earn points, and join community challenges.',
+    onboarding_step_share: 'Share your eco-work on the community board and celebrate wins together.',
+    onboarding_step_settings: 'Enable dark mode and switch to Nepali from the top-right controls anytime.',
+    onboarding_done: 'Onboarding completed — enjoy Eco Step!',
+    reward_modal_title: 'Your Reward 🎁',
+    reward_modal_close: 'Close redemption code',
+
+    // Accounts
+    signup_title: 'Create Account',
+    signin_title: 'Welcome Back',
+    field_name: 'Full Name',
+    field_name_placeholder: 'Enter your name',
+    field_email: 'Email Address',
+    field_email_placeholder: 'Enter your email',
+    field_password: 'Password',
+    field_password_placeholder: 'Enter your password',
+    field_password_create_placeholder: 'Create a password',
+    field_confirm_password: 'Confirm Password',
+    field_confirm_password_placeholder: 'Confirm your password',
+    signup_have_account: 'Already have an account?',
+    signin_no_account: "Don't have an account?",
+    passwords_mismatch: 'Passwords do not match!',
+    account_created: 'Account created successfully! Redirecting to dashboard...',
+    signed_in: 'Signed in successfully! Redirecting to dashboard...',
+    signed_out: 'You have been signed out.',
+    signed_out_elsewhere: 'You were signed out in another tab.',
+    signed_in_elsewhere: 'Signed in as {name} in another tab.',
+    error_invalid_email: 'Please enter a valid email address',
+    error_password_short: 'Password must be at least 8 characters',
+    error_email_taken: 'An account with this email already exists',
+    error_bad_credentials: 'Incorrect email or password',
+    error_signin_locked: {
+        one: 'Too many failed attempts. Try again in {count} minute.',
+        other: 'Too many failed attempts. Try again in {count} minutes.'
+    },
+
+    // Dashboard
+    dashboard_title: 'Your Eco Dashboard',
+    points_title: 'Your Eco Points',
+    points_message: 'Keep going green! Your actions are making a difference.',
+    log_action_title: 'Log an Action',
+    log_action_type: 'Action',
+    log_action_amount: 'Amount',
+    log_action_submit: 'Log Action',
+    action_walk: 'Walking',
+    action_cycle: 'Cycling',
+    action_bus: 'Bus instead of car',
+    action_recycle: 'Recycling',
+    action_reusable_bag: 'Reusable bag',
+    action_plant_tree: 'Tree planting',
+    action_amount_invalid: 'Please enter a valid amount',
+    action_logged: 'Logged! You saved {co2} kg CO₂ and earned {points} pts.',
+    action_preview: 'Saves ~{co2} kg CO₂ • +{points} pts',
+    unit_km: 'km',
+    unit_kg: 'kg',
+    unit_bags: 'bags',
+    unit_trees: 'trees',
+    streak_title: 'Daily Streak',
+    streak_days: { one: '🔥 {count} day', other: '🔥 {count} days' },
+    streak_done_today: 'Done for today. Come back tomorrow to keep it going!',
+    streak_at_risk: 'Log an eco action today to keep your streak alive.',
+    streak_start: 'Log an eco action today to start a streak.',
+    streak_freezes_left: { one: '{count} streak freeze left this month', other: '{count} streak freezes left this month' },
+    streak_freeze_used: { one: 'A streak freeze covered the day you missed. Your {days}-day streak lives on!', other: 'Streak freezes covered the {count} days you missed. Your {days}-day streak lives on!' },
+    impact_title: 'Your Impact',
+    impact_today: 'Today',
+    impact_this_week: 'This week',
+    impact_this_month: 'This month',
+    impact_co2: '{co2} kg CO₂',
+    points_amount: '{points} pts',
+    leaderboard_title: 'Leaderboard',
+    leaderboard_period_label: 'Leaderboard period',
+    leaderboard_period_week: 'This week',
+    leaderboard_period_month: 'This month',
+    leaderboard_period_all: 'All time',
+    leaderboard_scope_label: 'Leaderboard scope',
+    leaderboard_scope_global: 'Everyone',
+    leaderboard_scope_friends: 'Friends',
+    leaderboard_scope_district: 'My city',
+    leaderboard_scope_ward: 'My ward',
+    leaderboard_you: 'You',
+    leaderboard_change_up: { one: 'Up {count} place since last period', other: 'Up {count} places since last period' },
+    leaderboard_change_down: { one: 'Down {count} place since last period', other: 'Down {count} places since last period' },
+    leaderboard_change_new: 'New',
+    leaderboard_no_friends: 'Invite friends to see how your points compare.',
+    leaderboard_no_area: 'Add your city and ward to your profile to see local rankings.',
+    rewards_available_title: 'Available Rewards',
+    friends_title: 'Challenge Friends',
+    friends_text: 'Invite friends to join Eco Step and compete in challenges together!',
+    friends_copy_link: 'Copy Invite Link',
+    friends_link_label: 'Your invite link',
+    friends_share_facebook: 'Share on Facebook',
+    friends_share_twitter: 'Share on Twitter',
+    friends_share_instagram: 'Share on Instagram',
+    friends_share_whatsapp: 'Share on WhatsApp',
+    friends_list_title: 'Your friends',
+    friends_empty: 'No friends yet. Share your invite link: you both get bonus points when a friend signs up with it.',
+    invite_your_code: 'Your referral code: {code}',
+    invite_copied: 'Invite link copied!',
+    invite_copy_manual: 'Copy the selected link to share it.',
+    invite_share_title: 'Join me on Eco Step',
+    invite_share_text: "Join me on Eco Step and let's take eco-friendly steps together!",
+    invite_unknown: 'This invite link is not valid.',
+    invite_queued: "Your invite will be applied once you're back online.",
+    invite_own: 'That is your own invite link. Share it with your friends!',
+    invite_already_friends: 'You and {name} are already friends.',
+    invite_already_used: 'Your account has already been referred by a friend.',
+    invite_redeemed: 'You and {name} are now friends and both earned {points} bonus points!',
+    friend_request_incoming: '{name} invited you to be friends',
+    friend_request_outgoing: 'Waiting for {name} to accept your invite',
+    friend_request_accept: 'Accept',
+    friend_request_decline: 'Decline',
+    friend_added: 'You and {name} are now friends!',
+    duel_start: 'Challenge',
+    duel_started: { one: 'Challenge on! Whoever earns more points in the next {count} day wins against {name}.', other: 'Challenge on! Whoever earns more points in the next {count} days wins against {name}.' },
+    duel_running: { one: 'You {mine} – {theirs} {name} · {count} day left', other: 'You {mine} – {theirs} {name} · {count} days left' },
+    duel_won: 'You won against {name}, {mine} to {theirs}!',
+    duel_lost: '{name} won, {theirs} to {mine}. Try again?',
+    duel_draw: 'Draw with {name}: {mine} each',
+    duel_not_friends: 'You can only challenge your friends.',
+    duel_already_running: 'You already have a challenge running with this friend.',
+
+    // Challenges
+    challenges_title: 'Eco Challenges',
+    challenge_zero_waste_week: 'Zero Waste Week',
+    challenge_recycling_drive: 'Recycling Drive',
+    challenge_walk_to_work: 'Walk to Work',
+    challenge_autumn_greening: 'Autumn Greening',
+    challenge_category_weekly: 'Weekly Challenge',
+    challenge_category_monthly: 'Monthly Challenge',
+    challenge_category_community: 'Community Challenge',
+    challenge_category_seasonal: 'Seasonal Challenge',
+    challenge_zero_waste_week_goal: 'Use a reusable bag 7 times this week',
+    challenge_recycling_drive_goal: 'Recycle 10 kg of waste this month',
+    challenge_walk_to_work_goal: 'Walk or bike to work at least 3 times this week',
+    challenge_autumn_greening_goal: 'Save 20 kg of CO₂ by planting trees and commuting green',
+    challenge_goal: 'Goal: {goal} • Reward: {points} pts',
+    challenge_starts: 'Starts {date}',
+    challenge_ended: 'Challenge ended',
+    challenge_completed: 'Completed!',
+    challenge_percent_done: '{percent}% completed',
+    challenge_days_left: {
+        one: '{count} day left',
+        other: '{count} days left'
+    },
+    challenge_join: 'Join',
+    challenge_leave: 'Leave',
+    challenge_complete: '🏆 Challenge complete: {title}! +{points} pts',
+    challenge_joined: 'You joined {title}!',
+    challenge_left: 'You left {title}',
+
+    // Rewards
+    rewards_title: 'Your Rewards',
+    rewards_premium_title: 'Premium Rewards',
+    rewards_partner_title: 'Partner Rewards',
+    badges_title: 'Achievement Badges',
+    badges_summary: { one: '{count} of {total} badges unlocked', other: '{count} of {total} badges unlocked' },
+    badge_unlocked: 'Badge unlocked: {title}!',
+    badge_unlocked_on: 'Unlocked {date}',
+    badge_progress: '{value} / {target}',
+    badge_first_post: 'First Post',
+    badge_first_post_desc: 'Share your first eco-work with the community.',
+    badge_eco_warrior: 'Eco Warrior',
+    badge_eco_warrior_desc: 'Log your first eco action.',
+    badge_week_streak: '7-Day Streak',
+    badge_week_streak_desc: 'Log an eco action seven days in a row.',
+    badge_co2_10: 'Carbon Cutter',
+    badge_co2_10_desc: 'Save 10 kg of CO₂ with logged actions.',
+    badge_recycling_master: 'Recycling Master',
+    badge_recycling_master_desc: 'Recycle 10 kg of waste.',
+    badge_liked_50: 'Community Favourite',
+    badge_liked_50_desc: 'Receive 50 likes on your posts.',
+    badge_good_company: 'Good Company',
+    badge_good_company_desc: 'Make 3 friends on Eco Step.',
+    rewards_claimed_title: 'My Claimed Rewards',
+    rewards_no_claims: 'No rewards claimed yet. Earn points and claim your first reward!',
+    progress_title: 'Your Progress',
+    progress_claimed_label: 'of rewards claimed',
+    chart_range_label: 'Chart range',
+    chart_range_day: 'Daily',
+    chart_range_week: 'Weekly',
+    chart_range_month: 'Monthly',
+    chart_points_title: 'Points earned',
+    chart_co2_title: 'CO₂ saved',
+    chart_co2_value: '{kg} kg',
+    chart_week_of: 'Week of {date}',
+    chart_plot_label: '{title} chart. Use the arrow keys to hear each value.',
+    chart_period: 'Period',
+    reward_claimed: '🎁 {name} claimed!',
+    reward_show_at: 'Show this code at {partner}.',
+    reward_claimed_on: 'Claimed {date}',
+    reward_valid_until: 'Valid until {date}',
+    reward_cost_stock: '{points} pts • {count} left',
+    reward_claim: 'Claim',
+    reward_expired: 'Expired',
+    reward_out_of_stock: 'Out of Stock',
+    reward_view_code: 'View Code',
+    reward_show_code: 'Show',
+    error_reward_not_found: 'Reward not found',
+    error_reward_already_claimed: 'You have already claimed this reward',
+    error_reward_expired: 'This reward has expired',
+    error_reward_out_of_stock: 'This reward is out of stock',
+    error_reward_more_points: { one: 'You need {count} more point', other: 'You need {count} more points' },
+    reward_name_plant_tree: 'Plant a Tree',
+    reward_name_eco_bag: 'Eco-Friendly Bag',
+    reward_name_carbon_offset: 'Carbon Offset',
+    reward_name_plant_10_trees: 'Plant 10 Trees',
+    reward_name_eco_store_voucher: '$50 Eco Store Voucher',
+    reward_name_ev_charging_pass: 'EV Charging Pass',
+    reward_name_eco_cafe_coffee: 'Free Coffee at Eco Cafe',
+    reward_name_green_store_discount: '20% Off at Green Store',
+    reward_name_transport_day: 'Free Public Transport Day',
+
+    // Profile
+    profile_title: 'Your Profile',
+    profile_info_title: 'Profile Information',
+    profile_edit: 'Edit Profile',
+    profile_name_label: 'Display name',
+    profile_avatar_label: 'Profile picture',
+    profile_avatar_remove: 'Remove',
+    profile_district_label: 'District',
+    profile_district_none: 'Choose a district',
+    profile_ward_label: 'Ward',
+    profile_bio_label: 'Bio',
+    profile_bio_placeholder: 'A few words about your eco journey',
+    profile_public_label: 'Show me on leaderboards and as the author of my posts',
+    profile_save: 'Save Profile',
+    profile_cancel: 'Cancel',
+    profile_saved: 'Profile saved',
+    profile_member_since: 'Member since {date}',
+    profile_location_ward: 'Ward {ward}, {district}, Nepal',
+    profile_location_district: '{district}, Nepal',
+    profile_no_location: 'No location set',
+    profile_public: 'Shown on leaderboards and as the author of your posts',
+    profile_private: 'Private: hidden from leaderboards, your posts show as Anonymous',
+    profile_signin_required: 'Please sign in to edit your profile',
+    profile_name_required: 'Please enter a display name',
+    profile_name_too_long: 'Display names can be at most {max} characters',
+    profile_bio_too_long: 'Bios can be at most {max} characters',
+    profile_district_invalid: 'Please choose a district from the list',
+    profile_ward_invalid: 'Ward must be a number from 1 to {max}',
+    activity_title: 'Activity History',
+    activity_empty: 'No activity yet. Share your eco-work to earn points!',
+    activity_welcome_bonus: 'Welcome bonus',
+    activity_share_post: 'Shared eco-work',
+    activity_post_removed: 'Shared eco-work deleted',
+    activity_challenge_complete: 'Completed a challenge',
+    activity_reward_claim: 'Claimed a reward',
+    activity_referral_bonus: 'Friend joined through your invite',
+    activity_walk: 'Walked',
+    activity_cycle: 'Cycled',
+    activity_bus: 'Took the bus',
+    activity_recycle: 'Recycled',
+    activity_reusable_bag: 'Used reusable bag',
+    activity_plant_tree: 'Planted a tree',
+    settings_title: 'Settings',
+    settings_dark_mode: 'Dark Mode',
+    settings_email_notifications: 'Email Notifications',
+    settings_challenge_reminders: 'Challenge Reminders',
+    settings_daily_reminder: 'Daily Reminder',
+    settings_reminder_time: 'Remind me at',
+    settings_quiet_hours: 'Quiet hours',
+    settings_quiet_start: 'Quiet hours start',
+    settings_quiet_end: 'Quiet hours end',
+    settings_streak_freezes: 'Streak freezes per month',
+    data_title: 'Your data',
+    data_hint: 'Download a backup of everything you have done, or bring one over from another device. Importing adds what is missing and never overwrites what is already here.',
+    data_export_json: 'Export my data (JSON)',
+    data_export_activity: 'Activity (CSV)',
+    data_export_points: 'Points (CSV)',
+    data_import: 'Import a backup',
+    data_signin_required: 'Please sign in to export or import your data',
+    import_invalid_file: "That file isn't an Eco Step backup",
+    import_newer_version: 'This backup comes from a newer version of Eco Step. Update the app and try again.',
+    import_invalid_data: 'This backup is damaged ({field} is not valid), so nothing was imported',
+    import_other_account: 'This backup belongs to another account. Sign in to that account to import it.',
+    import_done: 'Backup imported: {summary}',
+    import_nothing_new: 'Everything in this backup is already here',
+    import_summary_posts: { one: '{count} post', other: '{count} posts' },
+    import_summary_renumbered: { one: '{count} given a new ID', other: '{count} given new IDs' },
+    import_summary_entries: { one: '{count} points entry', other: '{count} points entries' },
+    import_summary_comments: { one: '{count} comment', other: '{count} comments' },
+    reminder_enabled: 'Daily reminder set for {time}.',
+    reminder_unsupported: 'This browser cannot show reminders.',
+    reminder_permission_denied: 'Allow notifications for Eco Step in your browser settings to get reminders.',
+    reminder_in_quiet_hours: 'Your reminder time is within your quiet hours, so no reminder will be shown.',
+    reminder_title: 'Eco Step',
+    reminder_body: 'Take an eco step today and log it in Eco Step!',
+    reminder_body_streak: { one: 'Keep your {count}-day streak going: log an eco action today!', other: 'Keep your {count}-day streak going: log an eco action today!' },
+
+    // Sharing & feed
+    share_title: 'Share Your Eco-Work',
+    post_form_title: 'Create a New Post',
+    post_title_label: 'Post Title',
+    post_title_placeholder: 'What eco-friendly action did you take?',
+    post_desc_label: 'Description',
+    post_desc_placeholder: 'Tell us more about your eco-friendly work...',
+    post_photo_label: 'Photo (optional)',
+    post_photo_preview_alt: 'Selected photo preview',
+    post_photo_compressed: '{before} → {after} (location data removed)',
+    post_image_url_label: 'Image URL (optional)',
+    post_image_url_hint: 'Links from Unsplash, Imgur, Wikimedia Commons or Cloudinary',
+    post_image_url_blocked: 'Image links must be https addresses from {hosts}',
+    post_submit: 'Post',
+    post_shared: 'Your post has been shared! Thank you for contributing!',
+    post_title_required: 'Please enter a post title',
+    post_updated: 'Post updated',
+    post_deleted: 'Post deleted',
+    post_delete_confirm: 'Delete this post? This cannot be undone.',
+    post_not_found: 'That post could not be found.',
+    post_anonymous: 'Anonymous',
+    post_comments: 'Comments',
+    post_edit: 'Edit post',
+    post_edit_save: 'Save',
+    post_edit_cancel: 'Cancel',
+    post_delete: 'Delete post',
+    post_report: 'Report post',
+    post_reported: 'Reported',
+    post_report_prompt: 'Why are you reporting this post? (optional)',
+    post_report_thanks: 'Thanks — our moderators will review this post.',
+    report_signin_required: 'Please sign in to report posts',
+    comment_signin_required: 'Please sign in to comment',
+    comment_placeholder: 'Write a comment...',
+    comment_label: 'Write a comment',
+    comment_reply: 'Reply',
+    comment_replying_to: 'Replying to {name}...',
+    image_read_failed: 'Could not read that image',
+    image_choose_file: 'Please choose an image file',
+    photo_save_failed: 'Could not save the photo on this device',
+    error_post_not_found: 'Post not found',
+    error_report_own_post: 'You cannot report your own post',
+    error_report_twice: 'You already reported this post',
+    posts_recent: 'Recent Posts',
+    posts_empty: 'No posts yet. Be the first to share your eco-friendly work!',
+    feed_search_placeholder: 'Search posts...',
+    feed_search_label: 'Search posts',
+    feed_author_label: 'Filter by author',
+    feed_tag_label: 'Filter by tag',
+    feed_tag_show: 'Show posts tagged {tag}',
+    feed_sort_label: 'Sort posts',
+    feed_sort_newest: 'Newest',
+    feed_sort_liked: 'Most liked',
+    feed_sort_trending: 'Trending',
+    feed_clear: 'Clear',
+    feed_all_authors: 'All authors',
+    feed_all_tags: 'All tags',
+    feed_author_you: '{name} (you)',
+    feed_count: {
+        one: 'Showing {shown} of {count} post',
+        other: 'Showing {shown} of {count} posts'
+    },
+    feed_no_results: 'No posts match your search. Try other words or clear the filters.',
+    feed_load_more: 'Load more posts',
+
+    // Moderation
+    moderation_title: 'Moderation Queue',
+    moderation_threshold_label: 'Hide posts after this many reports',
+    moderation_empty: 'No reported posts. The community is behaving!',
+    moderation_reports: {
+        one: '{count} report',
+        other: '{count} reports'
+    },
+    moderation_hidden: 'hidden',
+    moderation_keep: 'Keep',
+    moderation_remove: 'Remove',
+    moderation_remove_confirm: 'Remove this post for everyone?',
+    moderation_view: 'View',
+    post_restored: 'Post restored',
+    post_removed: 'Post removed',
+
+    // App updates & chatbot
+    update_available: 'A new version of Eco Step is available.',
+    update_reload: 'Reload',
+    chatbot_tip_offer: '💡 Great eco-idea! Save this tip for later.',
+    chatbot_title: 'Trash to Treasure 🎨',
+    chatbot_subtitle: 'Transform your waste creatively',
+    chatbot_welcome: "Hello! 👋 I'm your Trash to Treasure AI assistant. I help you turn waste into creative, eco-friendly treasures! What do you want to upcycle or repurpose today?",
+    chatbot_input_placeholder: 'Ask me how to turn trash into treasure...',
+    chatbot_input_label: 'Chat message input',
+    chatbot_send: 'Send message',
+    chatbot_close: 'Close chatbot',
+    chatbot_new: 'New chat',
+    chatbot_history: 'Chat history',
+    chatbot_no_history: 'No past conversations yet.',
+    chatbot_untitled: 'New conversation',
+    chatbot_message_count: {
+        one: '{count} message',
+        other: '{count} messages'
+    },
+    chatbot_delete_session: 'Delete conversation',
+    chatbot_clear_history: 'Clear all history',
+    chatbot_clear_confirm: 'Delete all your conversations? Saved ideas are kept.',
+    chatbot_history_cleared: 'Chat history cleared',
+    chatbot_save_tip: 'Save tip',
+    chatbot_tip_saved_label: 'Saved',
+    chatbot_error_offline: "You're offline. The assistant will be back when you reconnect.",
+    chatbot_signin_required: 'Please sign in to chat with the assistant.',
+    chatbot_rate_limited: {
+        one: "You're asking quickly! Please wait {count} second and try again.",
+        other: "You're asking quickly! Please wait {count} seconds and try again."
+    },
+    chatbot_error_generic: 'Sorry, something went wrong. Please try again.',
+    tip_saved: 'Saved to My Upcycling Ideas on the Share Work page',
+    chatbot_attach_photo: 'Attach a photo',
+    chatbot_attach_photo_title: 'Attach a photo of an item to find out what it is made of',
+    chatbot_remove_photo: 'Remove photo',
+    chatbot_photo_alt: 'Photo sent to the assistant',
+    chatbot_photo_question: 'What can I do with this?',
+
+    // Waste identification (photo replies)
+    waste_identified: 'This looks like: {item} — {material} ({percent}% sure).',
+    waste_idea_heading: 'Upcycling idea',
+    waste_disposal_heading: 'Disposal in Kathmandu',
+    waste_pet: 'PET plastic (#1)',
+    waste_pet_disposal: 'Rinse it, squash it and keep it with your dry waste. PET bottles are bought by kabadi scrap dealers and recycling pickups, so sell or hand them over rather than binning them. Never burn plastic.',
+    waste_plastic: 'Other plastic',
+    waste_plastic_disposal: 'Keep it clean and dry with your dry waste. Hard plastics (#2, #5) are bought by scrap dealers; thin wrappers and multi-layer packets are rarely recycled, so reuse them where you can and put the rest out on KMC dry waste collection days. Never burn plastic.',
+    waste_glass: 'Glass',
+    waste_glass_disposal: 'Keep bottles and jars whole and apart from other waste: scrap dealers buy glass bottles. Wrap broken glass in paper and label it before it goes out with the dry waste so collectors are not hurt.',
+    waste_paper: 'Paper & cardboard',
+    waste_paper_disposal: 'Keep it dry, flatten boxes and tie them in bundles: newspaper, office paper and cardboard are bought by scrap dealers. Greasy or wet paper belongs with organic waste or in the compost.',
+    waste_metal: 'Metal',
+    waste_metal_disposal: 'Rinse cans and keep metal separate: scrap dealers buy aluminium, steel and copper by weight. Make sure spray cans are completely empty first.',
+    waste_e_waste: 'E-waste',
+    waste_e_waste_disposal: 'Never put electronics, batteries or bulbs in household waste — they contain toxic metals. Take them to an e-waste collector or take-back point in the valley, or to a repair shop if the item can still be fixed.',
+    waste_textile: 'Textile',
+    waste_textile_disposal: 'Donate clothes that can still be worn, or pass them to tailors and upcycling groups; worn-out cloth makes good cleaning rags. Only what is left goes out with the dry waste.',
+    waste_organic: 'Organic waste',
+    waste_organic_disposal: 'Compost it at home (a bin or sack works well on a rooftop) or keep it separate for KMC organic waste collection. Never mix it with plastic.',
+    waste_other: 'Mixed or unknown material',
+    waste_other_disposal: 'Separate what you can into organic, recyclable and other waste, as KMC collection requires, and ask your ward office about anything you are unsure of.',
+
+    // Saved upcycling ideas
+    ideas_title: 'My Upcycling Ideas',
+    ideas_hint: 'Tips you save from the Trash to Treasure chat land here. Share one with the community in a click.',
+    ideas_search_placeholder: 'Search your ideas...',
+    ideas_search_label: 'Search your ideas',
+    ideas_empty: 'No saved ideas yet. Ask the Trash to Treasure assistant and save the tips you like!',
+    ideas_no_results: 'No ideas match your search.',
+    idea_saved_on: 'Saved {date}',
+    idea_share: 'Share as post',
+    idea_view_post: 'View post',
+    idea_remove: 'Remove',
+    idea_post_title: 'Upcycling idea: {topic}',
+    idea_posted: 'Your idea is now on the community feed!',
+
+    // Footer
+    footer_tagline: 'Gamifying sustainability for a greener future.',
+    footer_quick_links: 'Quick Links',
+    footer_resources: 'Resources',
+    footer_guide: 'Sustainability Guide',
+    footer_tips: 'Environmental Tips',
+    footer_blog: 'Blog',
+    footer_faq: 'FAQ',
+    footer_contact: 'Contact Us',
+    footer_location: 'Kathmandu, Nepal',
+    footer_rights: 'All rights reserved.',
+    footer_privacy: 'Privacy Policy',
+    footer_terms: 'Terms of Service'
+};
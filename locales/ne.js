@@ -0,0 +1,501 @@
+// Nepali messages (loaded on demand when Nepali is selected)
+window.ECOSTEP_LOCALES = window.ECOSTEP_LOCALES || {};
+window.ECOSTEP_LOCALES.ne = {
+    // Navigation & header
+    app_name: 'इको स्टेप',
+    nav_home: 'होम',
+    nav_dashboard: 'ड्यासबोर्ड',
+    nav_challenges: 'चुनौतिहरू',
+    nav_rewards: 'इनामहरू',
+    nav_profile: 'प्रोफाइल',
+    nav_share_work: 'आफ्नो काम साझा गर्नुहोस्',
+    nav_moderation: 'मोडरेसन',
+    nav_signout: 'साइन आउट',
+    nav_user_label: 'तपाईंको प्रोफाइल: {name}',
+    nav_menu_label: 'मेनु',
+    nav_signup: 'साइन अप',
+    nav_signin: 'साइन इन',
+    theme_toggle_label: 'थिम बदल्नुहोस्',
+    lang_toggle_label: 'भाषा बदल्नुहोस्',
+    toast_close: 'सूचना हटाउनुहोस्',
+    theme_dark_on: 'रात्रि मोड सक्रिय भयो',
+    theme_light_on: 'उज्यालो मोड सक्रिय भयो',
+
+    // Home
+    hero_title: 'हरेक चरणको महत्व छ 🌿',
+    hero_subtitle: 'तपाईंको हरियो यात्रालाई खेलझैं रमाइलो बनाउनुहोस् — हाम्रो ग्रहका लागि व्यवहारमा उतारौं।',
+    features_title: 'कसरी कार्य गर्दछ',
+    feature_track_title: 'आफ्नो पाइला ट्र्याक गर्नुहोस्',
+    feature_track_text: 'आफ्ना दैनिक वातावरणमैत्री कार्यहरू निगरानी गर्नुहोस् र तिनको वातावरणीय प्रभाव हेर्नुहोस्।',
+    feature_rewards_title: 'इनाम कमाउनुहोस्',
+    feature_rewards_text: 'दिगो छनोटहरूका लागि पोइन्ट, ब्याज र वास्तविक इनामहरू पाउनुहोस्।',
+    feature_challenges_title: 'चुनौतिहरूमा सहभागी हुनुहोस्',
+    feature_challenges_text: 'कार्बन उत्सर्जन घटाउन सामुदायिक चुनौतिहरूमा भाग लिनुहोस्।',
+    feature_impact_title: 'प्रभाव ट्र्याक गर्नुहोस्',
+    feature_impact_text: 'विस्तृत विश्लेषणसहित समयसँगै आफ्नो वातावरणीय प्रभाव हेर्नुहोस्।',
+
+    // Onboarding & dialogs
+    onboarding_title: 'इको स्टेपमा स्वागत छ 🌿',
+    onboarding_close: 'परिचय बन्द गर्नुहोस्',
+    onboarding_next: 'अर्को',
+    onboarding_skip: 'छोड्नुहोस्',
+    onboarding_step_track: 'स्वागत छ! कार्यहरू ट्र्याक गर्न, पोइन्ट कमाउन र सामुदायिक चुनौतीहरूमा सहभागी हुन इको स्टेप प्रयोग गर्नुहोस्।',
+    onboarding_step_share: 'आफ्नो इको-काम सामुदायिक बोर्डमा साझा गर्नुहोस् र सफलता सँगै मनाउनुहोस्।',
+    onboarding_step_settings: 'माथि दायाँका नियन्त्रणहरूबाट जुनसुकै बेला डार्क मोड खोल्नुहोस् र नेपालीमा बदल्नुहोस्।',
+    onboarding_done: 'परिचय सकियो — इको स्टेपको आनन्द लिनुहोस्!',
+    reward_modal_title: 'तपाईंको इनाम 🎁',
+    reward_modal_close: 'रिडेम्प्सन कोड बन्द गर्नुहोस्',
+
+    // Accounts
+    signup_title: 'खाता बनाउनुहोस्',
+    signin_title: 'फेरि स्वागत छ',
+    field_name: 'पुरा नाम',
+    field_name_placeholder: 'आफ्नो नाम लेख्नुहोस्',
+    field_email: 'इमेल ठेगाना',
+    field_email_placeholder: 'आफ्नो इमेल लेख्नुहोस्',
+    field_password: 'पासवर्ड',
+    field_password_placeholder: 'आफ्नो पासवर्ड लेख्नुहोस्',
+    field_password_create_placeholder: 'पासवर्ड बनाउनुहोस्',
+    field_confirm_password: 'पासवर्ड पुष्टि गर्नुहोस्',
+    field_confirm_password_placeholder: 'आफ्नो पासवर्ड पुष्टि गर्नुहोस्',
+    signup_have_account: 'पहिले नै खाता छ?',
+    signin_no_account: 'खाता छैन?',
+    passwords_mismatch: 'पासवर्ड मेल खाँदैनन्!',
+    account_created: 'खाता सफलतापूर्वक सिर्जना भयो! ड्यासबोर्डमा पुन:निर्देशन गर्दै...',
+    signed_in: 'सफलतापूर्वक साइन इन भयो! ड्यासबोर्डमा पुन:निर्देशन गर्दै...',
+    signed_out: 'तपाइँ साइन आउट भइसकेको छ।',
+    signed_out_elsewhere: 'तपाईं अर्को ट्याबमा साइन आउट हुनुभयो।',
+    signed_in_elsewhere: 'अर्को ट्याबमा {name} को रूपमा साइन इन भयो।',
+    error_invalid_email: 'कृपया मान्य इमेल ठेगाना लेख्नुहोस्',
+    error_password_short: 'पासवर्ड कम्तीमा ८ अक्षरको हुनुपर्छ',
+    error_email_taken: 'यो इमेलको खाता पहिले नै छ',
+    error_bad_credentials: 'इमेल वा पासवर्ड मिलेन',
+    error_signin_locked: {
+        one: 'धेरै पटक असफल प्रयास भयो। {count} मिनेटपछि फेरि प्रयास गर्नुहोस्।',
+        other: 'धेरै पटक असफल प्रयास भयो। {count} मिनेटपछि फेरि प्रयास गर्नुहोस्।'
+    },
+
+    // Dashboard
+    dashboard_title: 'तपाईंको इको ड्यासबोर्ड',
+    points_title: 'तपाईंका इको पोइन्टहरू',
+    points_message: 'हरियो बनिरहनुहोस्! तपाइँका कार्यहरूले फरक पारिरहेका छन्।',
+    log_action_title: 'कार्य दर्ता गर्नुहोस्',
+    log_action_type: 'कार्य',
+    log_action_amount: 'मात्रा',
+    log_action_submit: 'दर्ता गर्नुहोस्',
+    action_walk: 'पैदल हिँडाइ',
+    action_cycle: 'साइकल चलाइ',
+    action_bus: 'कारको सट्टा बस',
+    action_recycle: 'पुन:प्रयोग (रिसाइकल)',
+    action_reusable_bag: 'पुन:प्रयोगयोग्य झोला',
+    action_plant_tree: 'रुख रोपाइँ',
+    action_amount_invalid: 'कृपया मान्य मात्रा लेख्नुहोस्',
+    action_logged: 'दर्ता भयो! तपाईंले {co2} केजी CO₂ बचाउनुभयो र {points} पोइन्ट कमाउनुभयो।',
+    action_preview: '~{co2} केजी CO₂ बचत • +{points} पोइन्ट',
+    unit_km: 'कि.मि.',
+    unit_kg: 'केजी',
+    unit_bags: 'झोला',
+    unit_trees: 'रुख',
+    streak_title: 'दैनिक लगातार',
+    streak_days: { one: '🔥 {count} दिन', other: '🔥 {count} दिन' },
+    streak_done_today: 'आजको काम पूरा भयो। यसलाई जारी राख्न भोलि फेरि आउनुहोस्!',
+    streak_at_risk: 'आफ्नो लगातार जोगाउन आज एउटा इको कार्य दर्ता गर्नुहोस्।',
+    streak_start: 'लगातार सुरु गर्न आज एउटा इको कार्य दर्ता गर्नुहोस्।',
+    streak_freezes_left: { one: 'यो महिना {count} स्ट्रिक फ्रिज बाँकी', other: 'यो महिना {count} स्ट्रिक फ्रिज बाँकी' },
+    streak_freeze_used: { one: 'स्ट्रिक फ्रिजले छुटेको दिन ढाक्यो। तपाईंको {days} दिनको लगातार जारी छ!', other: 'स्ट्रिक फ्रिजले छुटेका {count} दिन ढाके। तपाईंको {days} दिनको लगातार जारी छ!' },
+    impact_title: 'तपाईंको प्रभाव',
+    impact_today: 'आज',
+    impact_this_week: 'यो हप्ता',
+    impact_this_month: 'यो महिना',
+    impact_co2: '{co2} केजी CO₂',
+    points_amount: '{points} पोइन्ट',
+    leaderboard_title: 'अग्रता सूची',
+    leaderboard_period_label: 'अग्रता सूचीको अवधि',
+    leaderboard_period_week: 'यो हप्ता',
+    leaderboard_period_month: 'यो महिना',
+    leaderboard_period_all: 'सबै समय',
+    leaderboard_scope_label: 'अग्रता सूचीको दायरा',
+    leaderboard_scope_global: 'सबै जना',
+    leaderboard_scope_friends: 'साथीहरू',
+    leaderboard_scope_district: 'मेरो शहर',
+    leaderboard_scope_ward: 'मेरो वडा',
+    leaderboard_you: 'तपाईं',
+    leaderboard_change_up: { one: 'अघिल्लो अवधियता {count} स्थान माथि', other: 'अघिल्लो अवधियता {count} स्थान माथि' },
+    leaderboard_change_down: { one: 'अघिल्लो अवधियता {count} स्थान तल', other: 'अघिल्लो अवधियता {count} स्थान तल' },
+    leaderboard_change_new: 'नयाँ',
+    leaderboard_no_friends: 'तपाईंको पोइन्ट तुलना गर्न साथीहरूलाई आमन्त्रित गर्नुहोस्।',
+    leaderboard_no_area: 'स्थानीय अग्रता हेर्न आफ्नो प्रोफाइलमा शहर र वडा थप्नुहोस्।',
+    rewards_available_title: 'उपलब्ध इनामहरू',
+    friends_title: 'साथीहरूलाई चुनौती दिनुहोस्',
+    friends_text: 'इको स्टेपमा साथीलाई आमन्त्रित गर्नुहोस् र सँगै चुनौतिमा प्रतिस्पर्धा गर्नुहोस्!',
+    friends_copy_link: 'आमन्त्रण लिङ्क कपी गर्नुहोस्',
+    friends_link_label: 'तपाईंको आमन्त्रण लिङ्क',
+    friends_share_facebook: 'फेसबुकमा सेयर गर्नुहोस्',
+    friends_share_twitter: 'ट्विटरमा सेयर गर्नुहोस्',
+    friends_share_instagram: 'इन्स्टाग्राममा सेयर गर्नुहोस्',
+    friends_share_whatsapp: 'ह्वाट्सएपमा सेयर गर्नुहोस्',
+    friends_list_title: 'तपाईंका साथीहरू',
+    friends_empty: 'अहिलेसम्म कुनै साथी छैनन्। आफ्नो आमन्त्रण लिङ्क सेयर गर्नुहोस्: साथीले यसबाट साइन अप गर्दा तपाईं दुवैले बोनस पोइन्ट पाउनुहुन्छ।',
+    invite_your_code: 'तपाईंको रेफरल कोड: {code}',
+    invite_copied: 'आमन्त्रण लिङ्क कपी भयो!',
+    invite_copy_manual: 'सेयर गर्न छानिएको लिङ्क कपी गर्नुहोस्।',
+    invite_share_title: 'इको स्टेपमा मसँग जोडिनुहोस्',
+    invite_share_text: 'इको स्टेपमा मसँग जोडिनुहोस् र सँगै वातावरणमैत्री कदम चालौं!',
+    invite_unknown: 'यो आमन्त्रण लिङ्क मान्य छैन।',
+    invite_queued: 'तपाईं अनलाइन भएपछि आमन्त्रण लागू हुनेछ।',
+    invite_own: 'यो तपाईंकै आमन्त्रण लिङ्क हो। साथीहरूसँग सेयर गर्नुहोस्!',
+    invite_already_friends: 'तपाईं र {name} पहिले नै साथी हुनुहुन्छ।',
+    invite_already_used: 'तपाईंको खाता पहिले नै एक साथीको रेफरलबाट बनेको छ।',
+    invite_redeemed: 'तपाईं र {name} अब साथी हुनुभयो र दुवैले {points} बोनस पोइन्ट कमाउनुभयो!',
+    friend_request_incoming: '{name} ले तपाईंलाई साथी बन्न आमन्त्रित गर्नुभयो',
+    friend_request_outgoing: '{name} ले तपाईंको आमन्त्रण स्वीकार गर्ने प्रतीक्षामा',
+    friend_request_accept: 'स्वीकार गर्नुहोस्',
+    friend_request_decline: 'अस्वीकार गर्नुहोस्',
+    friend_added: 'तपाईं र {name} अब साथी हुनुभयो!',
+    duel_start: 'चुनौती दिनुहोस्',
+    duel_started: { one: 'चुनौती सुरु! अर्को {count} दिनमा धेरै पोइन्ट कमाउने {name} विरुद्ध जित्नेछ।', other: 'चुनौती सुरु! अर्को {count} दिनमा धेरै पोइन्ट कमाउने {name} विरुद्ध जित्नेछ।' },
+    duel_running: { one: 'तपाईं {mine} – {theirs} {name} · {count} दिन बाँकी', other: 'तपाईं {mine} – {theirs} {name} · {count} दिन बाँकी' },
+    duel_won: 'तपाईंले {name} लाई {mine}–{theirs} ले जित्नुभयो!',
+    duel_lost: '{name} ले {theirs}–{mine} ले जित्नुभयो। फेरि प्रयास गर्ने?',
+    duel_draw: '{name} सँग बराबरी: दुवैको {mine}',
+    duel_not_friends: 'तपाईं आफ्ना साथीहरूलाई मात्र चुनौती दिन सक्नुहुन्छ।',
+    duel_already_running: 'यो साथीसँग तपाईंको चुनौती पहिले नै चलिरहेको छ।',
+
+    // Challenges
+    challenges_title: 'इको चुनौतीहरू',
+    challenge_zero_waste_week: 'शून्य फोहोर हप्ता',
+    challenge_recycling_drive: 'रिसाइकल अभियान',
+    challenge_walk_to_work: 'काममा पैदल जानुहोस्',
+    challenge_autumn_greening: 'शरद हरियाली',
+    challenge_category_weekly: 'साप्ताहिक चुनौती',
+    challenge_category_monthly: 'मासिक चुनौती',
+    challenge_category_community: 'समुदाय चुनौती',
+    challenge_category_seasonal: 'मौसमी चुनौती',
+    challenge_zero_waste_week_goal: 'यो हप्ता ७ पटक पुन:प्रयोगयोग्य झोला प्रयोग गर्नुहोस्',
+    challenge_recycling_drive_goal: 'यो महिना १० केजी फोहोर रिसाइकल गर्नुहोस्',
+    challenge_walk_to_work_goal: 'यो हप्ता कम्तीमा ३ पटक पैदल वा साइकलमा काममा जानुहोस्',
+    challenge_autumn_greening_goal: 'रुख रोपेर र हरित यात्रा गरेर २० केजी CO₂ बचाउनुहोस्',
+    challenge_goal: 'लक्ष्य: {goal} • इनाम: {points} पोइन्ट',
+    challenge_starts: '{date} देखि सुरु',
+    challenge_ended: 'चुनौती सकियो',
+    challenge_completed: 'पूरा भयो!',
+    challenge_percent_done: '{percent}% पूरा',
+    challenge_days_left: {
+        one: '{count} दिन बाँकी',
+        other: '{count} दिन बाँकी'
+    },
+    challenge_join: 'सहभागी हुनुहोस्',
+    challenge_leave: 'छोड्नुहोस्',
+    challenge_complete: '🏆 चुनौती पूरा भयो: {title}! +{points} पोइन्ट',
+    challenge_joined: 'तपाईं {title} मा सहभागी हुनुभयो!',
+    challenge_left: 'तपाईंले {title} छोड्नुभयो',
+
+    // Rewards
+    rewards_title: 'तपाईंका इनामहरू',
+    rewards_premium_title: 'प्रिमियम इनामहरू',
+    rewards_partner_title: 'साझेदार इनामहरू',
+    badges_title: 'उपलब्धि ब्याजहरू',
+    badges_summary: { one: '{total} मध्ये {count} ब्याज खुल्यो', other: '{total} मध्ये {count} ब्याज खुले' },
+    badge_unlocked: 'ब्याज खुल्यो: {title}!',
+    badge_unlocked_on: '{date} मा खुलेको',
+    badge_progress: '{value} / {target}',
+    badge_first_post: 'पहिलो पोष्ट',
+    badge_first_post_desc: 'समुदायसँग आफ्नो पहिलो इको-काम सेयर गर्नुहोस्।',
+    badge_eco_warrior: 'इको योद्धा',
+    badge_eco_warrior_desc: 'आफ्नो पहिलो इको कार्य दर्ता गर्नुहोस्।',
+    badge_week_streak: '७ दिनको लगातार',
+    badge_week_streak_desc: 'लगातार सात दिन इको कार्य दर्ता गर्नुहोस्।',
+    badge_co2_10: 'कार्बन कटर',
+    badge_co2_10_desc: 'दर्ता गरिएका कार्यहरूबाट १० केजी CO₂ बचाउनुहोस्।',
+    badge_recycling_master: 'पुन:प्रयोग विशेषज्ञ',
+    badge_recycling_master_desc: '१० केजी फोहोर पुन:प्रयोग गर्नुहोस्।',
+    badge_liked_50: 'समुदायको मनपर्ने',
+    badge_liked_50_desc: 'आफ्ना पोष्टहरूमा ५० लाइक पाउनुहोस्।',
+    badge_good_company: 'राम्रो संगत',
+    badge_good_company_desc: 'इको स्टेपमा ३ साथी बनाउनुहोस्।',
+    rewards_claimed_title: 'मैले दावी गरेका इनामहरू',
+    rewards_no_claims: 'अहिलेसम्म कुनै इनाम दावी गरिएको छैन। पोइन्ट कमाउनुहोस् र पहिलो इनाम दावी गर्नुहोस्!',
+    progress_title: 'तपाईंको प्रगति',
+    progress_claimed_label: 'इनाम दावी गरिएको',
+    chart_range_label: 'चार्टको अवधि',
+    chart_range_day: 'दैनिक',
+    chart_range_week: 'साप्ताहिक',
+    chart_range_month: 'मासिक',
+    chart_points_title: 'कमाएका पोइन्ट',
+    chart_co2_title: 'बचत गरिएको CO₂',
+    chart_co2_value: '{kg} केजी',
+    chart_week_of: '{date} देखिको हप्ता',
+    chart_plot_label: '{title} चार्ट। हरेक मान सुन्न एरो कीहरू प्रयोग गर्नुहोस्।',
+    chart_period: 'अवधि',
+    reward_claimed: '🎁 {name} दावी गरियो!',
+    reward_show_at: 'यो कोड {partner} मा देखाउनुहोस्।',
+    reward_claimed_on: '{date} मा दावी गरिएको',
+    reward_valid_until: '{date} सम्म मान्य',
+    reward_cost_stock: '{points} पोइन्ट • {count} बाँकी',
+    reward_claim: 'दावी गर्नुहोस्',
+    reward_expired: 'म्याद सकियो',
+    reward_out_of_stock: 'स्टक सकियो',
+    reward_view_code: 'कोड हेर्नुहोस्',
+    reward_show_code: 'देखाउनुहोस्',
+    error_reward_not_found: 'इनाम भेटिएन',
+    error_reward_already_claimed: 'तपाईंले यो इनाम पहिले नै दावी गर्नुभएको छ',
+    error_reward_expired: 'यो इनामको म्याद सकिएको छ',
+    error_reward_out_of_stock: 'यो इनाम सकिएको छ',
+    error_reward_more_points: { one: 'तपाईंलाई अझै {count} पोइन्ट चाहिन्छ', other: 'तपाईंलाई अझै {count} पोइन्ट चाहिन्छ' },
+    reward_name_plant_tree: 'एउटा रुख रोप्नुहोस्',
+    reward_name_eco_bag: 'वातावरणमैत्री झोला',
+    reward_name_carbon_offset: 'कार्बन अफसेट',
+    reward_name_plant_10_trees: '१० वटा रुख रोप्नुहोस्',
+    reward_name_eco_store_voucher: '$५० को इको स्टोर भाउचर',
+    reward_name_ev_charging_pass: 'EV चार्जिङ पास',
+    reward_name_eco_cafe_coffee: 'इको क्याफेमा निःशुल्क कफी',
+    reward_name_green_store_discount: 'ग्रिन स्टोरमा २०% छुट',
+    reward_name_transport_day: 'निःशुल्क सार्वजनिक यातायात दिन',
+
+    // Profile
+    profile_title: 'तपाईंको प्रोफाइल',
+    profile_info_title: 'प्रोफाइल जानकारी',
+    profile_edit: 'प्रोफाइल सम्पादन गर्नुहोस्',
+    profile_name_label: 'देखिने नाम',
+    profile_avatar_label: 'प्रोफाइल तस्बिर',
+    profile_avatar_remove: 'हटाउनुहोस्',
+    profile_district_label: 'जिल्ला',
+    profile_district_none: 'जिल्ला छान्नुहोस्',
+    profile_ward_label: 'वडा',
+    profile_bio_label: 'परिचय',
+    profile_bio_placeholder: 'तपाईंको हरित यात्राबारे केही शब्द',
+    profile_public_label: 'मलाई अग्रता सूचीमा र मेरा पोष्टका लेखकको रूपमा देखाउनुहोस्',
+    profile_save: 'प्रोफाइल सुरक्षित गर्नुहोस्',
+    profile_cancel: 'रद्द गर्नुहोस्',
+    profile_saved: 'प्रोफाइल सुरक्षित गरियो',
+    profile_member_since: '{date} देखि सदस्य',
+    profile_location_ward: 'वडा नं. {ward}, {district}, नेपाल',
+    profile_location_district: '{district}, नेपाल',
+    profile_no_location: 'स्थान राखिएको छैन',
+    profile_public: 'अग्रता सूचीमा र तपाईंका पोष्टका लेखकको रूपमा देखाइन्छ',
+    profile_private: 'निजी: अग्रता सूचीबाट लुकाइएको, तपाईंका पोष्टहरू अज्ञात देखिन्छन्',
+    profile_signin_required: 'प्रोफाइल सम्पादन गर्न कृपया साइन इन गर्नुहोस्',
+    profile_name_required: 'कृपया देखिने नाम लेख्नुहोस्',
+    profile_name_too_long: 'देखिने नाम बढीमा {max} अक्षरको हुन सक्छ',
+    profile_bio_too_long: 'परिचय बढीमा {max} अक्षरको हुन सक्छ',
+    profile_district_invalid: 'कृपया सूचीबाट जिल्ला छान्नुहोस्',
+    profile_ward_invalid: 'वडा १ देखि {max} सम्मको अङ्क हुनुपर्छ',
+    activity_title: 'गतिविधि इतिहास',
+    activity_empty: 'अहिलेसम्म कुनै गतिविधि छैन। पोइन्ट कमाउन आफ्नो इको-काम साझा गर्नुहोस्!',
+    activity_welcome_bonus: 'स्वागत बोनस',
+    activity_share_post: 'इको-काम साझा गरियो',
+    activity_post_removed: 'साझा गरिएको इको-काम मेटाइयो',
+    activity_challenge_complete: 'चुनौती पूरा गरियो',
+    activity_reward_claim: 'इनाम दावी गरियो',
+    activity_referral_bonus: 'तपाईंको आमन्त्रणबाट साथी सामेल भयो',
+    activity_walk: 'पैदल हिँडियो',
+    activity_cycle: 'साइकल चलाइयो',
+    activity_bus: 'बस चढियो',
+    activity_recycle: 'रिसाइकल गरियो',
+    activity_reusable_bag: 'पुन:प्रयोगयोग्य झोला प्रयोग गरियो',
+    activity_plant_tree: 'रुख रोपियो',
+    settings_title: 'सेटिङहरू',
+    settings_dark_mode: 'अँध्यारो मोड',
+    settings_email_notifications: 'इमेल सूचनाहरू',
+    settings_challenge_reminders: 'चुनौती सम्झनाहरू',
+    settings_daily_reminder: 'दैनिक सम्झना',
+    settings_reminder_time: 'मलाई यो समयमा सम्झाउनुहोस्',
+    settings_quiet_hours: 'शान्त समय',
+    settings_quiet_start: 'शान्त समय सुरु',
+    settings_quiet_end: 'शान्त समय अन्त्य',
+    settings_streak_freezes: 'प्रति महिना स्ट्रिक फ्रिज',
+    data_title: 'तपाईंको डाटा',
+    data_hint: 'तपाईंले गरेका सबै कुराको ब्याकअप डाउनलोड गर्नुहोस्, वा अर्को उपकरणबाट ल्याउनुहोस्। आयात गर्दा नभएको कुरा मात्र थपिन्छ, यहाँ भएको केही पनि मेटिँदैन।',
+    data_export_json: 'मेरो डाटा निर्यात गर्नुहोस् (JSON)',
+    data_export_activity: 'गतिविधि (CSV)',
+    data_export_points: 'पोइन्टहरू (CSV)',
+    data_import: 'ब्याकअप आयात गर्नुहोस्',
+    data_signin_required: 'डाटा निर्यात वा आयात गर्न कृपया साइन इन गर्नुहोस्',
+    import_invalid_file: 'यो फाइल इको स्टेपको ब्याकअप होइन',
+    import_newer_version: 'यो ब्याकअप इको स्टेपको नयाँ संस्करणबाट बनेको हो। एप अपडेट गरेर फेरि प्रयास गर्नुहोस्।',
+    import_invalid_data: 'यो ब्याकअप बिग्रिएको छ ({field} मान्य छैन), त्यसैले केही पनि आयात गरिएन',
+    import_other_account: 'यो ब्याकअप अर्को खाताको हो। यसलाई आयात गर्न त्यही खातामा साइन इन गर्नुहोस्।',
+    import_done: 'ब्याकअप आयात गरियो: {summary}',
+    import_nothing_new: 'यो ब्याकअपमा भएका सबै कुरा यहाँ पहिल्यै छन्',
+    import_summary_posts: { one: '{count} पोष्ट', other: '{count} पोष्ट' },
+    import_summary_renumbered: { one: '{count} लाई नयाँ ID दिइयो', other: '{count} लाई नयाँ ID दिइयो' },
+    import_summary_entries: { one: '{count} पोइन्ट प्रविष्टि', other: '{count} पोइन्ट प्रविष्टि' },
+    import_summary_comments: { one: '{count} टिप्पणी', other: '{count} टिप्पणी' },
+    reminder_enabled: 'दैनिक सम्झना {time} मा राखियो।',
+    reminder_unsupported: 'यो ब्राउजरले सम्झना देखाउन सक्दैन।',
+    reminder_permission_denied: 'सम्झना पाउन ब्राउजर सेटिङमा इको स्टेपलाई सूचना अनुमति दिनुहोस्।',
+    reminder_in_quiet_hours: 'तपाईंको सम्झनाको समय शान्त समयभित्र पर्छ, त्यसैले कुनै सम्झना देखाइने छैन।',
+    reminder_title: 'इको स्टेप',
+    reminder_body: 'आज एउटा इको कदम चाल्नुहोस् र इको स्टेपमा दर्ता गर्नुहोस्!',
+    reminder_body_streak: { one: 'आफ्नो {count} दिनको लगातार जारी राख्नुहोस्: आज एउटा इको कार्य दर्ता गर्नुहोस्!', other: 'आफ्नो {count} दिनको लगातार जारी राख्नुहोस्: आज एउटा इको कार्य दर्ता गर्नुहोस्!' },
+
+    // Sharing & feed
+    share_title: 'आफ्नो इको-काम साझा गर्नुहोस्',
+    post_form_title: 'नयाँ पोष्ट बनाउनुहोस्',
+    post_title_label: 'पोष्ट शीर्षक',
+    post_title_placeholder: 'तपाइंले कुन वातावरण अनुकूल कार्य गरेको छ?',
+    post_desc_label: 'विवरण',
+    post_desc_placeholder: 'आफ्नो पर्यावरण अनुकूल कार्यको बारेमा हामीलाई थप बताउनुहोस्...',
+    post_photo_label: 'फोटो (वैकल्पिक)',
+    post_photo_preview_alt: 'छानिएको फोटोको पूर्वावलोकन',
+    post_photo_compressed: '{before} → {after} (स्थानको जानकारी हटाइयो)',
+    post_image_url_label: 'छवि URL (वैकल्पिक)',
+    post_image_url_hint: 'Unsplash, Imgur, Wikimedia Commons वा Cloudinary का लिङ्कहरू',
+    post_image_url_blocked: 'तस्बिरका लिङ्कहरू {hosts} बाट https ठेगाना हुनुपर्छ',
+    post_submit: 'पोष्ट गर्नुहोस्',
+    post_shared: 'तपाईंको पोष्ट साझा गरिएको छ! योगदान दिएकोको लागि धन्यवाद!',
+    post_title_required: 'कृपया पोष्टको शीर्षक लेख्नुहोस्',
+    post_updated: 'पोष्ट अद्यावधिक भयो',
+    post_deleted: 'पोष्ट मेटाइयो',
+    post_delete_confirm: 'यो पोष्ट मेटाउने? यो पूर्ववत गर्न सकिँदैन।',
+    post_not_found: 'त्यो पोष्ट भेटिएन।',
+    post_anonymous: 'अज्ञात',
+    post_comments: 'टिप्पणीहरू',
+    post_edit: 'पोष्ट सम्पादन गर्नुहोस्',
+    post_edit_save: 'सुरक्षित गर्नुहोस्',
+    post_edit_cancel: 'रद्द गर्नुहोस्',
+    post_delete: 'पोष्ट मेटाउनुहोस्',
+    post_report: 'पोष्ट रिपोर्ट गर्नुहोस्',
+    post_reported: 'रिपोर्ट गरियो',
+    post_report_prompt: 'तपाईं यो पोष्ट किन रिपोर्ट गर्दै हुनुहुन्छ? (वैकल्पिक)',
+    post_report_thanks: 'धन्यवाद — हाम्रा मोडरेटरहरूले यो पोष्ट हेर्नेछन्।',
+    report_signin_required: 'पोष्ट रिपोर्ट गर्न कृपया साइन इन गर्नुहोस्',
+    comment_signin_required: 'टिप्पणी गर्न कृपया साइन इन गर्नुहोस्',
+    comment_placeholder: 'टिप्पणी लेख्नुहोस्...',
+    comment_label: 'टिप्पणी लेख्नुहोस्',
+    comment_reply: 'जवाफ दिनुहोस्',
+    comment_replying_to: '{name} लाई जवाफ दिँदै...',
+    image_read_failed: 'त्यो तस्बिर पढ्न सकिएन',
+    image_choose_file: 'कृपया तस्बिर फाइल छान्नुहोस्',
+    photo_save_failed: 'यो उपकरणमा फोटो सुरक्षित गर्न सकिएन',
+    error_post_not_found: 'पोष्ट भेटिएन',
+    error_report_own_post: 'तपाईं आफ्नै पोष्ट रिपोर्ट गर्न सक्नुहुन्न',
+    error_report_twice: 'तपाईंले यो पोष्ट पहिले नै रिपोर्ट गर्नुभएको छ',
+    posts_recent: 'हालको पोष्टहरू',
+    posts_empty: 'अहिलेसम्म कुनै पोष्ट छैन। आफ्नो पर्यावरण अनुकूल कार्य साझा गर्ने पहिलो व्यक्ति बनुहोस्!',
+    feed_search_placeholder: 'पोष्टहरू खोज्नुहोस्...',
+    feed_search_label: 'पोष्टहरू खोज्नुहोस्',
+    feed_author_label: 'लेखक अनुसार छान्नुहोस्',
+    feed_tag_label: 'ट्याग अनुसार छान्नुहोस्',
+    feed_tag_show: '{tag} ट्याग भएका पोष्टहरू देखाउनुहोस्',
+    feed_sort_label: 'पोष्टहरू मिलाउनुहोस्',
+    feed_sort_newest: 'नयाँ',
+    feed_sort_liked: 'धेरै मन पराइएको',
+    feed_sort_trending: 'चर्चित',
+    feed_clear: 'हटाउनुहोस्',
+    feed_all_authors: 'सबै लेखक',
+    feed_all_tags: 'सबै ट्याग',
+    feed_author_you: '{name} (तपाईं)',
+    feed_count: {
+        one: '{count} मध्ये {shown} पोष्ट देखाइँदै',
+        other: '{count} मध्ये {shown} पोष्ट देखाइँदै'
+    },
+    feed_no_results: 'तपाईंको खोजसँग मिल्ने पोष्ट छैन। अरू शब्द प्रयोग गर्नुहोस् वा फिल्टर हटाउनुहोस्।',
+    feed_load_more: 'थप पोष्टहरू',
+
+    // Moderation
+    moderation_title: 'मोडरेसन सूची',
+    moderation_threshold_label: 'यति रिपोर्टपछि पोष्ट लुकाउनुहोस्',
+    moderation_empty: 'कुनै रिपोर्ट गरिएको पोष्ट छैन। समुदाय राम्रोसँग चलिरहेको छ!',
+    moderation_reports: {
+        one: '{count} रिपोर्ट',
+        other: '{count} रिपोर्ट'
+    },
+    moderation_hidden: 'लुकाइएको',
+    moderation_keep: 'राख्नुहोस्',
+    moderation_remove: 'हटाउनुहोस्',
+    moderation_remove_confirm: 'यो पोष्ट सबैका लागि हटाउने?',
+    moderation_view: 'हेर्नुहोस्',
+    post_restored: 'पोष्ट पुनर्स्थापित भयो',
+    post_removed: 'पोष्ट हटाइयो',
+
+    // App updates & chatbot
+    update_available: 'इको स्टेपको नयाँ संस्करण उपलब्ध छ।',
+    update_reload: 'पुन: लोड गर्नुहोस्',
+    chatbot_tip_offer: '💡 राम्रो इको-विचार! यो सुझाव पछिका लागि सुरक्षित गर्नुहोस्।',
+    chatbot_title: 'फोहोरबाट खजाना 🎨',
+    chatbot_subtitle: 'आफ्नो फोहोरलाई सिर्जनात्मक रूपमा बदल्नुहोस्',
+    chatbot_welcome: 'नमस्ते! 👋 म तपाईंको फोहोरबाट खजाना AI सहायक हुँ। म फोहोरलाई सिर्जनात्मक, पर्यावरणमैत्री खजानामा बदल्न मद्दत गर्छु! आज तपाईं के पुनः प्रयोग गर्न चाहनुहुन्छ?',
+    chatbot_input_placeholder: 'फोहोरलाई खजाना कसरी बनाउने भनेर सोध्नुहोस्...',
+    chatbot_input_label: 'च्याट सन्देश',
+    chatbot_send: 'सन्देश पठाउनुहोस्',
+    chatbot_close: 'च्याटबट बन्द गर्नुहोस्',
+    chatbot_new: 'नयाँ च्याट',
+    chatbot_history: 'च्याट इतिहास',
+    chatbot_no_history: 'अहिलेसम्म कुनै पुराना कुराकानी छैनन्।',
+    chatbot_untitled: 'नयाँ कुराकानी',
+    chatbot_message_count: {
+        one: '{count} सन्देश',
+        other: '{count} सन्देश'
+    },
+    chatbot_delete_session: 'कुराकानी मेटाउनुहोस्',
+    chatbot_clear_history: 'सबै इतिहास मेटाउनुहोस्',
+    chatbot_clear_confirm: 'तपाईंका सबै कुराकानी मेटाउने? सुरक्षित विचारहरू रहिरहनेछन्।',
+    chatbot_history_cleared: 'च्याट इतिहास मेटाइयो',
+    chatbot_save_tip: 'सुझाव सुरक्षित गर्नुहोस्',
+    chatbot_tip_saved_label: 'सुरक्षित',
+    chatbot_error_offline: 'तपाईं अफलाइन हुनुहुन्छ। फेरि जडान भएपछि सहायक उपलब्ध हुनेछ।',
+    chatbot_signin_required: 'सहायकसँग कुरा गर्न कृपया साइन इन गर्नुहोस्।',
+    chatbot_rate_limited: {
+        one: 'तपाईं धेरै छिटो सोध्दै हुनुहुन्छ! कृपया {count} सेकेन्ड पर्खेर फेरि प्रयास गर्नुहोस्।',
+        other: 'तपाईं धेरै छिटो सोध्दै हुनुहुन्छ! कृपया {count} सेकेन्ड पर्खेर फेरि प्रयास गर्नुहोस्।'
+    },
+    chatbot_error_generic: 'माफ गर्नुहोस्, केही गडबड भयो। फेरि प्रयास गर्नुहोस्।',
+    tip_saved: 'काम साझा गर्नुहोस् पृष्ठको मेरा अपसाइक्लिङ विचारहरूमा सुरक्षित गरियो',
+    chatbot_attach_photo: 'फोटो संलग्न गर्नुहोस्',
+    chatbot_attach_photo_title: 'वस्तु केबाट बनेको हो थाहा पाउन त्यसको फोटो संलग्न गर्नुहोस्',
+    chatbot_remove_photo: 'फोटो हटाउनुहोस्',
+    chatbot_photo_alt: 'सहायकलाई पठाइएको फोटो',
+    chatbot_photo_question: 'यसलाई के गर्न सकिन्छ?',
+
+    // Waste identification (photo replies)
+    waste_identified: 'यो {item} जस्तो देखिन्छ — {material} ({percent}% निश्चित)।',
+    waste_idea_heading: 'अपसाइक्लिङ विचार',
+    waste_disposal_heading: 'काठमाडौंमा व्यवस्थापन',
+    waste_pet: 'PET प्लास्टिक (#१)',
+    waste_pet_disposal: 'पखालेर, थिचेर सुक्खा फोहोरसँग राख्नुहोस्। PET बोतल कबाडी र पुनःप्रयोग सङ्कलकहरूले किन्छन्, त्यसैले फाल्नुको सट्टा बेच्नुहोस् वा दिनुहोस्। प्लास्टिक कहिल्यै नजलाउनुहोस्।',
+    waste_plastic: 'अन्य प्लास्टिक',
+    waste_plastic_disposal: 'सफा र सुक्खा राखेर सुक्खा फोहोरसँग राख्नुहोस्। कडा प्लास्टिक (#२, #५) कबाडीले किन्छन्; पातलो र बहुतहे प्याकेट विरलै पुनःप्रयोग हुन्छन्, त्यसैले सकेसम्म फेरि प्रयोग गर्नुहोस् र बाँकी महानगरको सुक्खा फोहोर सङ्कलनको दिन दिनुहोस्। प्लास्टिक कहिल्यै नजलाउनुहोस्।',
+    waste_glass: 'सिसा',
+    waste_glass_disposal: 'बोतल र जार नफुटाई अरू फोहोरभन्दा छुट्टै राख्नुहोस्: कबाडीले सिसाका बोतल किन्छन्। फुटेको सिसा कागजमा बेरेर लेबल लगाएर मात्र सुक्खा फोहोरसँग दिनुहोस्, ताकि सङ्कलकलाई चोट नलागोस्।',
+    waste_paper: 'कागज र कार्टुन',
+    waste_paper_disposal: 'सुक्खा राख्नुहोस्, बाकस थिचेर बिटा बाँध्नुहोस्: पत्रिका, कार्यालयको कागज र कार्टुन कबाडीले किन्छन्। चिल्लो वा भिजेको कागज कुहिने फोहोर वा कम्पोस्टमा जान्छ।',
+    waste_metal: 'धातु',
+    waste_metal_disposal: 'क्यान पखालेर धातु छुट्टै राख्नुहोस्: कबाडीले एल्मुनियम, स्टिल र तामा तौलका आधारमा किन्छन्। स्प्रे क्यान पहिले पूरै खाली गर्नुहोस्।',
+    waste_e_waste: 'इलेक्ट्रोनिक फोहोर',
+    waste_e_waste_disposal: 'इलेक्ट्रोनिक सामान, ब्याट्री वा बल्ब घरायसी फोहोरमा कहिल्यै नफाल्नुहोस् — तिनमा विषालु धातु हुन्छन्। उपत्यकाका इ-फोहोर सङ्कलक वा फिर्ता लिने केन्द्रमा लैजानुहोस्, वा अझै बन्न सक्ने भए मर्मत पसलमा दिनुहोस्।',
+    waste_textile: 'कपडा',
+    waste_textile_disposal: 'लगाउन मिल्ने कपडा दान गर्नुहोस्, वा दर्जी र अपसाइक्लिङ समूहलाई दिनुहोस्; पुराना कपडा सफा गर्ने टालो बन्छन्। बाँकी मात्र सुक्खा फोहोरसँग दिनुहोस्।',
+    waste_organic: 'कुहिने फोहोर',
+    waste_organic_disposal: 'घरमै कम्पोस्ट बनाउनुहोस् (छतमा बिन वा बोराले राम्रो काम गर्छ) वा महानगरको कुहिने फोहोर सङ्कलनका लागि छुट्टै राख्नुहोस्। प्लास्टिकसँग कहिल्यै नमिसाउनुहोस्।',
+    waste_other: 'मिश्रित वा अज्ञात वस्तु',
+    waste_other_disposal: 'महानगरको सङ्कलन नियम अनुसार सकेसम्म कुहिने, पुनःप्रयोग हुने र अन्य फोहोर छुट्याउनुहोस्, र शङ्का लागेका वस्तुबारे वडा कार्यालयमा सोध्नुहोस्।',
+
+    // Saved upcycling ideas
+    ideas_title: 'मेरा अपसाइक्लिङ विचारहरू',
+    ideas_hint: 'फोहोरबाट खजाना च्याटबाट सुरक्षित गरेका सुझावहरू यहाँ आउँछन्। एक क्लिकमा समुदायसँग साझा गर्नुहोस्।',
+    ideas_search_placeholder: 'आफ्ना विचारहरू खोज्नुहोस्...',
+    ideas_search_label: 'आफ्ना विचारहरू खोज्नुहोस्',
+    ideas_empty: 'अहिलेसम्म कुनै विचार सुरक्षित छैन। फोहोरबाट खजाना सहायकलाई सोध्नुहोस् र मन परेका सुझाव सुरक्षित गर्नुहोस्!',
+    ideas_no_results: 'तपाईंको खोजसँग मिल्ने कुनै विचार छैन।',
+    idea_saved_on: '{date} मा सुरक्षित',
+    idea_share: 'पोष्टको रूपमा साझा गर्नुहोस्',
+    idea_view_post: 'पोष्ट हेर्नुहोस्',
+    idea_remove: 'हटाउनुहोस्',
+    idea_post_title: 'अपसाइक्लिङ विचार: {topic}',
+    idea_posted: 'तपाईंको विचार अब समुदाय फिडमा छ!',
+
+    // Footer
+    footer_tagline: 'हरियो भविष्यका लागि दिगोपनालाई खेलझैं बनाउँदै।',
+    footer_quick_links: 'छिटो लिङ्कहरू',
+    footer_resources: 'स्रोतहरू',
+    footer_guide: 'दिगोपना निर्देशिका',
+    footer_tips: 'वातावरणीय सुझावहरू',
+    footer_blog: 'ब्लग',
+    footer_faq: 'बारम्बार सोधिने प्रश्नहरू',
+    footer_contact: 'सम्पर्क गर्नुहोस्',
+    footer_location: 'काठमांडु, नेपाल',
+    footer_rights: 'सबै अधिकार सुरक्षित।',
+    footer_privacy: 'गोपनीयता नीति',
+    footer_terms: 'सेवा सर्तहरू'
+};
@@ -0,0 +1,115 @@
+// ========================================
+// LOCALE CHECK
+// ========================================
+//
+// Reports translation keys missing from each locale in locales/, compared with
+// English, plus keys used by ecostep.html or app.js that English lacks:
+//
+//     node scripts/check-locales.js          # every locale
+//     node scripts/check-locales.js ne mai   # only these
+//
+// Exits with status 1 when anything is missing, so it can run in CI.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const LOCALES_DIR = path.join(ROOT, 'locales');
+const SOURCE_LOCALE = 'en';
+
+/**
+ * Loads every locales/<code>.js file the way the browser does
+ * @returns {Object} Messages by locale code
+ */
+function loadLocales() {
+    const sandbox = { window: {} };
+    vm.createContext(sandbox);
+    fs.readdirSync(LOCALES_DIR)
+        .filter(file => file.endsWith('.js'))
+        .forEach(file => vm.runInContext(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'), sandbox, { filename: file }));
+    return sandbox.window.ECOSTEP_LOCALES || {};
+}
+
+/**
+ * Collects the message keys referenced by the page and the app code:
+ * data-i18n / data-i18n-<attribute> values, t('key') calls and *Key: 'key' fields
+ * @returns {Set<string>}
+ */
+function collectUsedKeys() {
+    const html = fs.readFileSync(path.join(ROOT, 'ecostep.html'), 'utf8');
+    const app = fs.readFileSync(path.join(ROOT, 'app.js'), 'utf8');
+    const keys = new Set();
+    for (const m of html.matchAll(/data-i18n(?:-[\w-]+)?="([^"]+)"/g)) keys.add(m[1]);
+    for (const m of app.matchAll(/\bt\(\s*'([\w.]+)'/g)) keys.add(m[1]);
+    for (const m of app.matchAll(/\bt\([^()]*\?\s*'([\w.]+)'\s*:\s*'([\w.]+)'/g)) keys.add(m[1]).add(m[2]);
+    for (const m of app.matchAll(/\w+Key:\s*'([\w.]+)'/g)) keys.add(m[1]);
+    return keys;
+}
+
+/**
+ * Lists the {placeholders} of a message (all plural forms together)
+ * @param {string|Object} message
+ * @returns {string[]} Sorted placeholder names
+ */
+function placeholders(message) {
+    const text = typeof message === 'object' ? Object.values(message).join(' ') : String(message);
+    return [...new Set([...text.matchAll(/\{(\w+)\}/g)].map(m => m[1]))].sort();
+}
+
+/**
+ * Compares one locale with the source locale
+ * @param {Object} source - English messages
+ * @param {Object} messages - Locale messages
+ * @returns {{missing: string[], extra: string[], mismatched: string[]}}
+ */
+function compareLocale(source, messages) {
+    const missing = Object.keys(source).filter(key => !(key in messages));
+    const extra = Object.keys(messages).filter(key => !(key in source));
+    const mismatched = Object.keys(source).filter(key => {
+        if (!(key in messages)) return false;
+        const pluralSource = typeof source[key] === 'object';
+        const pluralLocale = typeof messages[key] === 'object';
+        if (pluralSource !== pluralLocale || (pluralLocale && !('other' in messages[key]))) return true;
+        return placeholders(source[key]).join() !== placeholders(messages[key]).join();
+    });
+    return { missing, extra, mismatched };
+}
+
+function main() {
+    const locales = loadLocales();
+    const source = locales[SOURCE_LOCALE];
+    if (!source) {
+        console.error(`locales/${SOURCE_LOCALE}.js not found`);
+        process.exit(1);
+    }
+    let failed = false;
+
+    const undefinedKeys = [...collectUsedKeys()].filter(key => !(key in source)).sort();
+    if (undefinedKeys.length) {
+        failed = true;
+        console.log(`${SOURCE_LOCALE}: ${undefinedKeys.length} key(s) used in the app but not defined`);
+        undefinedKeys.forEach(key => console.log(`  - ${key}`));
+    }
+
+    const requested = process.argv.slice(2);
+    const codes = (requested.length ? requested : Object.keys(locales)).filter(code => code !== SOURCE_LOCALE);
+    codes.forEach(code => {
+        if (!locales[code]) {
+            failed = true;
+            console.log(`${code}: no locales/${code}.js`);
+            return;
+        }
+        const { missing, extra, mismatched } = compareLocale(source, locales[code]);
+        if (missing.length || mismatched.length) failed = true;
+        const total = Object.keys(source).length;
+        console.log(`${code}: ${total - missing.length}/${total} keys translated`);
+        missing.forEach(key => console.log(`  missing     ${key}`));
+        mismatched.forEach(key => console.log(`  mismatched  ${key} (placeholders or plural forms differ from ${SOURCE_LOCALE})`));
+        extra.forEach(key => console.log(`  unused      ${key}`));
+    });
+
+    process.exit(failed ? 1 : 0);
+}
+
+main();
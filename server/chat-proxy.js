@@ -0,0 +1,290 @@
+// ========================================
+// ECO STEP CHAT PROXY
+// ========================================
+//
+// Forwards chatbot questions from the app to the AI provider, so the API key
+// and the system prompt stay on the server, and limits how often each signed-in
+// user may ask. Mounted under /api by mock-server.js:
+//
+//     POST /api/chat            { history: [{ role: 'user'|'model', text }], message }
+//     POST /api/chat/identify   { image: { mimeType, data (base64) }, message? }
+//
+// Chat replies stream back as newline-delimited JSON, one {"text": "..."} line
+// per chunk; if the model fails after the reply has started, a final
+// {"error": "...", "status": 502} line ends the stream. Photo identification
+// answers { material, item, confidence, idea } in one JSON response.
+//
+// The provider is picked from the environment:
+//
+//     GEMINI_API_KEY=... [CHAT_MODEL=gemini-1.5-flash] node server/mock-server.js
+//     CHAT_PROVIDER=mock node server/mock-server.js   # default without a key
+//
+// CHAT_RATE_LIMIT requests per CHAT_RATE_WINDOW_MS are allowed per user
+// (10 per minute by default).
+
+const express = require('express');
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+const GEMINI_API_ROOT = 'https://generativelanguage.googleapis.com/v1beta';
+const MAX_HISTORY_TURNS = 20;
+const MAX_MESSAGE_LENGTH = 2000;
+/** Base64 length of the largest photo accepted (about 600 KB of JPEG) */
+const MAX_IMAGE_BASE64_LENGTH = 800 * 1024;
+
+/** Must match the keys of WASTE_MATERIALS in app.js */
+const WASTE_MATERIALS = ['pet', 'plastic', 'glass', 'paper', 'metal', 'e_waste', 'textile', 'organic', 'other'];
+
+const SYSTEM_PROMPT = 'You are an expert in sustainable living and creative upcycling. Help users turn their trash into treasure with eco-friendly ideas. Be encouraging, creative, and provide practical, actionable suggestions for repurposing waste materials. Include specific materials, tools, and step-by-step instructions when relevant.';
+
+const IDENTIFY_PROMPT = `Identify the main item in this photo and the material it is mostly made of. Answer with JSON only: {"material": one of ${WASTE_MATERIALS.map(m => `"${m}"`).join(', ')}, "item": a short name for the item, "confidence": a number from 0 to 1, "idea": one practical upcycling idea for it in two sentences or fewer}. Use "pet" for PET (#1) bottles and containers, "plastic" for other plastics, "paper" for paper and cardboard and "e_waste" for electronics, cables and batteries.`;
+
+/**
+ * Every provider implements the same interface as the providers in app.js:
+ * streamReply(history, message) returns an async iterable of text chunks;
+ * identifyWaste(image, message) resolves to { material, item, confidence, idea }
+ * for an image given as { mimeType, data } (base64).
+ */
+
+/**
+ * Cleans up a classification from a provider so the app can rely on its shape
+ * @param {Object} result
+ * @returns {{material: string, item: string, confidence: number, idea: string}}
+ */
+function normalizeClassification(result) {
+    const confidence = Number(result?.confidence);
+    return {
+        material: WASTE_MATERIALS.includes(result?.material) ? result.material : 'other',
+        item: String(result?.item || 'Unknown item').slice(0, 80),
+        confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0,
+        idea: String(result?.idea || '').slice(0, 600)
+    };
+}
+
+/**
+ * Creates a provider for the Gemini API, streamed through server-sent events
+ * @param {Object} options
+ * @param {string} options.apiKey - Gemini API key
+ * @param {string} [options.model] - Model name
+ * @param {Function} [options.fetchImpl] - fetch implementation (for tests)
+ * @returns {Object}
+ */
+function createGeminiProvider({ apiKey, model = DEFAULT_MODEL, fetchImpl = fetch }) {
+    const headers = { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey };
+    return {
+        name: 'gemini',
+        async *streamReply(history, message) {
+            const url = `${GEMINI_API_ROOT}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`;
+            const res = await fetchImpl(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    systemInstruction: { parts: [{ text: SYSTEM_PROMPT }] },
+                    contents: [...history, { role: 'user', text: message }]
+                        .map(turn => ({ role: turn.role, parts: [{ text: turn.text }] })),
+                    generationConfig: { maxOutputTokens: 256, temperature: 0.7 }
+                })
+            });
+            if (!res.ok) throw new Error(`Gemini request failed with status ${res.status}`);
+
+            // One "data: {json}" line per chunk
+            const decoder = new TextDecoder();
+            let buffer = '';
+            for await (const bytes of res.body) {
+                buffer += decoder.decode(bytes, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                for (const line of lines) {
+                    if (!line.startsWith('data:')) continue;
+                    const data = JSON.parse(line.slice(5));
+                    const text = (data.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+                    if (text) yield text;
+                }
+            }
+        },
+        async identifyWaste(image, message) {
+            const url = `${GEMINI_API_ROOT}/models/${encodeURIComponent(model)}:generateContent`;
+            const res = await fetchImpl(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    contents: [{
+                        role: 'user',
+                        parts: [
+                            { inlineData: { mimeType: image.mimeType, data: image.data } },
+                            { text: message ? `${IDENTIFY_PROMPT}\nThe user asks: ${message}` : IDENTIFY_PROMPT }
+                        ]
+                    }],
+                    generationConfig: { responseMimeType: 'application/json', temperature: 0.2 }
+                })
+            });
+            if (!res.ok) throw new Error(`Gemini request failed with status ${res.status}`);
+            const data = await res.json();
+            const text = (data.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+            return normalizeClassification(JSON.parse(text));
+        }
+    };
+}
+
+/**
+ * Deterministic provider for development and tests: echoes the question back
+ * in a fixed reply, streamed word by word, without any outside service
+ */
+const MockChatProvider = {
+    name: 'mock',
+    async *streamReply(history, message) {
+        const reply = `Upcycling idea #${history.length / 2 + 1}: give "${message}" a second life as a planter, a storage box or a gift. ♻️`;
+        for (const chunk of reply.match(/\S+\s*/g)) yield chunk;
+    },
+    async identifyWaste(image, message) {
+        // A material named in the question wins, so tests can ask for any classification
+        const material = WASTE_MATERIALS.find(m => new RegExp(`\\b${m}\\b`, 'i').test(message || '')) || 'pet';
+        return { material, item: `Mock ${material} item`, confidence: 0.9, idea: `Turn this ${material} item into a planter.` };
+    }
+};
+
+/**
+ * Picks the chat provider from environment variables (see the header comment)
+ * @param {Object} [env=process.env]
+ * @returns {Object} Provider
+ */
+function createChatProviderFromEnv(env = process.env) {
+    const name = env.CHAT_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'mock');
+    if (name === 'mock') return MockChatProvider;
+    if (name === 'gemini') {
+        if (!env.GEMINI_API_KEY) throw new Error('CHAT_PROVIDER=gemini needs GEMINI_API_KEY');
+        return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.CHAT_MODEL || DEFAULT_MODEL });
+    }
+    throw new Error(`Unknown CHAT_PROVIDER "${name}"`);
+}
+
+/**
+ * Creates a sliding-window rate limiter: at most `limit` hits per key within `windowMs`
+ * @param {Object} options
+ * @param {number} options.limit
+ * @param {number} options.windowMs
+ * @param {function(): number} [options.now] - Clock (for tests)
+ * @returns {{take: function(string): number, reset: function(): void}}
+ */
+function createRateLimiter({ limit, windowMs, now = Date.now }) {
+    const hits = new Map(); // key -> timestamps within the window, oldest first
+    return {
+        /**
+         * Records a hit for a key unless it is over the limit
+         * @param {string} key
+         * @returns {number} 0 when allowed, otherwise milliseconds until the next hit is allowed
+         */
+        take(key) {
+            const time = now();
+            const recent = (hits.get(key) || []).filter(at => time - at < windowMs);
+            if (recent.length >= limit) {
+                hits.set(key, recent);
+                return recent[0] + windowMs - time;
+            }
+            recent.push(time);
+            hits.set(key, recent);
+            return 0;
+        },
+        reset() {
+            hits.clear();
+        }
+    };
+}
+
+/**
+ * Checks the shape of a chat request body
+ * @param {Object} body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateChatRequest(body) {
+    const { history, message } = body || {};
+    if (typeof message !== 'string' || !message.trim()) return 'Message is required';
+    if (message.length > MAX_MESSAGE_LENGTH) return `Message is longer than ${MAX_MESSAGE_LENGTH} characters`;
+    if (history !== undefined && (!Array.isArray(history) || !history.every(turn =>
+        turn && (turn.role === 'user' || turn.role === 'model') && typeof turn.text === 'string'))) {
+        return 'Invalid history';
+    }
+    return null;
+}
+
+/**
+ * Checks the shape of a photo identification request body
+ * @param {Object} body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateIdentifyRequest(body) {
+    const { image, message } = body || {};
+    if (!image || !/^image\//.test(image.mimeType || '') || typeof image.data !== 'string' || !image.data) return 'An image is required';
+    if (image.data.length > MAX_IMAGE_BASE64_LENGTH) return 'Image is too large';
+    if (message !== undefined && (typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH)) return 'Invalid message';
+    return null;
+}
+
+/**
+ * Builds the router serving POST /chat and POST /chat/identify
+ * @param {Object} options
+ * @param {Object} options.provider - Chat provider
+ * @param {function(import('express').Request): (string|undefined)} options.getUserId - Resolves the signed-in user
+ * @param {ReturnType<typeof createRateLimiter>} options.limiter - Per-user rate limiter
+ * @returns {import('express').Router}
+ */
+function createChatRouter({ provider, getUserId, limiter }) {
+    const router = express.Router();
+
+    /**
+     * Rejects signed-out, malformed and over-limit requests; photos and
+     * questions share one limit per user
+     * @param {function(Object): (string|null)} validate
+     * @returns {import('express').RequestHandler}
+     */
+    function admit(validate) {
+        return (req, res, next) => {
+            const userId = getUserId(req);
+            if (!userId) return res.status(401).json({ error: 'Not signed in' });
+            const invalid = validate(req.body);
+            if (invalid) return res.status(400).json({ error: invalid });
+            const wait = limiter.take(userId);
+            if (wait) {
+                const retryAfter = Math.ceil(wait / 1000);
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({ error: 'Too many chat requests', retryAfter });
+            }
+            next();
+        };
+    }
+
+    router.post('/chat', admit(validateChatRequest), async (req, res) => {
+        const history = (req.body.history || []).slice(-MAX_HISTORY_TURNS);
+        res.status(200).type('application/x-ndjson').set('Cache-Control', 'no-store');
+        try {
+            for await (const text of provider.streamReply(history, req.body.message.trim())) {
+                res.write(`${JSON.stringify({ text })}\n`);
+            }
+        } catch (err) {
+            console.error('Chat provider error:', err.message);
+            // Nothing sent yet: answer with a plain error status instead of a stream
+            if (!res.headersSent) return res.status(502).json({ error: 'The assistant is unavailable right now' });
+            res.write(`${JSON.stringify({ error: 'The assistant is unavailable right now', status: 502 })}\n`);
+        }
+        res.end();
+    });
+
+    router.post('/chat/identify', admit(validateIdentifyRequest), async (req, res) => {
+        try {
+            const result = await provider.identifyWaste(req.body.image, (req.body.message || '').trim());
+            res.json(normalizeClassification(result));
+        } catch (err) {
+            console.error('Chat provider error:', err.message);
+            res.status(502).json({ error: 'The assistant could not look at this photo right now' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createChatRouter,
+    createChatProviderFromEnv,
+    createGeminiProvider,
+    createRateLimiter,
+    MockChatProvider
+};
@@ -0,0 +1,496 @@
+// ========================================
+// ECO STEP MOCK API SERVER
+// ========================================
+//
+// Small in-memory stand-in for the Eco Step backend so the sync layer in
+// app.js can be exercised without outside services. It also serves the app
+// itself, so the whole flow runs from one origin:
+//
+//     cd server && npm install
+//     npm start                             # http://localhost:3000/ecostep.html
+//
+// Point the app at it with <meta name="ecostep-api" content="/api"> or
+// localStorage.setItem('apiBaseUrl', 'http://localhost:3000/api').
+// Data lives in memory and is lost on restart; POST /api/__reset clears it.
+// Moderators are seeded from MODERATOR_EMAIL and MODERATOR_PASSWORD (or the
+// moderators option of createApp); no account can make itself a moderator.
+// The chatbot proxy from chat-proxy.js is served at POST /api/chat.
+
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { createChatRouter, createChatProviderFromEnv, createRateLimiter } = require('./chat-proxy');
+
+/** Account fields a signed-in user may change through PUT /api/users/:id */
+const PROFILE_FIELDS = ['name', 'avatarId', 'bio', 'district', 'ward', 'private', 'referralCode'];
+
+/** PBKDF2-SHA256 iterations the server applies to each account's auth key */
+const SERVER_HASH_ITERATIONS = 100000;
+/** Iterations reported for unknown emails; must match PBKDF2_ITERATIONS in app.js */
+const CLIENT_HASH_ITERATIONS = 310000;
+/** Mixed into the salt of the client's auth key; must match AUTH_KEY_CONTEXT in app.js */
+const AUTH_KEY_CONTEXT = 'ecostep-auth';
+
+/** Points both accounts earn when someone signs up through an invite (POINT_ACTIONS.referral_bonus in app.js) */
+const REFERRAL_BONUS = 100;
+/** How long after registering an account may still redeem an invite */
+const REFERRAL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the moderator account to seed from MODERATOR_EMAIL, MODERATOR_PASSWORD
+ * and optionally MODERATOR_NAME
+ * @returns {Array<{email: string, password: string, name?: string}>}
+ */
+function moderatorsFromEnv() {
+    const { MODERATOR_EMAIL, MODERATOR_PASSWORD, MODERATOR_NAME } = process.env;
+    return MODERATOR_EMAIL && MODERATOR_PASSWORD ? [{ email: MODERATOR_EMAIL, password: MODERATOR_PASSWORD, name: MODERATOR_NAME }] : [];
+}
+
+/**
+ * Creates a fresh data store holding only the seeded accounts
+ * @param {Array<Object>} [seededAccounts] - Accounts copied into the store
+ * @returns {{accounts: Map, tokens: Map, posts: Map, likes: Map, images: Map, ledgers: Map, referrals: Map}}
+ */
+function createStore(seededAccounts = []) {
+    return {
+        accounts: new Map(seededAccounts.map(a => [a.id, { ...a }])), // id -> account (with serverSalt + serverHash)
+        tokens: new Map(),   // token -> user id
+        posts: new Map(),    // post id -> post
+        likes: new Map(),    // post id -> Set of user ids
+        images: new Map(),   // image id -> { type, data }
+        ledgers: new Map(),  // user id -> array of ledger entries
+        referrals: new Map() // referred user id -> inviter user id
+    };
+}
+
+/**
+ * Strips the server's password verifier from an account before it is sent anywhere
+ * @param {Object} account
+ * @returns {Object}
+ */
+function publicAccount(account) {
+    const { serverSalt, serverHash, ...rest } = account;
+    return rest;
+}
+
+/**
+ * Derives the verifier stored for an auth key. The client never sends its
+ * password, only an auth key derived from it (deriveAuthKey in app.js); the
+ * server hashes that again, so its stored verifier cannot be replayed to sign in.
+ * @param {string} authKey - Base64 auth key from the client
+ * @param {string} salt - Base64 server salt
+ * @param {number} iterations
+ * @returns {Promise<string>} Base64 verifier
+ */
+function hashAuthKey(authKey, salt, iterations) {
+    return new Promise((resolve, reject) => {
+        crypto.pbkdf2(String(authKey), Buffer.from(salt, 'base64'), iterations, 32, 'sha256', (err, key) => {
+            if (err) reject(err);
+            else resolve(key.toString('base64'));
+        });
+    });
+}
+
+/**
+ * Builds a moderator account that signs in from the app like any other: the
+ * auth key is derived from the password the way deriveAuthKey in app.js does it.
+ * This is the only way an account gets the moderator role.
+ * @param {{email: string, password: string, name?: string}} moderator
+ * @param {number} hashIterations - Iterations for the server verifier
+ * @returns {Object} Account with serverSalt and serverHash
+ */
+function createModeratorAccount({ email, password, name }, hashIterations) {
+    const normalized = String(email).trim().toLowerCase();
+    const salt = crypto.randomBytes(16);
+    const authKey = crypto.pbkdf2Sync(password, Buffer.concat([salt, Buffer.from(AUTH_KEY_CONTEXT)]), CLIENT_HASH_ITERATIONS, 32, 'sha256');
+    const serverSalt = crypto.randomBytes(16);
+    return {
+        id: `mod_${crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 12)}`,
+        name: name || 'Moderator',
+        email: normalized,
+        salt: salt.toString('base64'),
+        iterations: CLIENT_HASH_ITERATIONS,
+        createdAt: Date.now(),
+        role: 'moderator',
+        serverSalt: serverSalt.toString('base64'),
+        serverHash: crypto.pbkdf2Sync(authKey.toString('base64'), serverSalt, hashIterations, 32, 'sha256').toString('base64')
+    };
+}
+
+/**
+ * Builds the Express app
+ * @param {Object} [options]
+ * @param {string} [options.staticDir] - Directory served as the front end (defaults to the repo root)
+ * @param {Object} [options.chatProvider] - Chatbot provider (defaults to one picked from the environment)
+ * @param {{limit: number, windowMs: number}} [options.chatRateLimit] - Chat requests allowed per user
+ * @param {number} [options.hashIterations] - PBKDF2 iterations for stored verifiers
+ * @param {Array<{email: string, password: string, name?: string}>} [options.moderators] - Moderator
+ *   accounts to seed (defaults to the one named by MODERATOR_EMAIL and MODERATOR_PASSWORD); kept across resets
+ * @returns {import('express').Express}
+ */
+function createApp({
+    staticDir = path.join(__dirname, '..'),
+    chatProvider = createChatProviderFromEnv(),
+    chatRateLimit = {
+        limit: Number(process.env.CHAT_RATE_LIMIT) || 10,
+        windowMs: Number(process.env.CHAT_RATE_WINDOW_MS) || 60 * 1000
+    },
+    hashIterations = SERVER_HASH_ITERATIONS,
+    moderators = moderatorsFromEnv()
+} = {}) {
+    const seededAccounts = moderators.map(m => createModeratorAccount(m, hashIterations));
+    let store = createStore(seededAccounts);
+    // Keys the made-up salts of unknown emails, so each email always gets the same one
+    const saltSecret = crypto.randomBytes(32);
+    // Stand-in verifier checked for unknown emails, so they take as long as real ones
+    const dummyAccount = { serverSalt: crypto.randomBytes(16).toString('base64'), serverHash: '' };
+    const chatLimiter = createRateLimiter(chatRateLimit);
+    const app = express();
+    app.use(express.json({ limit: '1mb' }));
+
+    // Allow the app to be served from a different origin during development
+    app.use('/api', (req, res, next) => {
+        res.set('Access-Control-Allow-Origin', '*');
+        res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        if (req.method === 'OPTIONS') return res.sendStatus(204);
+        next();
+    });
+
+    /**
+     * Issues a session token for a user
+     * @param {string} userId
+     * @returns {string}
+     */
+    function issueToken(userId) {
+        const token = crypto.randomBytes(24).toString('hex');
+        store.tokens.set(token, userId);
+        return token;
+    }
+
+    /**
+     * Rejects the request unless its bearer token belongs to the given user
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     * @param {string} userId
+     * @returns {boolean} True when the caller may act as userId
+     */
+    function requireUser(req, res, userId) {
+        const caller = tokenUser(req);
+        if (!caller || caller !== userId) {
+            res.status(401).json({ error: 'Not signed in' });
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Checks whether a user id belongs to a moderator account
+     * @param {string} userId
+     * @returns {boolean}
+     */
+    function isModerator(userId) {
+        const account = store.accounts.get(userId);
+        return account?.role === 'moderator';
+    }
+
+    /**
+     * Returns the user id of the request's bearer token
+     * @param {import('express').Request} req
+     * @returns {string|undefined}
+     */
+    function tokenUser(req) {
+        return store.tokens.get((req.get('Authorization') || '').replace(/^Bearer\s+/i, ''));
+    }
+
+    /**
+     * Finds an account by email
+     * @param {string} email
+     * @returns {Object|undefined}
+     */
+    function findAccount(email) {
+        const normalized = String(email || '').toLowerCase();
+        return [...store.accounts.values()].find(a => a.email === normalized);
+    }
+
+    /**
+     * Checks an auth key against an account's verifier in constant time
+     * @param {Object} account
+     * @param {string} authKey
+     * @returns {Promise<boolean>}
+     */
+    async function verifyAuthKey(account, authKey) {
+        const actual = Buffer.from(await hashAuthKey(authKey, account.serverSalt, hashIterations), 'base64');
+        const expected = Buffer.from(account.serverHash, 'base64');
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    // ---------- Auth ----------
+
+    // Creates an account. Profile changes go through PUT /api/users/:id instead.
+    app.post('/api/auth/register', async (req, res) => {
+        const { authKey, hash, serverSalt, serverHash, role, registeredAt, ...account } = req.body || {};
+        if (!account.id || !account.email || !account.salt || !authKey) {
+            return res.status(400).json({ error: 'Missing account fields' });
+        }
+        const email = String(account.email).toLowerCase();
+        const existing = store.accounts.get(account.id) || findAccount(email);
+        if (existing) {
+            // Replaying a queued registration is fine; claiming someone else's email or id is not
+            if (existing.id !== account.id || existing.email !== email || !(await verifyAuthKey(existing, authKey))) {
+                return res.status(409).json({ error: 'An account with this email already exists' });
+            }
+            return res.json({ account: publicAccount(existing), token: issueToken(existing.id) });
+        }
+        const salt = crypto.randomBytes(16).toString('base64');
+        const created = {
+            ...account,
+            email,
+            registeredAt: Date.now(),
+            serverSalt: salt,
+            serverHash: await hashAuthKey(authKey, salt, hashIterations)
+        };
+        store.accounts.set(account.id, created);
+        res.status(201).json({ account: publicAccount(created), token: issueToken(account.id) });
+    });
+
+    // The client derives its auth key with the account's salt, so the password
+    // never leaves the device. Unknown emails get a made-up salt that stays the
+    // same between calls, so the answer does not reveal who has signed up.
+    app.get('/api/auth/account', (req, res) => {
+        const email = String(req.query.email || '').toLowerCase();
+        const account = findAccount(email);
+        if (account) return res.json({ salt: account.salt, iterations: account.iterations });
+        const salt = crypto.createHmac('sha256', saltSecret).update(email).digest().subarray(0, 16).toString('base64');
+        res.json({ salt, iterations: CLIENT_HASH_ITERATIONS });
+    });
+
+    app.post('/api/auth/login', async (req, res) => {
+        const account = findAccount(req.body?.email);
+        const valid = await verifyAuthKey(account || dummyAccount, String(req.body?.authKey || ''));
+        if (!account || !valid) {
+            return res.status(401).json({ error: 'Incorrect email or password' });
+        }
+        res.json({ account: publicAccount(account), token: issueToken(account.id) });
+    });
+
+    // Profile fields only; credentials, ids and roles cannot be changed here
+    app.put('/api/users/:id', (req, res) => {
+        if (!requireUser(req, res, req.params.id)) return;
+        const account = store.accounts.get(req.params.id);
+        const changes = Object.fromEntries(PROFILE_FIELDS.filter(f => f in (req.body || {})).map(f => [f, req.body[f]]));
+        // A referral code may be added once (accounts made before codes existed) and must be unique
+        if ('referralCode' in changes) {
+            const code = String(changes.referralCode || '').toUpperCase();
+            const taken = [...store.accounts.values()].some(a => a.id !== account.id && a.referralCode === code);
+            if (account.referralCode || !code || taken) delete changes.referralCode;
+            else changes.referralCode = code;
+        }
+        Object.assign(account, changes);
+        res.json({ account: publicAccount(account) });
+    });
+
+    // ---------- Posts & likes ----------
+
+    app.get('/api/posts', (req, res) => {
+        const posts = [...store.posts.values()].map(p => ({ ...p, likes: store.likes.get(String(p.id))?.size || 0 }));
+        res.json({ posts });
+    });
+
+    app.put('/api/posts/:id', (req, res) => {
+        const post = req.body || {};
+        if (String(post.id) !== req.params.id) return res.status(400).json({ error: 'Post id mismatch' });
+        // The app also limits image hosts (isSafeImageUrl); here only web links are let through
+        if (post.image && !/^https?:\/\//i.test(String(post.image))) return res.status(400).json({ error: 'Image links must be http(s) URLs' });
+        const existing = store.posts.get(req.params.id);
+        if (existing && existing.authorId !== post.authorId) return res.status(403).json({ error: 'Not your post' });
+        if (!requireUser(req, res, post.authorId)) return;
+        // Comments, reports and moderation state have their own endpoints
+        const { comments, reports, moderation, ...fields } = post;
+        store.posts.set(req.params.id, {
+            comments: [],
+            reports: [],
+            ...existing,
+            ...fields
+        });
+        res.json({ post: store.posts.get(req.params.id) });
+    });
+
+    app.delete('/api/posts/:id', (req, res) => {
+        const post = store.posts.get(req.params.id);
+        if (!post) return res.sendStatus(204);
+        const userId = tokenUser(req);
+        if (!userId || (userId !== post.authorId && !isModerator(userId))) {
+            return res.status(403).json({ error: 'Not allowed to delete this post' });
+        }
+        store.posts.delete(req.params.id);
+        store.likes.delete(req.params.id);
+        // Take back the points the post earned; the entry id matches the one the app records
+        const source = `post:${req.params.id}`;
+        const earned = (store.ledgers.get(post.authorId) || []).filter(e => e.source === source).reduce((sum, e) => sum + (e.points || 0), 0);
+        if (earned > 0) {
+            appendLedgerEntry(post.authorId, { id: `post-${req.params.id}-removed`, action: 'post_removed', points: -earned, timestamp: Date.now(), source });
+        }
+        res.sendStatus(204);
+    });
+
+    // Comments and reports are idempotent by id / reporter, like ledger entries
+    app.post('/api/posts/:id/comments', (req, res) => {
+        const post = store.posts.get(req.params.id);
+        const comment = req.body || {};
+        if (!post) return res.status(404).json({ error: 'Post not found' });
+        if (!comment.id || !String(comment.text || '').trim()) return res.status(400).json({ error: 'Invalid comment' });
+        if (!requireUser(req, res, comment.authorId)) return;
+        post.comments = post.comments || [];
+        const existing = post.comments.find(cm => cm.id === comment.id);
+        if (!existing) post.comments.push(comment);
+        // Resending an own comment updates how its author is shown (renames, private profiles)
+        else if (existing.authorId === comment.authorId) existing.author = comment.author ?? null;
+        res.status(201).json({ comment: existing || comment });
+    });
+
+    app.post('/api/posts/:id/reports', (req, res) => {
+        const post = store.posts.get(req.params.id);
+        const report = req.body || {};
+        if (!post) return res.status(404).json({ error: 'Post not found' });
+        if (!requireUser(req, res, report.userId)) return;
+        if (post.authorId === report.userId) return res.status(400).json({ error: 'You cannot report your own post' });
+        post.reports = post.reports || [];
+        if (!post.reports.some(r => r.userId === report.userId)) post.reports.push(report);
+        if (post.moderation === 'approved') post.moderation = 'pending';
+        res.status(201).json({ report });
+    });
+
+    app.post('/api/posts/:id/moderation', (req, res) => {
+        const post = store.posts.get(req.params.id);
+        if (!post) return res.status(404).json({ error: 'Post not found' });
+        if (!isModerator(tokenUser(req))) return res.status(403).json({ error: 'Moderators only' });
+        post.moderation = req.body?.status === 'approved' ? 'approved' : 'pending';
+        if (post.moderation === 'approved') post.reports = [];
+        res.json({ post });
+    });
+
+    app.post('/api/posts/:id/like', (req, res) => {
+        const { userId, liked } = req.body || {};
+        if (!store.posts.has(req.params.id)) return res.status(404).json({ error: 'Post not found' });
+        if (!requireUser(req, res, userId)) return;
+        const set = store.likes.get(req.params.id) || new Set();
+        if (liked) set.add(userId);
+        else set.delete(userId);
+        store.likes.set(req.params.id, set);
+        res.json({ likes: set.size });
+    });
+
+    // ---------- Images ----------
+
+    app.put('/api/images/:id', express.raw({ type: 'image/*', limit: '5mb' }), (req, res) => {
+        if (!tokenUser(req)) return res.status(401).json({ error: 'Not signed in' });
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) return res.status(400).json({ error: 'Empty image' });
+        store.images.set(req.params.id, { type: req.get('Content-Type'), data: req.body });
+        res.sendStatus(204);
+    });
+
+    app.get('/api/images/:id', (req, res) => {
+        const image = store.images.get(req.params.id);
+        if (!image) return res.sendStatus(404);
+        res.type(image.type).send(image.data);
+    });
+
+    // ---------- Points ledger ----------
+
+    app.get('/api/users/:id/ledger', (req, res) => {
+        if (!requireUser(req, res, req.params.id)) return;
+        res.json({ ledger: store.ledgers.get(req.params.id) || [] });
+    });
+
+    // Idempotent by entry id, so replayed offline writes are not counted twice
+    app.post('/api/users/:id/ledger', (req, res) => {
+        if (!requireUser(req, res, req.params.id)) return;
+        const entry = req.body || {};
+        if (!entry.id || typeof entry.points !== 'number') return res.status(400).json({ error: 'Invalid ledger entry' });
+        appendLedgerEntry(req.params.id, entry);
+        res.status(201).json({ entry });
+    });
+
+    /**
+     * Appends a ledger entry unless one with the same id exists
+     * @param {string} userId
+     * @param {Object} entry
+     * @returns {void}
+     */
+    function appendLedgerEntry(userId, entry) {
+        const ledger = store.ledgers.get(userId) || [];
+        if (!ledger.some(e => e.id === entry.id)) ledger.push(entry);
+        store.ledgers.set(userId, ledger);
+    }
+
+    // ---------- Referrals ----------
+
+    /**
+     * Checks that an account is new enough to redeem an invite: registered here
+     * within REFERRAL_WINDOW_MS, with no posts and nothing in its ledger but the
+     * welcome bonus. The account's own createdAt comes from the client, so the
+     * server's registration time is used instead.
+     * @param {string} userId
+     * @returns {boolean}
+     */
+    function isNewAccount(userId) {
+        const account = store.accounts.get(userId);
+        if (!account?.registeredAt || Date.now() - account.registeredAt > REFERRAL_WINDOW_MS) return false;
+        if ((store.ledgers.get(userId) || []).some(e => e.action !== 'welcome_bonus')) return false;
+        return ![...store.posts.values()].some(p => p.authorId === userId);
+    }
+
+    // Lets a new account check an invite code made on another device before it
+    // redeems it; it may not have a token yet, as its registration can still be queued
+    app.get('/api/invites/:code', (req, res) => {
+        const code = String(req.params.code || '').trim().toUpperCase();
+        const inviter = code && [...store.accounts.values()].find(a => a.referralCode === code);
+        if (!inviter) return res.status(404).json({ error: 'Unknown invite code' });
+        res.json({ inviter: { id: inviter.id, name: inviter.name } });
+    });
+
+    // Credits a new user (see isNewAccount) and their inviter once; the entry ids
+    // match the ones the app records locally, so syncing never counts a bonus twice
+    app.post('/api/users/:id/referral', (req, res) => {
+        const userId = req.params.id;
+        if (!requireUser(req, res, userId)) return;
+        const code = String(req.body?.code || '').trim().toUpperCase();
+        const inviter = code && [...store.accounts.values()].find(a => a.referralCode === code);
+        if (!inviter || inviter.id === userId) return res.status(404).json({ error: 'Unknown invite code' });
+        const previous = store.referrals.get(userId);
+        if (previous && previous !== inviter.id) return res.status(409).json({ error: 'This account was already referred' });
+        // A replay of an accepted redemption is answered again below
+        if (!previous && !isNewAccount(userId)) return res.status(409).json({ error: 'Only new accounts can redeem an invite' });
+
+        store.referrals.set(userId, inviter.id);
+        const timestamp = Date.now();
+        appendLedgerEntry(inviter.id, { id: `referral-${userId}-inviter`, action: 'referral_bonus', points: REFERRAL_BONUS, timestamp, source: `referral:${userId}` });
+        appendLedgerEntry(userId, { id: `referral-${userId}-invitee`, action: 'referral_bonus', points: REFERRAL_BONUS, timestamp, source: `referral:${inviter.id}` });
+        res.status(201).json({ inviter: { id: inviter.id, name: inviter.name } });
+    });
+
+    // ---------- Chatbot ----------
+
+    app.use('/api', createChatRouter({ provider: chatProvider, getUserId: tokenUser, limiter: chatLimiter }));
+
+    // ---------- Test helpers ----------
+
+    app.post('/api/__reset', (req, res) => {
+        store = createStore(seededAccounts);
+        chatLimiter.reset();
+        res.sendStatus(204);
+    });
+
+    app.use(express.static(staticDir));
+    return app;
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 3000;
+    createApp().listen(port, () => {
+        console.log(`Eco Step mock server running at http://localhost:${port}/ecostep.html`);
+    });
+}
+
+module.exports = { createApp };
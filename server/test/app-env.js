@@ -0,0 +1,79 @@
+// Test helpers: runs the mock server on a free port and loads the app into
+// jsdom so the sync layer can be driven against it.
+
+const fs = require('fs');
+const path = require('path');
+const { webcrypto } = require('crypto');
+const { JSDOM } = require('jsdom');
+const { indexedDB, IDBKeyRange } = require('fake-indexeddb');
+const { createApp } = require('../mock-server');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Starts the mock server on a free port
+ * @param {Object} [options] - Passed to createApp (hashing is kept cheap by default)
+ * @returns {Promise<{baseUrl: string, apiUrl: string, close: Function}>}
+ */
+function startServer(options = {}) {
+    return new Promise(resolve => {
+        const server = createApp({ hashIterations: 1000, ...options }).listen(0, () => {
+            const baseUrl = `http://localhost:${server.address().port}`;
+            resolve({ baseUrl, apiUrl: `${baseUrl}/api`, close: () => new Promise(done => server.close(done)) });
+        });
+    });
+}
+
+/**
+ * Loads ecostep.html with the English locale and app.js into a fresh jsdom window
+ * @param {Object} [options]
+ * @param {string} [options.apiUrl] - API root saved as apiBaseUrl before the app starts
+ * @returns {Promise<Window>} The window; call window.close() when done
+ */
+async function loadApp({ apiUrl } = {}) {
+    // External and deferred scripts are evaluated below instead
+    const html = fs.readFileSync(path.join(ROOT, 'ecostep.html'), 'utf8').replace(/<script[^>]*src="[^"]*"[^>]*><\/script>/g, '');
+    const dom = new JSDOM(html, { runScripts: 'outside-only', url: 'http://localhost/ecostep.html', pretendToBeVisual: true });
+    const win = dom.window;
+    Object.assign(win, {
+        fetch,
+        indexedDB,
+        IDBKeyRange,
+        structuredClone,
+        TextEncoder,
+        TextDecoder,
+        CSS: { escape: s => String(s).replace(/["\\]/g, '\\$&') },
+        IntersectionObserver: class { observe() {} unobserve() {} disconnect() {} },
+        matchMedia: () => ({ matches: false, addEventListener() {}, removeEventListener() {} })
+    });
+    Object.defineProperty(win, 'crypto', { value: webcrypto, configurable: true });
+    win.console = console;
+    if (apiUrl) win.localStorage.setItem('apiBaseUrl', apiUrl);
+    for (const file of ['locales/en.js', 'app.js']) {
+        win.eval(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    }
+    if (win.document.readyState === 'loading') {
+        await new Promise(resolve => win.document.addEventListener('DOMContentLoaded', resolve));
+    } else {
+        win.document.dispatchEvent(new win.Event('DOMContentLoaded'));
+    }
+    return win;
+}
+
+/**
+ * Polls until a condition holds
+ * @param {Function} check - Returns a truthy value when done
+ * @param {number} [timeout=5000] - Milliseconds before giving up
+ * @returns {Promise<*>} The truthy value
+ */
+async function waitFor(check, timeout = 5000) {
+    const until = Date.now() + timeout;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() > until) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+}
+
+module.exports = { startServer, loadApp, waitFor };
@@ -0,0 +1,63 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./app-env');
+
+let win;
+
+afterEach(() => win?.close());
+
+/** A version 1 backup written by hand, with the minimum every layout has */
+const olderBundle = {
+    format: 'ecostep-export',
+    version: 1,
+    account: { id: 'u1', name: 'Asha' },
+    preferences: {},
+    data: { pointsLedger: [] },
+    posts: [],
+    comments: [],
+    images: {}
+};
+
+test('older backups are upgraded one step at a time', async () => {
+    win = await loadApp();
+    const migrations = {
+        1: bundle => ({ ...bundle, version: 2, preferences: { ...bundle.preferences, theme: 'dark' } }),
+        2: bundle => ({ ...bundle, version: 3, data: { ...bundle.data, savedTips: [] } })
+    };
+    const { bundle, error } = win.migrateExportBundle(olderBundle, migrations, 3);
+    assert.equal(error, undefined);
+    assert.equal(bundle.version, 3);
+    assert.equal(bundle.preferences.theme, 'dark');
+    assert.deepEqual(bundle.data.savedTips, []);
+    assert.equal(win.validateExportBundle(bundle), null);
+});
+
+test('a backup with no migration step for its version is refused', async () => {
+    win = await loadApp();
+    const missing = win.migrateExportBundle(olderBundle, {}, 2);
+    assert.equal(missing.error, win.t('import_invalid_file'));
+    const stuck = win.migrateExportBundle(olderBundle, { 1: bundle => bundle }, 2);
+    assert.equal(stuck.error, win.t('import_invalid_file'));
+    assert.equal(win.migrateExportBundle({ ...olderBundle, version: 3 }, {}, 2).error, win.t('import_newer_version'));
+});
+
+test('edited backups cannot add points', async () => {
+    win = await loadApp();
+    const { account } = await win.createAccount('Asha', 'asha@example.np', 'password1');
+    win.startSession(account);
+    win.awardPoints('welcome_bonus', undefined, 'signup');
+    const bundle = await win.buildExportBundle();
+    const balance = win.getPointsBalance();
+    const entry = { timestamp: Date.now(), source: 'action-log' };
+    bundle.data.pointsLedger.push(
+        { ...entry, id: 'walk-inflated', action: 'walk', points: 5000, quantity: 2, unit: 'km' },
+        { ...entry, id: 'claim-refund', action: 'reward_claim', points: 900 },
+        { ...entry, id: 'made-up', action: 'jackpot', points: 100 },
+        { ...entry, id: 'second-welcome', action: 'welcome_bonus', points: 50, source: 'signup' },
+        { ...entry, id: 'walk', action: 'walk', points: 10, quantity: 2, unit: 'km' }
+    );
+    const result = await win.importUserData(bundle);
+    assert.equal(result.ok, true);
+    assert.equal(result.summary.entries, 1);
+    assert.equal(win.getPointsBalance(), balance + 10);
+});
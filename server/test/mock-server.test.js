@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./app-env');
+
+let server;
+
+/**
+ * Sends a JSON request to the mock API
+ * @param {string} method
+ * @param {string} path - Path below /api
+ * @param {Object} [body]
+ * @param {string} [token]
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function api(method, path, body, token) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(server.apiUrl + path, { method, headers, body: body && JSON.stringify(body) });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+}
+
+const account = { id: 'u1', name: 'Asha', email: 'asha@example.np', salt: 'c2FsdA==', iterations: 310000 };
+const moderator = { email: 'mod@example.np', password: 'moderate-me' };
+
+/**
+ * Signs the seeded moderator in with an auth key derived like deriveAuthKey in app.js
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function signInModerator() {
+    const { body: { salt, iterations } } = await api('GET', `/auth/account?email=${encodeURIComponent(moderator.email)}`);
+    const authKey = crypto.pbkdf2Sync(moderator.password, Buffer.concat([Buffer.from(salt, 'base64'), Buffer.from('ecostep-auth')]), iterations, 32, 'sha256');
+    return api('POST', '/auth/login', { email: moderator.email, authKey: authKey.toString('base64') });
+}
+
+before(async () => { server = await startServer({ moderators: [moderator] }); });
+after(() => server.close());
+beforeEach(() => api('POST', '/__reset'));
+
+test('register stores a verifier instead of the auth key and never returns it', async () => {
+    const res = await api('POST', '/auth/register', { ...account, authKey: 'key-1' });
+    assert.equal(res.status, 201);
+    assert.ok(res.body.token);
+    assert.equal(res.body.account.serverHash, undefined);
+    assert.equal(res.body.account.serverSalt, undefined);
+    assert.equal(res.body.account.authKey, undefined);
+});
+
+test('register replays with the same key but refuses to take over an account', async () => {
+    await api('POST', '/auth/register', { ...account, authKey: 'key-1' });
+    assert.equal((await api('POST', '/auth/register', { ...account, authKey: 'key-1' })).status, 200);
+    assert.equal((await api('POST', '/auth/register', { ...account, name: 'Mallory', authKey: 'other' })).status, 409);
+    assert.equal((await api('POST', '/auth/register', { ...account, id: 'u2', authKey: 'other' })).status, 409);
+});
+
+test('login checks the auth key and returns the public account', async () => {
+    await api('POST', '/auth/register', { ...account, authKey: 'key-1' });
+    assert.equal((await api('POST', '/auth/login', { email: account.email, authKey: 'wrong' })).status, 401);
+    assert.equal((await api('POST', '/auth/login', { email: 'nobody@example.np', authKey: 'key-1' })).status, 401);
+    const res = await api('POST', '/auth/login', { email: 'ASHA@example.np', authKey: 'key-1' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.account.id, 'u1');
+    assert.equal(res.body.account.serverHash, undefined);
+});
+
+test('salt lookup answers the same way for unknown emails', async () => {
+    await api('POST', '/auth/register', { ...account, authKey: 'key-1' });
+    const known = await api('GET', `/auth/account?email=${encodeURIComponent(account.email)}`);
+    assert.deepEqual(known.body, { salt: account.salt, iterations: account.iterations });
+    const unknown = await api('GET', '/auth/account?email=nobody%40example.np');
+    assert.equal(unknown.status, 200);
+    assert.deepEqual(Object.keys(unknown.body).sort(), ['iterations', 'salt']);
+    assert.deepEqual((await api('GET', '/auth/account?email=nobody%40example.np')).body, unknown.body);
+});
+
+test('profile updates need the owner token and only change profile fields', async () => {
+    const { body: { token } } = await api('POST', '/auth/register', { ...account, authKey: 'key-1' });
+    assert.equal((await api('PUT', '/users/u1', { name: 'Asha R' })).status, 401);
+    const res = await api('PUT', '/users/u1', { name: 'Asha R', email: 'x@example.np', role: 'moderator' }, token);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.account.name, 'Asha R');
+    assert.equal(res.body.account.email, account.email);
+    assert.equal(res.body.account.role, undefined);
+});
+
+test('only seeded moderators may moderate, and they survive a reset', async () => {
+    const { body: { token } } = await api('POST', '/auth/register', { ...account, role: 'moderator', authKey: 'key-1' });
+    await api('PUT', '/posts/p1', { id: 'p1', authorId: 'u1', title: 'Compost' }, token);
+    assert.equal((await api('POST', '/posts/p1/moderation', { status: 'approved' }, token)).status, 403);
+
+    const res = await signInModerator();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.account.role, 'moderator');
+    assert.equal((await api('POST', '/posts/p1/moderation', { status: 'approved' }, res.body.token)).status, 200);
+
+    await api('POST', '/__reset');
+    assert.equal((await signInModerator()).status, 200);
+});
+
+test('deleting a post takes back the points it earned once', async () => {
+    const { body: { token } } = await api('POST', '/auth/register', { ...account, authKey: 'key-1' });
+    await api('PUT', '/posts/p1', { id: 'p1', authorId: 'u1', title: 'Compost' }, token);
+    await api('POST', '/users/u1/ledger', { id: 'e1', action: 'share_post', points: 20, source: 'post:p1' }, token);
+    assert.equal((await api('DELETE', '/posts/p1', undefined, token)).status, 204);
+    await api('POST', '/users/u1/ledger', { id: 'post-p1-removed', action: 'post_removed', points: -20, source: 'post:p1' }, token);
+    const { body: { ledger: entries } } = await api('GET', '/users/u1/ledger', undefined, token);
+    assert.equal(entries.reduce((sum, e) => sum + e.points, 0), 0);
+    assert.equal(entries.length, 2);
+});
+
+/**
+ * Registers an inviter with a referral code and an invitee, returning the invitee's token
+ * @returns {Promise<string>}
+ */
+async function registerInvitee() {
+    await api('POST', '/auth/register', { ...account, id: 'u2', email: 'bina@example.np', referralCode: 'BINA42', authKey: 'key-2' });
+    const { body: { token } } = await api('POST', '/auth/register', { ...account, authKey: 'key-1' });
+    return token;
+}
+
+test('a new account redeems an invite once, and replays are accepted', async () => {
+    const token = await registerInvitee();
+    await api('POST', '/users/u1/ledger', { id: 'w1', action: 'welcome_bonus', points: 50, source: 'signup' }, token);
+    assert.equal((await api('POST', '/users/u1/referral', { code: 'bina42' }, token)).status, 201);
+    assert.equal((await api('POST', '/users/u1/referral', { code: 'BINA42' }, token)).status, 201);
+    const { body: { ledger: entries } } = await api('GET', '/users/u1/ledger', undefined, token);
+    assert.equal(entries.filter(e => e.action === 'referral_bonus').length, 1);
+});
+
+test('accounts that already earned points or posted cannot redeem an invite', async () => {
+    let token = await registerInvitee();
+    await api('POST', '/users/u1/ledger', { id: 'e1', action: 'walk', points: 10, quantity: 2 }, token);
+    assert.equal((await api('POST', '/users/u1/referral', { code: 'BINA42' }, token)).status, 409);
+
+    await api('POST', '/__reset');
+    token = await registerInvitee();
+    await api('PUT', '/posts/p1', { id: 'p1', authorId: 'u1', title: 'Compost' }, token);
+    assert.equal((await api('POST', '/users/u1/referral', { code: 'BINA42' }, token)).status, 409);
+});
+
+test('invites cannot be redeemed long after registering, whatever createdAt says', async () => {
+    await api('POST', '/auth/register', { ...account, id: 'u2', email: 'bina@example.np', referralCode: 'BINA42', authKey: 'key-2' });
+    const { body: { token } } = await api('POST', '/auth/register', { ...account, createdAt: Date.now(), registeredAt: Date.now(), authKey: 'key-1' });
+    const now = Date.now;
+    Date.now = () => now() + 2 * 24 * 60 * 60 * 1000;
+    try {
+        assert.equal((await api('POST', '/users/u1/referral', { code: 'BINA42' }, token)).status, 409);
+    } finally {
+        Date.now = now;
+    }
+});
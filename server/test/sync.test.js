@@ -0,0 +1,164 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, loadApp, waitFor } = require('./app-env');
+
+let server;
+let win;
+
+before(async () => { server = await startServer({ moderators: [{ email: 'mod@example.np', password: 'moderate-me' }] }); });
+after(() => server.close());
+beforeEach(() => fetch(`${server.apiUrl}/__reset`, { method: 'POST' }));
+afterEach(() => win?.close());
+
+/**
+ * Signs a new account up in the current window and waits for the server to receive it
+ * @returns {Promise<Object>} The account
+ */
+async function signUp() {
+    const { account } = await win.createAccount('Asha', 'asha@example.np', 'password1');
+    win.startSession(account);
+    await waitFor(() => win.getSyncQueue().length === 0);
+    return account;
+}
+
+/**
+ * Signs in to the mock server directly, deriving the auth key like the app does
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<{account: Object, token: string}>}
+ */
+async function serverLogin(email, password) {
+    const { salt, iterations } = await (await fetch(`${server.apiUrl}/auth/account?email=${encodeURIComponent(email)}`)).json();
+    const authKey = await win.deriveAuthKey(password, win.base64ToBytes(salt), iterations);
+    const res = await fetch(`${server.apiUrl}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, authKey })
+    });
+    return res.json();
+}
+
+test('the HTTP adapter registers accounts and signs them in on another device', async () => {
+    win = await loadApp({ apiUrl: server.apiUrl });
+    const account = await signUp();
+    assert.ok(win.localStorage.getItem(win.userStorageKey('apiToken', account.id)));
+    win.close();
+
+    win = await loadApp({ apiUrl: server.apiUrl });
+    assert.equal((await win.verifyCredentials('asha@example.np', 'wrong-password')).ok, false);
+    const result = await win.verifyCredentials('asha@example.np', 'password1');
+    assert.equal(result.ok, true);
+    assert.equal(result.account.id, account.id);
+    assert.equal(result.account.serverHash, undefined);
+});
+
+test('writes wait in the queue while the server is unreachable', async () => {
+    win = await loadApp({ apiUrl: 'http://localhost:9/api' });
+    await win.createAccount('Asha', 'asha@example.np', 'password1');
+    const [op] = await waitFor(() => win.getSyncQueue().filter(q => q.attempts > 0).length && win.getSyncQueue());
+    assert.equal(op.method, 'register');
+    assert.ok(op.nextAttemptAt > Date.now());
+});
+
+test('writes refused for an expired token are held until the user signs in again', async () => {
+    win = await loadApp({ apiUrl: server.apiUrl });
+    const account = await signUp();
+    win.localStorage.setItem(win.userStorageKey('apiToken', account.id), 'expired');
+    await win.updateProfile({ name: 'Asha R' });
+    const [held] = await waitFor(() => win.getSyncQueue().some(q => q.heldForAuth) && win.getSyncQueue());
+    assert.equal(held.method, 'putAccount');
+
+    await win.verifyCredentials('asha@example.np', 'password1');
+    await waitFor(() => win.getSyncQueue().length === 0);
+    assert.equal((await serverLogin('asha@example.np', 'password1')).account.name, 'Asha R');
+});
+
+test('the moderator role comes from the backend', async () => {
+    win = await loadApp({ apiUrl: server.apiUrl });
+    await signUp();
+    assert.equal(win.isModerator(), false);
+
+    const result = await win.verifyCredentials('mod@example.np', 'moderate-me');
+    assert.equal(result.ok, true);
+    win.startSession(result.account);
+    assert.equal(win.isModerator(), true);
+});
+
+test('sharing and deleting a post earns nothing', async () => {
+    win = await loadApp({ apiUrl: server.apiUrl });
+    await signUp();
+    const balance = win.getPointsBalance();
+    const post = win.createPost({ title: 'Compost bin' });
+    assert.equal(win.getPointsBalance(), balance + 20);
+    assert.equal(win.deletePost(post.id), true);
+    assert.equal(win.getPointsBalance(), balance);
+    await waitFor(() => win.getSyncQueue().length === 0);
+    const res = await fetch(`${server.apiUrl}/users/${win.getCurrentUser()}/ledger`, {
+        headers: { Authorization: `Bearer ${win.localStorage.getItem(win.userStorageKey('apiToken'))}` }
+    });
+    const { ledger: entries } = await res.json();
+    assert.equal(entries.reduce((sum, e) => sum + e.points, 0), balance);
+});
+
+test('a deleted post no longer counts towards the weekly standing', async () => {
+    win = await loadApp({ apiUrl: server.apiUrl });
+    await signUp();
+    const standing = () => win.getLeaderboard({ period: 'week', scope: 'global' }).me.points;
+    const before = standing();
+    const post = win.createPost({ title: 'Compost bin' });
+    assert.equal(standing(), before + 20);
+    win.deletePost(post.id);
+    assert.equal(standing(), before);
+});
+
+test('invite codes made on another device are resolved by the backend', async () => {
+    win = await loadApp({ apiUrl: server.apiUrl });
+    const inviter = await signUp();
+    win.close();
+
+    win = await loadApp({ apiUrl: server.apiUrl });
+    const { account } = await win.createAccount('Bina', 'bina@example.np', 'password1');
+    win.startSession(account);
+    assert.equal((await win.redeemInvite('NOPE42')).error, win.t('invite_unknown'));
+    const result = await win.redeemInvite(inviter.referralCode.toLowerCase());
+    assert.equal(result.ok, true);
+    assert.equal(result.inviter.name, 'Asha');
+    assert.ok(win.getLedger().some(e => e.id === `referral-${account.id}-invitee`));
+    await waitFor(() => win.getSyncQueue().length === 0);
+
+    const { token } = await serverLogin('asha@example.np', 'password1');
+    const res = await fetch(`${server.apiUrl}/users/${inviter.id}/ledger`, { headers: { Authorization: `Bearer ${token}` } });
+    assert.ok((await res.json()).ledger.some(e => e.id === `referral-${account.id}-inviter`));
+});
+
+test('making a profile private clears the author of earlier comments on the backend', async () => {
+    win = await loadApp({ apiUrl: server.apiUrl });
+    await signUp();
+    const post = win.createPost({ title: 'Compost bin' });
+    win.addComment(post.id, 'Works well');
+    await waitFor(() => win.getSyncQueue().length === 0);
+
+    await win.updateProfile({ private: true });
+    assert.equal(win.getPosts()[0].comments[0].author, null);
+    await waitFor(() => win.getSyncQueue().length === 0);
+    const { posts } = await (await fetch(`${server.apiUrl}/posts`)).json();
+    assert.equal(posts[0].comments[0].author, null);
+    assert.equal(posts[0].author, null);
+});
+
+test('with a backend, imported points come from its ledger rather than the file', async () => {
+    win = await loadApp({ apiUrl: server.apiUrl });
+    await signUp();
+    const bundle = await win.buildExportBundle();
+    const balance = win.getPointsBalance();
+    bundle.data.pointsLedger = [...(bundle.data.pointsLedger || []), { id: 'walk', action: 'walk', points: 10, quantity: 2, unit: 'km', timestamp: Date.now(), source: 'action-log' }];
+    const result = await win.importUserData(bundle);
+    assert.equal(result.ok, true);
+    assert.equal(result.summary.entries, 0);
+    assert.equal(win.getPointsBalance(), balance);
+    await waitFor(() => win.getSyncQueue().length === 0);
+    const res = await fetch(`${server.apiUrl}/users/${win.getCurrentUser()}/ledger`, {
+        headers: { Authorization: `Bearer ${win.localStorage.getItem(win.userStorageKey('apiToken'))}` }
+    });
+    assert.ok(!(await res.json()).ledger.some(e => e.id === 'walk'));
+});
@@ -1,35 +1,275 @@
-const CACHE_NAME = 'ecostep-v1';
-const ASSETS_TO_CACHE = [
+// Bump VERSION on every deploy: the app shell is served cache-first, so a new
+// precache (and the "update available" prompt in the page) only happens when it changes.
+const VERSION = '2026.10.19-31';
+const PRECACHE = `ecostep-shell-${VERSION}`;
+const RUNTIME = 'ecostep-runtime';
+
+const APP_SHELL = [
   './ecostep.html',
   './styles.css',
   './app.js',
-  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
-  'https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;500;600;700&display=swap'
+  './locales/en.js',
+  './locales/ne.js',
+  './manifest.json',
+  './offline.html'
 ];
 
+// Fonts and icon sets change rarely, so they are served from cache and refreshed in the background
+const STATIC_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+
+// Must match the database opened by app.js (openAppDb)
+const DB_NAME = 'ecostep';
+const DB_VERSION = 3;
+const OUTBOX_SYNC_TAG = 'ecostep-outbox';
+// Must match REMINDER_SYNC_TAG in app.js
+const REMINDER_SYNC_TAG = 'ecostep-reminder';
+
 self.addEventListener('install', event => {
-  self.skipWaiting();
+  // No skipWaiting here: the page asks the user first (see showUpdatePrompt in app.js)
   event.waitUntil(
-    caches.open(CACHE_NAME).then(cache => cache.addAll(ASSETS_TO_CACHE))
+    caches.open(PRECACHE).then(cache => cache.addAll(APP_SHELL))
   );
 });
 
 self.addEventListener('activate', event => {
   event.waitUntil(
     caches.keys().then(keys => Promise.all(
-      keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k))
-    ))
+      keys.filter(k => k.startsWith('ecostep-') && k !== PRECACHE && k !== RUNTIME).map(k => caches.delete(k))
+    )).then(() => self.clients.claim())
   );
 });
 
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+  // Open pages ask at the reminder time, since periodic sync may not run at all
+  if (event.data && event.data.type === 'CHECK_REMINDER') event.waitUntil(checkReminder());
+});
+
 self.addEventListener('fetch', event => {
-  // Try network first, then fallback to cache
-  event.respondWith(
-    fetch(event.request).then(res => {
-      // update cache
-      const resClone = res.clone();
-      caches.open(CACHE_NAME).then(cache => cache.put(event.request, resClone));
-      return res;
-    }).catch(() => caches.match(event.request))
-  );
+  const request = event.request;
+  // Writes and API calls always go to the network (offline writes are queued by the page)
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.pathname.includes('/api/')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(navigationResponse(request));
+  } else if (url.origin === self.location.origin && isAppShell(url)) {
+    event.respondWith(cacheFirst(request));
+  } else if (STATIC_HOSTS.includes(url.hostname) || (url.origin === self.location.origin && url.pathname.includes('/icons/'))) {
+    event.respondWith(staleWhileRevalidate(request, event));
+  }
+  // Anything else is left to the browser
+});
+
+self.addEventListener('sync', event => {
+  if (event.tag === OUTBOX_SYNC_TAG) event.waitUntil(replayOutbox());
+});
+
+self.addEventListener('periodicsync', event => {
+  if (event.tag === REMINDER_SYNC_TAG) event.waitUntil(checkReminder());
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const url = new URL('./ecostep.html#/dashboard', self.registration.scope).href;
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const open = windows.find(client => new URL(client.url).pathname === new URL(url).pathname);
+    if (open) {
+      await open.focus();
+      return open.navigate(url);
+    }
+    return self.clients.openWindow(url);
+  })());
 });
+
+/**
+ * Checks whether a same-origin URL is one of the precached app shell files
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isAppShell(url) {
+  return APP_SHELL.some(path => new URL(path, self.registration.scope).pathname === url.pathname);
+}
+
+/**
+ * App shell pages come from the precache; other pages try the network and
+ * fall back to the offline page
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function navigationResponse(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+  try {
+    return await fetch(request);
+  } catch (err) {
+    return caches.match('./offline.html');
+  }
+}
+
+/**
+ * Serves from the precache, going to the network only for misses
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  return cached || fetch(request);
+}
+
+/**
+ * Serves the cached copy immediately and refreshes it in the background.
+ * Only successful (or opaque cross-origin) responses are stored.
+ * @param {Request} request
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request, event) {
+  const cache = await caches.open(RUNTIME);
+  const cached = await cache.match(request);
+  const network = fetch(request).then(res => {
+    if (res.ok || res.type === 'opaque') cache.put(request, res.clone());
+    return res;
+  });
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+/**
+ * Opens the app's IndexedDB database (same schema as openAppDb in app.js)
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('images')) db.createObjectStore('images', { keyPath: 'id' });
+      if (!db.objectStoreNames.contains('outbox')) db.createObjectStore('outbox', { keyPath: 'id' });
+      if (!db.objectStoreNames.contains('reminders')) db.createObjectStore('reminders', { keyPath: 'id' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Runs a single request against one object store
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {'readonly'|'readwrite'} mode
+ * @param {function(IDBObjectStore): IDBRequest} run
+ * @returns {Promise<*>}
+ */
+function dbRequest(db, storeName, mode, run) {
+  return new Promise((resolve, reject) => {
+    const req = run(db.transaction(storeName, mode).objectStore(storeName));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Sends the writes the page queued while offline, oldest first. Delivered and
+ * rejected (4xx) writes leave the outbox; a network or server error stops the
+ * replay and rejects, so the browser retries the sync later. A 401/403 stops it
+ * quietly, keeping the writes until the user signs in again. Open pages are
+ * told which writes went out so they drop them from their own queue.
+ * @returns {Promise<void>}
+ */
+async function replayOutbox() {
+  const db = await openDb();
+  const records = (await dbRequest(db, 'outbox', 'readonly', store => store.getAll()))
+    .sort((a, b) => a.queuedAt - b.queuedAt || (a.id < b.id ? -1 : 1));
+  const done = [];
+  try {
+    for (const record of records) {
+      let body = record.body;
+      if (record.imageId) {
+        const image = await dbRequest(db, 'images', 'readonly', store => store.get(record.imageId));
+        if (!image) {
+          await dbRequest(db, 'outbox', 'readwrite', store => store.delete(record.id));
+          done.push(record.id);
+          continue;
+        }
+        body = image.blob;
+        record.headers = { ...record.headers, 'Content-Type': image.blob.type };
+      }
+      const res = await fetch(record.url, { method: record.method, headers: record.headers, body });
+      if (!res.ok && res.status >= 500) throw new Error(`Replay failed with status ${res.status}`);
+      // The token is missing or expired: leave the rest for the page to send once the user signs in again
+      if (res.status === 401 || res.status === 403) break;
+      await dbRequest(db, 'outbox', 'readwrite', store => store.delete(record.id));
+      done.push(record.id);
+    }
+  } finally {
+    if (done.length) {
+      const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+      windows.forEach(client => client.postMessage({ type: 'OUTBOX_REPLAYED', ids: done }));
+    }
+  }
+}
+
+/**
+ * Formats a date as a local 'YYYY-MM-DD' key (same as toDateKey in app.js)
+ * @param {Date} date
+ * @returns {string}
+ */
+function dateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Converts an 'HH:MM' time to minutes after midnight
+ * @param {string} hhmm
+ * @returns {number}
+ */
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Checks whether a time of day falls within quiet hours, which may wrap past midnight
+ * @param {number} minutes - Minutes after midnight
+ * @param {string} start - 'HH:MM'
+ * @param {string} end - 'HH:MM'
+ * @returns {boolean}
+ */
+function isQuietTime(minutes, start, end) {
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+  if (from === to) return false;
+  return from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+/**
+ * Shows the daily reminder saved by the page (see syncReminderSchedule in
+ * app.js) at most once a day: only after the reminder time, outside quiet
+ * hours and when nothing has been logged today. Texts arrive pre-translated.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<void>}
+ */
+async function checkReminder(now = new Date()) {
+  const db = await openDb();
+  const reminder = await dbRequest(db, 'reminders', 'readonly', store => store.get('daily'));
+  if (!reminder || !reminder.enabled || Notification.permission !== 'granted') return;
+  const today = dateKey(now);
+  if (reminder.lastShownDay === today || reminder.lastActiveDay === today) return;
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  if (minutes < toMinutes(reminder.time) || isQuietTime(minutes, reminder.quietStart, reminder.quietEnd)) return;
+
+  const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+  await self.registration.showNotification(reminder.title, {
+    body: reminder.lastActiveDay === dateKey(yesterday) ? reminder.streakBody : reminder.body,
+    lang: reminder.lang,
+    tag: REMINDER_SYNC_TAG,
+    icon: './icons/icon-192.png'
+  });
+  await dbRequest(db, 'reminders', 'readwrite', store => store.put({ ...reminder, lastShownDay: today }));
+}